@@ -1,215 +1,1159 @@
-import { ethers } from 'ethers';
-import { fileURLToPath } from 'url';
-import path from 'path';
-
-// Get current file path for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Uniswap V4 PoolManager contract ABI (minimal for extsload)
-const POOL_MANAGER_ABI = [
-  "function extsload(bytes32 slot) external view returns (bytes32)"
-];
-
-// Configuration
-const POOL_MANAGER_ADDRESS = "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408"; // Base Sepolia PoolManager
-const POOL_STATE_SLOT = 6; // Storage slot where _pools mapping is located
-const RPC_URL = "https://sepolia.base.org"; // Base Sepolia RPC
-
-class UniswapV4PoolReader {
-  constructor(rpcUrl, poolManagerAddress) {
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
-    this.poolManager = new ethers.Contract(
-      poolManagerAddress, 
-      POOL_MANAGER_ABI, 
-      this.provider
-    );
-  }
-
-  /**
-   * Calculate storage slot for a specific pool ID
-   * @param {string} poolId - The pool ID (bytes32)
-   * @returns {string} The calculated storage slot
-   */
-  calculatePoolStorageSlot(poolId) {
-    const encodedSlot = ethers.AbiCoder.defaultAbiCoder().encode(
-      ["bytes32", "uint256"],
-      [poolId, POOL_STATE_SLOT]
-    );
-    return ethers.keccak256(encodedSlot);
-  }
-
-  /**
-   * Read raw pool state data from storage
-   * @param {string} poolId - The pool ID (bytes32)
-   * @returns {Promise<string>} Raw storage data
-   */
-  async readPoolStateRaw(poolId) {
-    try {
-      const storageSlot = this.calculatePoolStorageSlot(poolId);
-      console.log(`Pool ID: ${poolId}`);
-      console.log(`Calculated storage slot: ${storageSlot}`);
-      
-      const rawData = await this.poolManager.getFunction("extsload(bytes32)").staticCall(storageSlot);
-      console.log(`Raw storage data: ${rawData}`);
-      
-      return rawData;
-    } catch (error) {
-      console.error("Error reading pool state:", error);
-      throw error;
-    }
-  }
-
-  /**
-   * Decode pool state from raw storage data
-   * Note: Bit positions may need adjustment based on actual Pool.State struct
-   * @param {string} rawData - Raw storage data
-   * @returns {Object} Decoded pool state
-   */
-  decodePoolState(rawData) {
-    const data = BigInt(rawData);
-    
-    // These bit positions are estimates and may need adjustment
-    // based on the actual Pool.State struct layout in Uniswap V4
-    const sqrtPriceX96 = data & ((1n << 160n) - 1n);
-    const tick = (data >> 160n) & ((1n << 24n) - 1n);
-    const protocolFee = (data >> 184n) & ((1n << 24n) - 1n);
-    const lpFee = (data >> 208n) & ((1n << 24n) - 1n);
-    
-    // Convert tick from unsigned to signed if needed
-    const maxTickValue = (1n << 23n) - 1n;
-    const signedTick = tick > maxTickValue ? tick - (1n << 24n) : tick;
-    
-    return {
-      sqrtPriceX96: sqrtPriceX96.toString(),
-      tick: signedTick.toString(),
-      protocolFee: protocolFee.toString(),
-      lpFee: lpFee.toString(),
-      rawData: rawData
-    };
-  }
-
-  /**
-   * Get human-readable pool information
-   * @param {string} poolId - The pool ID (bytes32)
-   * @returns {Promise<Object>} Decoded pool information
-   */
-  async getPoolInfo(poolId) {
-    try {
-      const rawData = await this.readPoolStateRaw(poolId);
-      const decodedState = this.decodePoolState(rawData);
-      
-      // Calculate actual price from sqrtPriceX96
-      const sqrtPrice = Number(decodedState.sqrtPriceX96) / (2 ** 96);
-      const price = sqrtPrice * sqrtPrice;
-      
-      return {
-        poolId,
-        ...decodedState,
-        calculatedPrice: price,
-        sqrtPrice: sqrtPrice
-      };
-    } catch (error) {
-      console.error("Error getting pool info:", error);
-      throw error;
-    }
-  }
-
-  /**
-   * Read multiple pools in batch
-   * @param {string[]} poolIds - Array of pool IDs
-   * @returns {Promise<Object[]>} Array of pool information
-   */
-  async batchReadPools(poolIds) {
-    const promises = poolIds.map(poolId => this.getPoolInfo(poolId));
-    return Promise.all(promises);
-  }
-
-  /**
-   * Calculate Pool ID from pool parameters
-   * @param {string} currency0 - Token 0 address
-   * @param {string} currency1 - Token 1 address  
-   * @param {number} fee - Fee tier
-   * @param {number} tickSpacing - Tick spacing
-   * @param {string} hookAddress - Hook contract address
-   * @returns {string} Calculated Pool ID
-   */
-  calculatePoolId(currency0, currency1, fee, tickSpacing, hookAddress = ethers.ZeroAddress) {
-    // Ensure currency0 < currency1 (Uniswap convention)
-    const [token0, token1] = currency0.toLowerCase() < currency1.toLowerCase() 
-      ? [currency0, currency1] 
-      : [currency1, currency0];
-
-    const encodedParams = ethers.AbiCoder.defaultAbiCoder().encode(
-      ["address", "address", "uint24", "int24", "address"],
-      [token0, token1, fee, tickSpacing, hookAddress]
-    );
-    
-    return ethers.keccak256(encodedParams);
-  }
-}
-
-// Usage examples
-async function main() {
-  console.log("Starting Uniswap V4 Pool Reader...");
-  console.log("=".repeat(50));
-  
-  const reader = new UniswapV4PoolReader(RPC_URL, POOL_MANAGER_ADDRESS);
-
-  try {
-    console.log("\n1. Testing connection to PoolManager...");
-    console.log(`PoolManager Address: ${POOL_MANAGER_ADDRESS}`);
-    console.log(`RPC URL: ${RPC_URL}`);
-    
-    // Method 1: Read pool by known Pool ID
-    console.log("\n2. Reading known Pool ID...");
-    const knownPoolId = "0x2b12523c52f9376439968e70e1f10ccc106ac80781bf40b0c8eeb2c19a22382e";
-    const poolInfo = await reader.getPoolInfo(knownPoolId);
-    console.log("Pool Info:", JSON.stringify(poolInfo, null, 2));
-
-    // Method 2: Calculate Pool ID and read
-    console.log("\n3. Calculating Pool ID from parameters...");
-    const currency0 = "0x77933D339C88458450676156820D6e28bCc98BF5"; // B0x
-    const currency1 = "0xfb4cCCd1485FD56C1E6BF93274778d2F7aBe546D"; // 0xBTC
-    const fee = 8388608; // Dynamic Fee
-    const tickSpacing = 60;
-    const hookAddress = "0x70Fe3Fa2f8065898706674Acd03D7b2696161000"; // Hook Address
-    
-    const calculatedPoolId = reader.calculatePoolId(currency0, currency1, fee, tickSpacing, hookAddress);
-    console.log("Calculated Pool ID:", calculatedPoolId);
-    
-    const calculatedPoolInfo = await reader.getPoolInfo(calculatedPoolId);
-    console.log("Calculated Pool Info:", JSON.stringify(calculatedPoolInfo, null, 2));
-
-    // Method 3: Format price example
-    console.log("\n4. Price formatting example...");
-    if (poolInfo && poolInfo.sqrtPriceX96) {
-      const formattedPrice = formatPrice(poolInfo.sqrtPriceX96);
-      console.log(`Formatted Price: ${formattedPrice}`);
-    }
-
-  } catch (error) {
-    console.error("Script error:", error.message);
-    console.error("Full error:", error);
-  }
-  
-  console.log("\n" + "=".repeat(50));
-  console.log("Script completed.");
-}
-
-// Helper function to convert price to human readable format
-function formatPrice(sqrtPriceX96, decimals0 = 18, decimals1 = 18) {
-  const sqrtPrice = Number(sqrtPriceX96) / (2 ** 96);
-  const price = sqrtPrice * sqrtPrice;
-  
-  // Adjust for token decimals
-  const adjustedPrice = price * (10 ** (decimals0 - decimals1));
-  
-  return adjustedPrice;
-}
-
-// Export for use in other modules
-export { UniswapV4PoolReader, formatPrice };
-
-// Always run main function when this file is executed directly
-main().catch(console.error);
\ No newline at end of file
+import { ethers } from 'ethers';
+import { fileURLToPath } from 'url';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { sqrtPriceX96ToPrice, getPrice } from './priceMath.js';
+import { getNetwork, getContractAddress, DEFAULT_CHAIN_ID } from './networks.js';
+import { findDeploymentBlock } from './chainUtils.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Uniswap V4 PoolManager contract ABI (minimal for extsload and pool discovery)
+const POOL_MANAGER_ABI = [
+  "function extsload(bytes32 slot) external view returns (bytes32)",
+  "function extsload(bytes32 startSlot, uint256 nSlots) external view returns (bytes32[])",
+  "function extsload(bytes32[] slots) external view returns (bytes32[])",
+  "event Initialize(bytes32 indexed id, address indexed currency0, address indexed currency1, uint24 fee, int24 tickSpacing, address hooks, uint160 sqrtPriceX96, int24 tick)",
+  "event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)",
+  "event ModifyLiquidity(bytes32 indexed id, address indexed sender, int24 tickLower, int24 tickUpper, int256 liquidityDelta, bytes32 salt)"
+];
+
+// ERC20 ABI (minimal for token metadata)
+const ERC20_METADATA_ABI = [
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)"
+];
+
+// Multicall3 ABI (minimal for aggregate3)
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[])"
+];
+
+// Configuration (addresses and RPC endpoints per chain live in ../networks.json)
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11"; // Same address on every chain
+
+// Batch read defaults
+const DEFAULT_READER_OPTIONS = {
+  maxSlotsPerCall: 500,   // Storage words per extsload(bytes32[]) call
+  maxCallsPerMulticall: 100, // extsload calls per aggregate3 call
+  concurrency: 4,         // RPC requests in flight at once
+  useMulticall: false,    // Group range reads through Multicall3
+  multicallAddress: MULTICALL3_ADDRESS,
+  logBlockRange: 10000,   // Blocks per eth_getLogs request (public RPCs cap the range)
+  poolStateSlot: 6        // Storage slot of the _pools mapping (networks.json sets it per chain)
+};
+
+/**
+ * Word offsets of Pool.State, relative to keccak256(abi.encode(poolId, poolStateSlot))
+ *
+ * | Offset | Field                | Type                           | Packing                                   |
+ * |--------|----------------------|--------------------------------|-------------------------------------------|
+ * | 0      | slot0                | Slot0 (bytes32)                | sqrtPriceX96 [0..159], tick [160..183],   |
+ * |        |                      |                                | protocolFee [184..207], lpFee [208..231]  |
+ * | 1      | feeGrowthGlobal0X128 | uint256                        | full word                                 |
+ * | 2      | feeGrowthGlobal1X128 | uint256                        | full word                                 |
+ * | 3      | liquidity            | uint128                        | low 128 bits, high 128 bits unused        |
+ * | 4      | ticks                | mapping(int24 => TickInfo)     | base slot of the mapping                  |
+ * | 5      | tickBitmap           | mapping(int16 => uint256)      | base slot of the mapping                  |
+ * | 6      | positions            | mapping(bytes32 => Position)   | base slot of the mapping                  |
+ */
+const POOL_STATE_OFFSETS = {
+  SLOT0: 0n,
+  FEE_GROWTH_GLOBAL0: 1n,
+  FEE_GROWTH_GLOBAL1: 2n,
+  LIQUIDITY: 3n,
+  TICKS: 4n,
+  TICK_BITMAP: 5n,
+  POSITIONS: 6n
+};
+
+// Number of leading words of Pool.State that hold values (the rest are mapping bases)
+const POOL_STATE_VALUE_WORDS = 4;
+
+// TickInfo: liquidityGross (uint128) | liquidityNet (int128), feeGrowthOutside0X128, feeGrowthOutside1X128
+const TICK_INFO_WORDS = 3;
+
+// Position.State: liquidity (uint128), feeGrowthInside0LastX128, feeGrowthInside1LastX128
+const POSITION_STATE_WORDS = 3;
+
+// Tick spacing of the B0x/0xBTC dynamic-fee pool
+const DEFAULT_TICK_SPACING = 60;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+const MASK_24 = (1n << 24n) - 1n;
+const MASK_128 = (1n << 128n) - 1n;
+const MASK_160 = (1n << 160n) - 1n;
+const MASK_256 = (1n << 256n) - 1n;
+const Q128 = 1n << 128n;
+
+/**
+ * Interpret the low bits of an unsigned value as a two's complement integer
+ * @param {bigint} value - Unsigned value
+ * @param {bigint} bits - Bit width of the signed type
+ * @returns {bigint} Signed value
+ */
+function toSigned(value, bits) {
+  const max = (1n << (bits - 1n)) - 1n;
+  return value > max ? value - (1n << bits) : value;
+}
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array[]} Chunks, in order
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run async tasks with at most `limit` of them in flight
+ * @param {Array<() => Promise>} tasks - Task factories
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @returns {Promise<Array>} Task results, in task order
+ */
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), tasks.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Build call overrides for a read at a specific block
+ * @param {string|number|bigint} blockTag - Block number or tag ("latest" when omitted)
+ * @returns {Object} ethers call overrides
+ */
+function readOverrides(blockTag) {
+  return blockTag === undefined ? {} : { blockTag };
+}
+
+/**
+ * Convert sqrtPriceX96 into floating point price fields
+ * @param {string|bigint} sqrtPriceX96 - Square root price as Q64.96
+ * @returns {{calculatedPrice: number, sqrtPrice: number}} Price of token0 in token1 (raw units)
+ */
+function calculatePriceFields(sqrtPriceX96) {
+  const sqrtPrice = Number(sqrtPriceX96) / (2 ** 96);
+  return {
+    calculatedPrice: sqrtPrice * sqrtPrice,
+    sqrtPrice: sqrtPrice
+  };
+}
+
+class UniswapV4PoolReader {
+  /**
+   * @param {string} rpcUrl - JSON-RPC endpoint
+   * @param {string} poolManagerAddress - PoolManager contract address
+   * @param {Object} options - Batch read options, see DEFAULT_READER_OPTIONS
+   */
+  constructor(rpcUrl, poolManagerAddress, options = {}) {
+    this.options = { ...DEFAULT_READER_OPTIONS, ...options };
+    // WebSocket endpoints get push subscriptions, HTTP endpoints are polled
+    this.provider = /^wss?:\/\//.test(rpcUrl)
+      ? new ethers.WebSocketProvider(rpcUrl)
+      : new ethers.JsonRpcProvider(rpcUrl);
+    this.poolManager = new ethers.Contract(
+      poolManagerAddress, 
+      POOL_MANAGER_ABI, 
+      this.provider
+    );
+    this.multicall = new ethers.Contract(
+      this.options.multicallAddress,
+      MULTICALL3_ABI,
+      this.provider
+    );
+    this.tokenMetadataCache = new Map();
+  }
+
+  /**
+   * Create a reader for a chain listed in networks.json
+   * @param {number|string} chainId - Chain ID (default Base Sepolia)
+   * @param {Object} options - Reader options, plus rpcUrl / poolManagerAddress to override the registry
+   * @returns {UniswapV4PoolReader} Reader for that chain's PoolManager
+   */
+  static fromNetwork(chainId = DEFAULT_CHAIN_ID, options = {}) {
+    const network = getNetwork(chainId);
+    const { rpcUrl, poolManagerAddress, ...readerOptions } = options;
+    return new UniswapV4PoolReader(
+      rpcUrl ?? network.rpcUrls[0],
+      poolManagerAddress ?? getContractAddress(network, "poolManager"),
+      {
+        poolStateSlot: network.poolStateSlot,
+        multicallAddress: network.contracts.multicall3 ?? MULTICALL3_ADDRESS,
+        ...readerOptions
+      }
+    );
+  }
+
+  /**
+   * Read symbol and decimals of a token (cached per address)
+   * @param {string} tokenAddress - ERC20 address, or the zero address for native ETH
+   * @returns {Promise<{address: string, symbol: string, decimals: number}>} Token metadata
+   */
+  async getTokenMetadata(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (this.tokenMetadataCache.has(key)) {
+      return this.tokenMetadataCache.get(key);
+    }
+
+    let metadata;
+    if (tokenAddress === ethers.ZeroAddress) {
+      metadata = { address: tokenAddress, symbol: "ETH", decimals: 18 };
+    } else {
+      const token = new ethers.Contract(tokenAddress, ERC20_METADATA_ABI, this.provider);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      metadata = { address: tokenAddress, symbol, decimals: Number(decimals) };
+    }
+
+    this.tokenMetadataCache.set(key, metadata);
+    return metadata;
+  }
+
+  /**
+   * Read arbitrary storage slots with as few extsload(bytes32[]) calls as possible
+   * Duplicate slots are read once; calls are limited by maxSlotsPerCall and concurrency
+   * @param {string[]} slots - Storage slots (bytes32)
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<string[]>} Raw storage words, in the order of `slots`
+   */
+  async readSlots(slots, { blockTag } = {}) {
+    const uniqueSlots = [...new Set(slots.map(slot => ethers.zeroPadValue(slot, 32)))];
+    const extsloadMany = this.poolManager.getFunction("extsload(bytes32[])");
+
+    const tasks = chunk(uniqueSlots, this.options.maxSlotsPerCall).map(slotChunk => async () => {
+      const words = await extsloadMany.staticCall(slotChunk, readOverrides(blockTag));
+      return slotChunk.map((slot, i) => [slot, words[i]]);
+    });
+
+    const values = new Map((await runWithConcurrency(tasks, this.options.concurrency)).flat());
+    return slots.map(slot => values.get(ethers.zeroPadValue(slot, 32)));
+  }
+
+  /**
+   * Read consecutive storage ranges (struct reads)
+   * With useMulticall each range becomes one extsload(bytes32,uint256) inside a Multicall3
+   * aggregate3 call; otherwise the ranges are flattened into one readSlots batch
+   * @param {{startSlot: string, nSlots: number}[]} ranges - Storage ranges to read
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<string[][]>} Raw storage words per range, in the order of `ranges`
+   */
+  async readSlotRanges(ranges, { blockTag } = {}) {
+    if (!this.options.useMulticall) {
+      const slots = ranges.flatMap(({ startSlot, nSlots }) =>
+        Array.from({ length: nSlots }, (_, i) => this.offsetSlot(startSlot, i))
+      );
+      const words = await this.readSlots(slots, { blockTag });
+
+      let cursor = 0;
+      return ranges.map(({ nSlots }) => {
+        const rangeWords = words.slice(cursor, cursor + nSlots);
+        cursor += nSlots;
+        return rangeWords;
+      });
+    }
+
+    const extsloadRange = this.poolManager.interface.getFunction("extsload(bytes32,uint256)");
+    const target = await this.poolManager.getAddress();
+
+    const tasks = chunk(ranges, this.options.maxCallsPerMulticall).map(rangeChunk => async () => {
+      const calls = rangeChunk.map(({ startSlot, nSlots }) => ({
+        target,
+        allowFailure: false,
+        callData: this.poolManager.interface.encodeFunctionData(extsloadRange, [ethers.zeroPadValue(startSlot, 32), nSlots])
+      }));
+      const results = await this.multicall.aggregate3.staticCall(calls, readOverrides(blockTag));
+      return results.map(({ returnData }) =>
+        [...this.poolManager.interface.decodeFunctionResult(extsloadRange, returnData)[0]]
+      );
+    });
+
+    return (await runWithConcurrency(tasks, this.options.concurrency)).flat();
+  }
+
+  /**
+   * Calculate storage slot for a specific pool ID
+   * @param {string} poolId - The pool ID (bytes32)
+   * @returns {string} The calculated storage slot
+   */
+  calculatePoolStorageSlot(poolId) {
+    const encodedSlot = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "uint256"],
+      [poolId, this.options.poolStateSlot]
+    );
+    return ethers.keccak256(encodedSlot);
+  }
+
+  /**
+   * Offset a storage slot by a number of words (struct member access)
+   * @param {string} slot - Base storage slot (bytes32)
+   * @param {bigint} offset - Number of words to add
+   * @returns {string} The offset storage slot (bytes32)
+   */
+  offsetSlot(slot, offset) {
+    return ethers.zeroPadValue(ethers.toBeHex(BigInt(slot) + BigInt(offset)), 32);
+  }
+
+  /**
+   * Read raw pool state data from storage
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<string>} Raw storage data
+   */
+  async readPoolStateRaw(poolId, { blockTag } = {}) {
+    try {
+      const storageSlot = this.calculatePoolStorageSlot(poolId);
+      console.log(`Pool ID: ${poolId}`);
+      console.log(`Calculated storage slot: ${storageSlot}`);
+      
+      const rawData = await this.poolManager
+        .getFunction("extsload(bytes32)")
+        .staticCall(storageSlot, readOverrides(blockTag));
+      console.log(`Raw storage data: ${rawData}`);
+      
+      return rawData;
+    } catch (error) {
+      console.error("Error reading pool state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the value words of Pool.State (slot0 through liquidity) in one extsload call
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<string[]>} Raw storage words, in POOL_STATE_OFFSETS order
+   */
+  async readPoolStateWordsRaw(poolId, { blockTag } = {}) {
+    try {
+      const storageSlot = this.calculatePoolStorageSlot(poolId);
+      console.log(`Pool ID: ${poolId}`);
+      console.log(`Calculated storage slot: ${storageSlot}`);
+
+      const words = await this.poolManager
+        .getFunction("extsload(bytes32,uint256)")
+        .staticCall(storageSlot, POOL_STATE_VALUE_WORDS, readOverrides(blockTag));
+      console.log(`Raw storage words: ${words.join(", ")}`);
+
+      return [...words];
+    } catch (error) {
+      console.error("Error reading full pool state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decode slot0 of Pool.State from raw storage data
+   * Layout follows Slot0Library: sqrtPriceX96 (uint160) | tick (int24) | protocolFee (uint24) | lpFee (uint24)
+   * @param {string} rawData - Raw storage data
+   * @returns {Object} Decoded pool state
+   */
+  decodePoolState(rawData) {
+    const data = BigInt(rawData);
+    
+    const sqrtPriceX96 = data & MASK_160;
+    const tick = (data >> 160n) & MASK_24;
+    const protocolFee = (data >> 184n) & MASK_24;
+    const lpFee = (data >> 208n) & MASK_24;
+    
+    // Convert tick from unsigned to signed
+    const signedTick = toSigned(tick, 24n);
+    
+    return {
+      sqrtPriceX96: sqrtPriceX96.toString(),
+      tick: signedTick.toString(),
+      protocolFee: protocolFee.toString(),
+      lpFee: lpFee.toString(),
+      rawData: rawData
+    };
+  }
+
+  /**
+   * Decode the value words of Pool.State
+   * @param {string[]} words - Raw storage words, in POOL_STATE_OFFSETS order
+   * @returns {Object} Decoded slot0 plus fee growth and active liquidity
+   */
+  decodeFullPoolState(words) {
+    if (words.length < POOL_STATE_VALUE_WORDS) {
+      throw new Error(`Expected ${POOL_STATE_VALUE_WORDS} storage words, got ${words.length}`);
+    }
+
+    const slot0 = this.decodePoolState(words[Number(POOL_STATE_OFFSETS.SLOT0)]);
+    const feeGrowthGlobal0X128 = BigInt(words[Number(POOL_STATE_OFFSETS.FEE_GROWTH_GLOBAL0)]);
+    const feeGrowthGlobal1X128 = BigInt(words[Number(POOL_STATE_OFFSETS.FEE_GROWTH_GLOBAL1)]);
+    const liquidity = BigInt(words[Number(POOL_STATE_OFFSETS.LIQUIDITY)]) & MASK_128;
+
+    return {
+      ...slot0,
+      feeGrowthGlobal0X128: feeGrowthGlobal0X128.toString(),
+      feeGrowthGlobal1X128: feeGrowthGlobal1X128.toString(),
+      liquidity: liquidity.toString(),
+      rawWords: words
+    };
+  }
+
+  /**
+   * Get the full pool state: slot0, global fee growth and active liquidity
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object>} Decoded pool state
+   */
+  async getFullPoolState(poolId, { blockTag } = {}) {
+    try {
+      const words = await this.readPoolStateWordsRaw(poolId, { blockTag });
+      return {
+        poolId,
+        ...this.decodeFullPoolState(words)
+      };
+    } catch (error) {
+      console.error("Error getting full pool state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate storage slot of ticks[tick] inside a pool's state
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {number} tick - The tick index
+   * @returns {string} The calculated storage slot
+   */
+  calculateTickInfoSlot(poolId, tick) {
+    const ticksSlot = this.offsetSlot(this.calculatePoolStorageSlot(poolId), POOL_STATE_OFFSETS.TICKS);
+    const encodedSlot = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["int24", "bytes32"],
+      [tick, ticksSlot]
+    );
+    return ethers.keccak256(encodedSlot);
+  }
+
+  /**
+   * Calculate storage slot of tickBitmap[wordPos] inside a pool's state
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {number} wordPos - The bitmap word position (compressed tick >> 8)
+   * @returns {string} The calculated storage slot
+   */
+  calculateTickBitmapSlot(poolId, wordPos) {
+    const bitmapSlot = this.offsetSlot(this.calculatePoolStorageSlot(poolId), POOL_STATE_OFFSETS.TICK_BITMAP);
+    const encodedSlot = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["int16", "bytes32"],
+      [wordPos, bitmapSlot]
+    );
+    return ethers.keccak256(encodedSlot);
+  }
+
+  /**
+   * Decode TickInfo from raw storage words
+   * @param {string[]} words - Raw storage words (liquidity, feeGrowthOutside0X128, feeGrowthOutside1X128)
+   * @returns {Object} Decoded tick info
+   */
+  decodeTickInfo(words) {
+    if (words.length < TICK_INFO_WORDS) {
+      throw new Error(`Expected ${TICK_INFO_WORDS} storage words, got ${words.length}`);
+    }
+
+    const liquidityWord = BigInt(words[0]);
+    const liquidityGross = liquidityWord & MASK_128;
+    const liquidityNet = toSigned(liquidityWord >> 128n, 128n);
+
+    return {
+      liquidityGross: liquidityGross.toString(),
+      liquidityNet: liquidityNet.toString(),
+      feeGrowthOutside0X128: BigInt(words[1]).toString(),
+      feeGrowthOutside1X128: BigInt(words[2]).toString(),
+      initialized: liquidityGross > 0n
+    };
+  }
+
+  /**
+   * Read and decode ticks[tick] of a pool
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {number} tick - The tick index
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object>} Decoded tick info
+   */
+  async getTickInfo(poolId, tick, { blockTag } = {}) {
+    try {
+      const storageSlot = this.calculateTickInfoSlot(poolId, tick);
+      const words = await this.poolManager
+        .getFunction("extsload(bytes32,uint256)")
+        .staticCall(storageSlot, TICK_INFO_WORDS, readOverrides(blockTag));
+
+      return {
+        tick,
+        ...this.decodeTickInfo([...words])
+      };
+    } catch (error) {
+      console.error(`Error reading tick ${tick}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read tickBitmap[wordPos] of a pool
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {number} wordPos - The bitmap word position
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<bigint>} The bitmap word
+   */
+  async getTickBitmapWord(poolId, wordPos, { blockTag } = {}) {
+    try {
+      const storageSlot = this.calculateTickBitmapSlot(poolId, wordPos);
+      const rawData = await this.poolManager
+        .getFunction("extsload(bytes32)")
+        .staticCall(storageSlot, readOverrides(blockTag));
+      return BigInt(rawData);
+    } catch (error) {
+      console.error(`Error reading tick bitmap word ${wordPos}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the initialized ticks of a bitmap word that fall inside [tickLower, tickUpper]
+   * @param {bigint} bitmap - The bitmap word
+   * @param {number} wordPos - The bitmap word position
+   * @param {number} tickSpacing - Tick spacing of the pool
+   * @param {number} tickLower - Lowest tick to include
+   * @param {number} tickUpper - Highest tick to include
+   * @returns {number[]} Initialized ticks, ascending
+   */
+  decodeTickBitmapWord(bitmap, wordPos, tickSpacing, tickLower, tickUpper) {
+    const ticks = [];
+    for (let bitPos = 0; bitPos < 256; bitPos++) {
+      if (((bitmap >> BigInt(bitPos)) & 1n) === 0n) continue;
+
+      const tick = (wordPos * 256 + bitPos) * tickSpacing;
+      if (tick >= tickLower && tick <= tickUpper) {
+        ticks.push(tick);
+      }
+    }
+    return ticks;
+  }
+
+  /**
+   * Walk the tick bitmap between two ticks and read every initialized tick
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {number} tickLower - Lowest tick to include
+   * @param {number} tickUpper - Highest tick to include
+   * @param {number} tickSpacing - Tick spacing of the pool (not stored in Pool.State)
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object[]>} Tick info for each initialized tick, ascending
+   */
+  async getInitializedTicks(poolId, tickLower, tickUpper, tickSpacing = DEFAULT_TICK_SPACING, { blockTag } = {}) {
+    const lower = Math.max(tickLower, MIN_TICK);
+    const upper = Math.min(tickUpper, MAX_TICK);
+    if (lower > upper) {
+      throw new Error(`Invalid tick range: ${tickLower} > ${tickUpper}`);
+    }
+
+    // Bitmap positions are compressed ticks (tick / tickSpacing, rounded down)
+    const wordLower = Math.floor(lower / tickSpacing) >> 8;
+    const wordUpper = Math.floor(upper / tickSpacing) >> 8;
+
+    const wordPositions = [];
+    for (let wordPos = wordLower; wordPos <= wordUpper; wordPos++) {
+      wordPositions.push(wordPos);
+    }
+
+    const bitmaps = await this.readSlots(
+      wordPositions.map(wordPos => this.calculateTickBitmapSlot(poolId, wordPos)),
+      { blockTag }
+    );
+
+    const initializedTicks = [];
+    wordPositions.forEach((wordPos, i) => {
+      const bitmap = BigInt(bitmaps[i]);
+      if (bitmap === 0n) return;
+
+      initializedTicks.push(...this.decodeTickBitmapWord(bitmap, wordPos, tickSpacing, lower, upper));
+    });
+
+    const tickWords = await this.readSlotRanges(initializedTicks.map(tick => ({
+      startSlot: this.calculateTickInfoSlot(poolId, tick),
+      nSlots: TICK_INFO_WORDS
+    })), { blockTag });
+
+    return initializedTicks.map((tick, i) => ({
+      tick,
+      ...this.decodeTickInfo(tickWords[i])
+    }));
+  }
+
+  /**
+   * Calculate a position key the way Position.calculatePositionKey does:
+   * keccak256(abi.encodePacked(owner, tickLower, tickUpper, salt))
+   * @param {string} owner - Position owner (the PositionManager for NFT positions)
+   * @param {number} tickLower - Lower tick of the position
+   * @param {number} tickUpper - Upper tick of the position
+   * @param {string} salt - Position salt (bytes32)
+   * @returns {string} The position key (bytes32)
+   */
+  calculatePositionKey(owner, tickLower, tickUpper, salt = ethers.ZeroHash) {
+    return ethers.solidityPackedKeccak256(
+      ["address", "int24", "int24", "bytes32"],
+      [owner, tickLower, tickUpper, salt]
+    );
+  }
+
+  /**
+   * Convert a PositionManager token ID into the salt it uses for its positions
+   * @param {bigint|number|string} tokenId - The position NFT token ID
+   * @returns {string} The salt (bytes32)
+   */
+  tokenIdToSalt(tokenId) {
+    return ethers.zeroPadValue(ethers.toBeHex(BigInt(tokenId)), 32);
+  }
+
+  /**
+   * Calculate storage slot of positions[positionKey] inside a pool's state
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {string} positionKey - The position key (bytes32)
+   * @returns {string} The calculated storage slot
+   */
+  calculatePositionSlot(poolId, positionKey) {
+    const positionsSlot = this.offsetSlot(this.calculatePoolStorageSlot(poolId), POOL_STATE_OFFSETS.POSITIONS);
+    const encodedSlot = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "bytes32"],
+      [positionKey, positionsSlot]
+    );
+    return ethers.keccak256(encodedSlot);
+  }
+
+  /**
+   * Decode Position.State from raw storage words
+   * @param {string[]} words - Raw storage words (liquidity, feeGrowthInside0LastX128, feeGrowthInside1LastX128)
+   * @returns {Object} Decoded position state
+   */
+  decodePositionState(words) {
+    if (words.length < POSITION_STATE_WORDS) {
+      throw new Error(`Expected ${POSITION_STATE_WORDS} storage words, got ${words.length}`);
+    }
+
+    return {
+      liquidity: (BigInt(words[0]) & MASK_128).toString(),
+      feeGrowthInside0LastX128: BigInt(words[1]).toString(),
+      feeGrowthInside1LastX128: BigInt(words[2]).toString()
+    };
+  }
+
+  /**
+   * Read and decode positions[positionKey] of a pool
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {string} positionKey - The position key (bytes32)
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object>} Decoded position state
+   */
+  async getPositionState(poolId, positionKey, { blockTag } = {}) {
+    try {
+      const storageSlot = this.calculatePositionSlot(poolId, positionKey);
+      const words = await this.poolManager
+        .getFunction("extsload(bytes32,uint256)")
+        .staticCall(storageSlot, POSITION_STATE_WORDS, readOverrides(blockTag));
+
+      return {
+        positionKey,
+        ...this.decodePositionState([...words])
+      };
+    } catch (error) {
+      console.error(`Error reading position ${positionKey}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate fee growth inside a tick range, mirroring Pool.getFeeGrowthInside
+   * All arithmetic wraps modulo 2^256 like the unchecked Solidity code
+   * @param {Object} poolState - Decoded full pool state (tick, feeGrowthGlobal0/1X128)
+   * @param {number} tickLower - Lower tick of the range
+   * @param {number} tickUpper - Upper tick of the range
+   * @param {Object} lowerTickInfo - Decoded TickInfo of tickLower
+   * @param {Object} upperTickInfo - Decoded TickInfo of tickUpper
+   * @returns {{feeGrowthInside0X128: bigint, feeGrowthInside1X128: bigint}} Fee growth inside the range
+   */
+  calculateFeeGrowthInside(poolState, tickLower, tickUpper, lowerTickInfo, upperTickInfo) {
+    const tickCurrent = Number(poolState.tick);
+    const growthInside = (global, lowerOutside, upperOutside) => {
+      if (tickCurrent < tickLower) {
+        return (lowerOutside - upperOutside) & MASK_256;
+      }
+      if (tickCurrent >= tickUpper) {
+        return (upperOutside - lowerOutside) & MASK_256;
+      }
+      return (global - lowerOutside - upperOutside) & MASK_256;
+    };
+
+    return {
+      feeGrowthInside0X128: growthInside(
+        BigInt(poolState.feeGrowthGlobal0X128),
+        BigInt(lowerTickInfo.feeGrowthOutside0X128),
+        BigInt(upperTickInfo.feeGrowthOutside0X128)
+      ),
+      feeGrowthInside1X128: growthInside(
+        BigInt(poolState.feeGrowthGlobal1X128),
+        BigInt(lowerTickInfo.feeGrowthOutside1X128),
+        BigInt(upperTickInfo.feeGrowthOutside1X128)
+      )
+    };
+  }
+
+  /**
+   * Calculate uncollected fees of a position from its fee growth snapshot
+   * @param {Object} positionState - Decoded position state
+   * @param {{feeGrowthInside0X128: bigint, feeGrowthInside1X128: bigint}} feeGrowthInside - Current fee growth inside the range
+   * @returns {{feesOwed0: bigint, feesOwed1: bigint}} Uncollected fees in raw token units
+   */
+  calculateFeesOwed(positionState, feeGrowthInside) {
+    const liquidity = BigInt(positionState.liquidity);
+    const delta0 = (feeGrowthInside.feeGrowthInside0X128 - BigInt(positionState.feeGrowthInside0LastX128)) & MASK_256;
+    const delta1 = (feeGrowthInside.feeGrowthInside1X128 - BigInt(positionState.feeGrowthInside1LastX128)) & MASK_256;
+
+    return {
+      feesOwed0: (delta0 * liquidity) / Q128,
+      feesOwed1: (delta1 * liquidity) / Q128
+    };
+  }
+
+  /**
+   * Read a position straight from PoolManager storage, including uncollected fees
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {string} owner - Position owner (the PositionManager for NFT positions)
+   * @param {number} tickLower - Lower tick of the position
+   * @param {number} tickUpper - Upper tick of the position
+   * @param {string} salt - Position salt (bytes32), see tokenIdToSalt for NFT positions
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object>} Position liquidity, fee growth snapshot and fees owed
+   */
+  async getPositionInfo(poolId, owner, tickLower, tickUpper, salt = ethers.ZeroHash, { blockTag } = {}) {
+    try {
+      const positionKey = this.calculatePositionKey(owner, tickLower, tickUpper, salt);
+      // Pool state, both ticks and the position in one batched read
+      const [poolWords, lowerWords, upperWords, positionWords] = await this.readSlotRanges([
+        { startSlot: this.calculatePoolStorageSlot(poolId), nSlots: POOL_STATE_VALUE_WORDS },
+        { startSlot: this.calculateTickInfoSlot(poolId, tickLower), nSlots: TICK_INFO_WORDS },
+        { startSlot: this.calculateTickInfoSlot(poolId, tickUpper), nSlots: TICK_INFO_WORDS },
+        { startSlot: this.calculatePositionSlot(poolId, positionKey), nSlots: POSITION_STATE_WORDS }
+      ], { blockTag });
+      const poolState = this.decodeFullPoolState(poolWords);
+      const lowerTickInfo = this.decodeTickInfo(lowerWords);
+      const upperTickInfo = this.decodeTickInfo(upperWords);
+      const positionState = { positionKey, ...this.decodePositionState(positionWords) };
+
+      const feeGrowthInside = this.calculateFeeGrowthInside(
+        poolState, tickLower, tickUpper, lowerTickInfo, upperTickInfo
+      );
+      const { feesOwed0, feesOwed1 } = this.calculateFeesOwed(positionState, feeGrowthInside);
+
+      return {
+        poolId,
+        owner,
+        tickLower,
+        tickUpper,
+        salt,
+        ...positionState,
+        feeGrowthInside0X128: feeGrowthInside.feeGrowthInside0X128.toString(),
+        feeGrowthInside1X128: feeGrowthInside.feeGrowthInside1X128.toString(),
+        feesOwed0: feesOwed0.toString(),
+        feesOwed1: feesOwed1.toString(),
+        inRange: Number(poolState.tick) >= tickLower && Number(poolState.tick) < tickUpper
+      };
+    } catch (error) {
+      console.error("Error getting position info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get human-readable pool information
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object>} Decoded pool information
+   */
+  async getPoolInfo(poolId, { blockTag } = {}) {
+    try {
+      const rawData = await this.readPoolStateRaw(poolId, { blockTag });
+      const decodedState = this.decodePoolState(rawData);
+      
+      return {
+        poolId,
+        ...decodedState,
+        // Calculate actual price from sqrtPriceX96
+        ...calculatePriceFields(decodedState.sqrtPriceX96)
+      };
+    } catch (error) {
+      console.error("Error getting pool info:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get exact, decimal-aware prices of a pool in both directions
+   * Token order does not matter; currency0 is worked out from the addresses
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {string} tokenAAddress - One currency of the pool
+   * @param {string} tokenBAddress - The other currency of the pool
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object>} Prices as decimal strings, plus token metadata
+   */
+  async getPoolPrice(poolId, tokenAAddress, tokenBAddress, { blockTag } = {}) {
+    try {
+      const [tokenA, tokenB, rawData] = await Promise.all([
+        this.getTokenMetadata(tokenAAddress),
+        this.getTokenMetadata(tokenBAddress),
+        this.readPoolStateRaw(poolId, { blockTag })
+      ]);
+      const { sqrtPriceX96, tick } = this.decodePoolState(rawData);
+
+      return {
+        poolId,
+        sqrtPriceX96,
+        tick,
+        tokenA,
+        tokenB,
+        // Amount of tokenB for one tokenA, and the reverse
+        priceAInB: getPrice(sqrtPriceX96, tokenA, tokenB),
+        priceBInA: getPrice(sqrtPriceX96, tokenB, tokenA)
+      };
+    } catch (error) {
+      console.error("Error getting pool price:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read multiple pools in batch
+   * The Pool.State value words of every pool are grouped into as few RPC calls as
+   * the reader options allow, instead of one request per pool
+   * @param {string[]} poolIds - Array of pool IDs
+   * @param {Object} options - { blockTag } to read at a past block
+   * @returns {Promise<Object[]>} Array of pool information (full state plus price)
+   */
+  async batchReadPools(poolIds, { blockTag } = {}) {
+    try {
+      const poolWords = await this.readSlotRanges(poolIds.map(poolId => ({
+        startSlot: this.calculatePoolStorageSlot(poolId),
+        nSlots: POOL_STATE_VALUE_WORDS
+      })), { blockTag });
+
+      return poolIds.map((poolId, i) => {
+        const decodedState = this.decodeFullPoolState(poolWords[i]);
+        return {
+          poolId,
+          ...decodedState,
+          ...calculatePriceFields(decodedState.sqrtPriceX96)
+        };
+      });
+    } catch (error) {
+      console.error("Error batch reading pools:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sample price, tick and liquidity of a pool over a block range
+   * Reads at past blocks need an archive node (or a local anvil/hardhat node)
+   * @param {string} poolId - The pool ID (bytes32)
+   * @param {number} fromBlock - First block to sample
+   * @param {number} toBlock - Last block to sample (always included)
+   * @param {number} step - Blocks between samples
+   * @returns {Promise<Object[]>} Samples ordered by block number
+   */
+  async getPoolHistory(poolId, fromBlock, toBlock, step = 1) {
+    if (fromBlock > toBlock) {
+      throw new Error(`Invalid block range: ${fromBlock} > ${toBlock}`);
+    }
+    if (step < 1) {
+      throw new Error(`Invalid step: ${step}`);
+    }
+
+    const blockNumbers = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber += step) {
+      blockNumbers.push(blockNumber);
+    }
+    if (blockNumbers[blockNumbers.length - 1] !== toBlock) {
+      blockNumbers.push(toBlock);
+    }
+
+    const slot = this.calculatePoolStorageSlot(poolId);
+    const tasks = blockNumbers.map(blockNumber => async () => {
+      const [[words], block] = await Promise.all([
+        this.readSlotRanges([{ startSlot: slot, nSlots: POOL_STATE_VALUE_WORDS }], { blockTag: blockNumber }),
+        this.provider.getBlock(blockNumber)
+      ]);
+      const state = this.decodeFullPoolState(words);
+
+      return {
+        blockNumber,
+        timestamp: block ? block.timestamp : null,
+        sqrtPriceX96: state.sqrtPriceX96,
+        tick: state.tick,
+        liquidity: state.liquidity,
+        ...calculatePriceFields(state.sqrtPriceX96)
+      };
+    });
+
+    try {
+      console.log(`Sampling ${blockNumbers.length} blocks of pool ${poolId}...`);
+      return await runWithConcurrency(tasks, this.options.concurrency);
+    } catch (error) {
+      console.error("Error reading pool history:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch PoolManager logs over a block range, split into logBlockRange chunks
+   * @param {string|string[]} eventName - Event name(s) in POOL_MANAGER_ABI
+   * @param {number} fromBlock - First block to scan
+   * @param {number} toBlock - Last block to scan
+   * @param {Array} topics - Extra indexed topic filters after the event topic
+   * @returns {Promise<Object[]>} Raw logs ordered by block
+   */
+  async getPoolManagerLogs(eventName, fromBlock, toBlock, topics = []) {
+    const address = await this.poolManager.getAddress();
+    const eventTopic = Array.isArray(eventName)
+      ? eventName.map(name => this.poolManager.interface.getEvent(name).topicHash)
+      : this.poolManager.interface.getEvent(eventName).topicHash;
+
+    const ranges = [];
+    for (let start = fromBlock; start <= toBlock; start += this.options.logBlockRange) {
+      ranges.push([start, Math.min(start + this.options.logBlockRange - 1, toBlock)]);
+    }
+
+    const tasks = ranges.map(([start, end]) => () => this.provider.getLogs({
+      address,
+      topics: [eventTopic, ...topics],
+      fromBlock: start,
+      toBlock: end
+    }));
+
+    return (await runWithConcurrency(tasks, this.options.concurrency)).flat();
+  }
+
+  /**
+   * Discover pools by scanning PoolManager Initialize events
+   * Every decoded PoolKey is checked against the emitted ID with calculatePoolId
+   * @param {Object} options - { fromBlock (default: the PoolManager deployment block, found with an archive RPC),
+   *   toBlock ("latest" by default), token, hook }
+   * @returns {Promise<Object[]>} Pools with their PoolKey, initial price and verification result
+   */
+  async discoverPools({ fromBlock, toBlock = "latest", token = null, hook = null } = {}) {
+    try {
+      const lastBlock = toBlock === "latest" ? await this.provider.getBlockNumber() : Number(toBlock);
+      // No pool exists before the PoolManager does: a few getCode calls save scanning the chain from block 0
+      fromBlock ??= await findDeploymentBlock(this.provider, await this.poolManager.getAddress(), lastBlock);
+      console.log(`Scanning Initialize events in blocks ${fromBlock}-${lastBlock}...`);
+
+      const logs = await this.getPoolManagerLogs("Initialize", Number(fromBlock), lastBlock);
+      const pools = logs.map(log => {
+        const { args } = this.poolManager.interface.parseLog(log);
+        const fee = Number(args.fee);
+        const tickSpacing = Number(args.tickSpacing);
+        const calculatedId = this.calculatePoolId(args.currency0, args.currency1, fee, tickSpacing, args.hooks);
+
+        return {
+          poolId: args.id,
+          currency0: args.currency0,
+          currency1: args.currency1,
+          fee,
+          tickSpacing,
+          hooks: args.hooks,
+          sqrtPriceX96: args.sqrtPriceX96.toString(),
+          tick: Number(args.tick),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          verified: calculatedId === args.id
+        };
+      });
+
+      const unverified = pools.filter(pool => !pool.verified);
+      if (unverified.length > 0) {
+        console.warn(`⚠️ ${unverified.length} pool(s) did not match calculatePoolId: ${unverified.map(pool => pool.poolId).join(", ")}`);
+      }
+
+      return pools.filter(pool => {
+        if (token) {
+          const wanted = token.toLowerCase();
+          if (pool.currency0.toLowerCase() !== wanted && pool.currency1.toLowerCase() !== wanted) return false;
+        }
+        if (hook && pool.hooks.toLowerCase() !== hook.toLowerCase()) return false;
+        return true;
+      });
+    } catch (error) {
+      console.error("Error discovering pools:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate Pool ID from pool parameters
+   * @param {string} currency0 - Token 0 address
+   * @param {string} currency1 - Token 1 address  
+   * @param {number} fee - Fee tier
+   * @param {number} tickSpacing - Tick spacing
+   * @param {string} hookAddress - Hook contract address
+   * @returns {string} Calculated Pool ID
+   */
+  calculatePoolId(currency0, currency1, fee, tickSpacing, hookAddress = ethers.ZeroAddress) {
+    // Ensure currency0 < currency1 (Uniswap convention)
+    const [token0, token1] = currency0.toLowerCase() < currency1.toLowerCase() 
+      ? [currency0, currency1] 
+      : [currency1, currency0];
+
+    const encodedParams = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "address", "uint24", "int24", "address"],
+      [token0, token1, fee, tickSpacing, hookAddress]
+    );
+    
+    return ethers.keccak256(encodedParams);
+  }
+}
+
+// Usage examples
+async function main() {
+  console.log("Starting Uniswap V4 Pool Reader...");
+  console.log("=".repeat(50));
+  
+  const network = getNetwork(DEFAULT_CHAIN_ID);
+  const reader = UniswapV4PoolReader.fromNetwork(network.chainId);
+
+  try {
+    console.log("\n1. Testing connection to PoolManager...");
+    console.log(`Network: ${network.name} (${network.chainId})`);
+    console.log(`PoolManager Address: ${network.contracts.poolManager}`);
+    console.log(`RPC URL: ${network.rpcUrls[0]}`);
+    
+    // Method 1: Read pool by known Pool ID
+    console.log("\n2. Reading known Pool ID...");
+    const knownPoolId = "0x2b12523c52f9376439968e70e1f10ccc106ac80781bf40b0c8eeb2c19a22382e";
+    const poolInfo = await reader.getPoolInfo(knownPoolId);
+    console.log("Pool Info:", JSON.stringify(poolInfo, null, 2));
+
+    // Method 2: Calculate Pool ID and read
+    console.log("\n3. Calculating Pool ID from parameters...");
+    const currency0 = network.tokens.B0x.address;
+    const currency1 = network.tokens["0xBTC"].address;
+    const fee = 8388608; // Dynamic Fee
+    const tickSpacing = 60;
+    const hookAddress = network.contracts.hook;
+    
+    const calculatedPoolId = reader.calculatePoolId(currency0, currency1, fee, tickSpacing, hookAddress);
+    console.log("Calculated Pool ID:", calculatedPoolId);
+    
+    const calculatedPoolInfo = await reader.getPoolInfo(calculatedPoolId);
+    console.log("Calculated Pool Info:", JSON.stringify(calculatedPoolInfo, null, 2));
+
+    // Method 3: Read the full Pool.State (slot0, fee growth, liquidity)
+    console.log("\n4. Reading full pool state...");
+    const fullPoolState = await reader.getFullPoolState(knownPoolId);
+    console.log("Full Pool State:", JSON.stringify(fullPoolState, null, 2));
+
+    // Method 4: List initialized ticks around the current tick
+    console.log("\n5. Reading initialized ticks...");
+    const currentTick = Number(fullPoolState.tick);
+    const initializedTicks = await reader.getInitializedTicks(
+      knownPoolId, currentTick - 256 * tickSpacing, currentTick + 256 * tickSpacing, tickSpacing
+    );
+    console.log("Initialized Ticks:", JSON.stringify(initializedTicks, null, 2));
+
+    // Method 5: Batch read several pools in one request
+    console.log("\n6. Batch reading pools...");
+    const batchedPools = await reader.batchReadPools([knownPoolId, calculatedPoolId]);
+    console.log("Batched Pools:", JSON.stringify(batchedPools, null, 2));
+
+    // Method 6: Format price example
+    console.log("\n7. Price formatting example...");
+    if (poolInfo && poolInfo.sqrtPriceX96) {
+      const formattedPrice = formatPrice(poolInfo.sqrtPriceX96);
+      console.log(`Formatted Price: ${formattedPrice}`);
+
+      const poolPrice = await reader.getPoolPrice(calculatedPoolId, currency0, currency1);
+      console.log(`1 ${poolPrice.tokenA.symbol} = ${poolPrice.priceAInB} ${poolPrice.tokenB.symbol}`);
+      console.log(`1 ${poolPrice.tokenB.symbol} = ${poolPrice.priceBInA} ${poolPrice.tokenA.symbol}`);
+    }
+
+  } catch (error) {
+    console.error("Script error:", error.message);
+    console.error("Full error:", error);
+  }
+  
+  console.log("\n" + "=".repeat(50));
+  console.log("Script completed.");
+}
+
+/**
+ * Helper function to convert price to human readable format
+ * Exact BigInt math, see priceMath.js
+ * @param {string|bigint} sqrtPriceX96 - Square root price as Q64.96
+ * @param {number} decimals0 - Decimals of currency0
+ * @param {number} decimals1 - Decimals of currency1
+ * @param {boolean} invert - Price of currency1 in currency0 instead of currency0 in currency1
+ * @returns {string} Decimal price
+ */
+function formatPrice(sqrtPriceX96, decimals0 = 18, decimals1 = 18, invert = false) {
+  return sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1, { invert });
+}
+
+// Columns written by poolHistoryToCsv, in order
+const POOL_HISTORY_COLUMNS = ["blockNumber", "timestamp", "sqrtPriceX96", "tick", "liquidity", "calculatedPrice"];
+
+/**
+ * Convert pool history samples to CSV
+ * @param {Object[]} samples - Samples from getPoolHistory
+ * @returns {string} CSV text with a header row
+ */
+function poolHistoryToCsv(samples) {
+  const rows = samples.map(sample => POOL_HISTORY_COLUMNS.map(column => sample[column] ?? "").join(","));
+  return [POOL_HISTORY_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Write pool history samples to a JSON or CSV file (picked from the extension unless given)
+ * @param {Object[]} samples - Samples from getPoolHistory
+ * @param {string} filePath - Output file
+ * @param {string} format - "json" or "csv"
+ */
+function writePoolHistory(samples, filePath, format = path.extname(filePath).slice(1).toLowerCase()) {
+  if (format === "csv") {
+    writeFileSync(filePath, poolHistoryToCsv(samples));
+  } else if (format === "json") {
+    writeFileSync(filePath, JSON.stringify(samples, null, 2));
+  } else {
+    throw new Error(`Unsupported history format: ${format} (use json or csv)`);
+  }
+  console.log(`Wrote ${samples.length} samples to ${filePath}`);
+}
+
+// Export for use in other modules
+export {
+  UniswapV4PoolReader,
+  formatPrice,
+  poolHistoryToCsv,
+  writePoolHistory,
+  POOL_STATE_OFFSETS,
+  MIN_TICK,
+  MAX_TICK,
+  DEFAULT_READER_OPTIONS
+};
+
+// Only run main function when this file is executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(console.error);
+}
\ No newline at end of file
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { realpathSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { UniswapV4PoolReader } from './Uniswapv4PoolReader.js';
+import { B0xSdk } from './b0xSdk.js';
+import { getNetwork, DEFAULT_CHAIN_ID } from './networks.js';
+import { toSafeTransactionBundle, PERIOD_STATUS } from './rewardAdmin.js';
+import { toRawAmount, fromRawAmount } from './priceMath.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+const USAGE = `Usage: admin-console <command> [options]
+
+Reward admin console for LPRewardsStaking and the hook. Read-only: batches are exported for a Safe
+(or sent from the dapp's admin tab), nothing is signed here.
+
+Commands:
+  periods                  Reward period, rate and end time of every reward token
+  roles --account <addr>   Owner of the staking contract and the hook, and the account's role on each
+  batch --token <address> --amount <amount>
+                           Build the approve -> add token -> fund -> start period batch
+  log                      Past admin calls read from the chain
+
+Options:
+  --warn-hours <hours>     periods: flag periods ending within this many hours (default 72)
+  --list / --no-list       batch: force the listing steps in or out (default: list tokens not listed yet)
+  --listing-fee <usdc>     batch: USDC listing fee the staking contract charges (required to list a token)
+  --safe <address>         batch: Safe the bundle is for
+  --from <block>           log: first block to scan (default: LPRewardsStaking deployment block)
+  --to <block>             log: last block to scan (default latest)
+  --out <file>             Write the Safe bundle (batch) or the entries (log) as JSON
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint (default: the network's first rpcUrl)
+  --help                   Show this message`;
+
+const COMMANDS = ["periods", "roles", "batch", "log"];
+
+/**
+ * Time left as days and hours
+ * @param {number} seconds - Seconds left
+ * @returns {string} e.g. "2d 5h"
+ */
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  return days > 0 ? `${days}d ${hours}h` : `${hours}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        account: { type: "string" },
+        token: { type: "string" },
+        amount: { type: "string" },
+        list: { type: "boolean" },
+        "no-list": { type: "boolean", default: false },
+        "listing-fee": { type: "string" },
+        safe: { type: "string" },
+        "warn-hours": { type: "string", default: "72" },
+        from: { type: "string" },
+        to: { type: "string" },
+        out: { type: "string" },
+        chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        rpc: { type: "string" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [command] = positionals;
+  if (!COMMANDS.includes(command)) {
+    console.error(command ? `❌ Unknown command ${command}` : "❌ A command is required");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const required = { roles: ["account"], batch: ["token", "amount"] }[command] ?? [];
+  const missing = required.find(name => !values[name]);
+  if (missing) {
+    console.error(`❌ --${missing} is required`);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let reader;
+  try {
+    const network = getNetwork(values.chain);
+    reader = UniswapV4PoolReader.fromNetwork(values.chain, { rpcUrl: values.rpc });
+    const sdk = new B0xSdk(network, reader.provider);
+
+    if (command === "periods") {
+      const periods = await sdk.getRewardPeriods({ warnSeconds: Number(values["warn-hours"]) * 3600 });
+      console.log(`\n⏱️  ${periods.length} reward token(s)`);
+      for (const period of periods) {
+        const perDay = fromRawAmount(period.rewardRate * 86400n, period.decimals);
+        const ends = period.periodEndsAt ? new Date(period.periodEndsAt * 1000).toISOString() : "never started";
+        const flag = { [PERIOD_STATUS.ACTIVE]: "", [PERIOD_STATUS.ENDING]: " ⚠️  ends soon", [PERIOD_STATUS.ENDED]: " (ended)" }[period.status];
+        console.log(`   ${period.symbol}: ${perDay} per day, ends ${ends}` +
+          (period.status === PERIOD_STATUS.ENDED ? "" : `, ${formatDuration(period.secondsLeft)} left`) + flag);
+      }
+    } else if (command === "roles") {
+      const roles = await sdk.getAdminRoles(values.account);
+      for (const [contract, role] of Object.entries(roles)) {
+        const status = role.isOwner ? "owner" : role.isSafeSigner ? "signer of the owning Safe" : "no role";
+        console.log(`${contract}: owned by ${role.owner}, ${values.account} is ${status}`);
+      }
+    } else if (command === "batch") {
+      const metadata = await reader.getTokenMetadata(values.token);
+      const usdc = network.tokens.USDC;
+      const calls = await sdk.buildRewardSetupBatch({
+        token: values.token,
+        amount: toRawAmount(values.amount, metadata.decimals),
+        list: values["no-list"] ? false : values.list,
+        listingFee: values["listing-fee"] === undefined || !usdc ? undefined : toRawAmount(values["listing-fee"], usdc.decimals)
+      });
+      console.log(`\n📦 ${calls.length} step(s):`);
+      calls.forEach((call, i) => console.log(`   ${i + 1}. ${call.description} (${call.method} on ${call.to})`));
+      const bundle = toSafeTransactionBundle(calls, { chainId: network.chainId, safeAddress: values.safe });
+      if (values.out) {
+        writeFileSync(values.out, JSON.stringify(bundle, null, 2));
+        console.log(`\nWrote the Safe Transaction Builder bundle to ${values.out}`);
+      } else {
+        console.log(`\n${JSON.stringify(bundle, null, 2)}`);
+      }
+    } else {
+      const entries = await sdk.getAdminLog({
+        fromBlock: values.from === undefined ? undefined : Number(values.from),
+        toBlock: values.to === undefined ? undefined : Number(values.to)
+      });
+      console.log(`\n📜 ${entries.length} admin action(s)`);
+      for (const entry of entries) {
+        const details = [entry.token, entry.amount === null ? null : `${entry.amount} (raw)`].filter(Boolean).join(" ");
+        console.log(`   ${new Date(entry.timestamp * 1000).toISOString()} ${entry.action} ${details} by ${entry.from ?? "an unknown sender"}` +
+          (entry.safe ? ` via Safe ${entry.safe}` : "") + ` (${entry.transactionHash ?? `call not found in block ${entry.blockNumber}`})`);
+      }
+      if (values.out) {
+        writeFileSync(values.out, JSON.stringify(entries, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+        console.log(`\nWrote ${entries.length} entries to ${values.out}`);
+      }
+    }
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+  } finally {
+    reader?.provider.destroy();
+  }
+}
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
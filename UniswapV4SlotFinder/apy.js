@@ -0,0 +1,300 @@
+import { getSqrtPriceAtTick, getTickAtSqrtPrice, getPrice, fromRawAmount } from './priceMath.js';
+
+// Staking APY per reward token. Reward rates and staked totals come from LPRewardsStaking, tokens are valued
+// through price sources tried in order: a token one source cannot price is priced by the next one.
+// No dependencies, so the dapp (ethers v5) and B0xSdk (ethers v6) share it.
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const COINGECKO_API_URL = "https://api.coingecko.com/api/v3";
+const COINGECKO_CACHE_MS = 120000; // The free API is rate limited
+const DEFAULT_TWAP_WINDOW_BLOCKS = 1800; // About an hour of 2 s blocks
+const DEFAULT_TWAP_SAMPLES = 6;
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {string} address - Token address
+ * @property {string} symbol - Token symbol
+ * @property {number} decimals - Token decimals
+ * @property {string} [coingeckoId] - CoinGecko coin id (networks.json tokens carry it)
+ */
+
+/**
+ * @typedef {Object} PriceSource
+ * @property {string} name - Shown in errors
+ * @property {string} unit - What prices are expressed in: a currency ("usd") or a token address (lowercase)
+ * @property {(tokens: TokenInfo[]) => Promise<Object<string, number>>} getPrices - Prices keyed by lowercase
+ *   address; tokens the source cannot price are left out
+ */
+
+/**
+ * Time-weighted price from the hooked V4 pool of each token with a quote token.
+ * Ticks are sampled over the window and averaged, so the result is the geometric mean price.
+ * Samples that fail (pruned state on a non-archive RPC) are skipped, the latest block is always read.
+ * @param {Object} params - Source parameters
+ * @param {TokenInfo} params.quoteToken - Token prices are expressed in
+ * @param {(token: string, quoteToken: string, blockTag: number) => Promise<bigint>} params.getSqrtPriceX96 - Pool sqrt price at a block
+ * @param {() => Promise<number>} params.getBlockNumber - Latest block number
+ * @param {number} [params.windowBlocks] - Blocks covered by the average
+ * @param {number} [params.samples] - Blocks read over the window (1 for the spot price)
+ * @returns {PriceSource} Price source
+ */
+function createPoolTwapPriceSource({
+  quoteToken,
+  getSqrtPriceX96,
+  getBlockNumber,
+  windowBlocks = DEFAULT_TWAP_WINDOW_BLOCKS,
+  samples = DEFAULT_TWAP_SAMPLES
+}) {
+  const unit = quoteToken.address.toLowerCase();
+  return {
+    name: "pool-twap",
+    unit,
+    async getPrices(tokens) {
+      const latest = Number(await getBlockNumber());
+      const blocks = Array.from({ length: samples }, (_, i) =>
+        Math.max(latest - (samples > 1 ? Math.round(windowBlocks * i / (samples - 1)) : 0), 0)
+      );
+
+      const prices = {};
+      for (const token of tokens) {
+        const address = token.address.toLowerCase();
+        if (address === unit) {
+          prices[address] = 1;
+          continue;
+        }
+        const results = await Promise.allSettled(blocks.map(block => getSqrtPriceX96(token.address, quoteToken.address, block)));
+        const ticks = results
+          .filter(result => result.status === "fulfilled" && BigInt(result.value) > 0n)
+          .map(result => getTickAtSqrtPrice(BigInt(result.value)));
+        if (ticks.length === 0) continue; // No pool with the quote token
+
+        const meanTick = Math.round(ticks.reduce((sum, tick) => sum + tick, 0) / ticks.length);
+        prices[address] = Number(getPrice(getSqrtPriceAtTick(meanTick), token, quoteToken, 12));
+      }
+      return prices;
+    }
+  };
+}
+
+/**
+ * Pool TWAP source reading PoolManager storage through a UniswapV4PoolReader
+ * @param {Object} reader - UniswapV4PoolReader
+ * @param {Object} params - Same as createPoolTwapPriceSource, without the callbacks, plus the PoolKey fields
+ * @param {TokenInfo} params.quoteToken - Token prices are expressed in
+ * @param {string} params.hook - Hook of the pools
+ * @param {number} [params.fee] - PoolKey fee (default: dynamic fee flag)
+ * @param {number} [params.tickSpacing] - PoolKey tick spacing
+ * @returns {PriceSource} Price source
+ */
+function createReaderTwapPriceSource(reader, { quoteToken, hook, fee = 0x800000, tickSpacing = 60, windowBlocks, samples }) {
+  return createPoolTwapPriceSource({
+    quoteToken,
+    windowBlocks,
+    samples,
+    getBlockNumber: () => reader.provider.getBlockNumber(),
+    getSqrtPriceX96: async (token, quote, blockTag) => {
+      const poolId = reader.calculatePoolId(token, quote, fee, tickSpacing, hook);
+      return (await reader.getPoolInfo(poolId, { blockTag })).sqrtPriceX96;
+    }
+  });
+}
+
+/**
+ * Prices from the CoinGecko simple/price API, for tokens with a coingeckoId
+ * @param {Object} [params] - Source parameters
+ * @param {string} [params.vsCurrency] - Currency to price in
+ * @param {Function} [params.fetch] - fetch implementation (default: the global one)
+ * @param {string} [params.apiUrl] - API base URL (e.g. the pro API)
+ * @param {number} [params.cacheMs] - How long a response is reused
+ * @returns {PriceSource} Price source
+ */
+function createCoinGeckoPriceSource({ vsCurrency = "usd", fetch = globalThis.fetch, apiUrl = COINGECKO_API_URL, cacheMs = COINGECKO_CACHE_MS } = {}) {
+  const cache = new Map(); // ids -> { at, data }
+  return {
+    name: "coingecko",
+    unit: vsCurrency,
+    async getPrices(tokens) {
+      const listed = tokens.filter(token => token.coingeckoId);
+      if (listed.length === 0) return {};
+
+      const ids = [...new Set(listed.map(token => token.coingeckoId))].sort().join(",");
+      let cached = cache.get(ids);
+      if (!cached || cached.at < Date.now() - cacheMs) {
+        const response = await fetch(`${apiUrl}/simple/price?ids=${ids}&vs_currencies=${vsCurrency}`);
+        if (!response.ok) {
+          throw new Error(`CoinGecko request failed: ${response.status}`);
+        }
+        cached = { at: Date.now(), data: await response.json() };
+        cache.set(ids, cached);
+      }
+
+      const prices = {};
+      for (const token of listed) {
+        const price = cached.data[token.coingeckoId]?.[vsCurrency];
+        if (price !== undefined) prices[token.address.toLowerCase()] = price;
+      }
+      return prices;
+    }
+  };
+}
+
+/**
+ * Fixed prices, for tests and offline estimates
+ * @param {Object<string, number>} prices - Prices keyed by token address or symbol
+ * @param {Object} [params] - { unit (default "usd"), name }
+ * @returns {PriceSource} Price source
+ */
+function createStaticPriceSource(prices, { unit = "usd", name = "static" } = {}) {
+  const byKey = {};
+  for (const [key, price] of Object.entries(prices)) {
+    byKey[key.toLowerCase()] = Number(price);
+  }
+  return {
+    name,
+    unit: unit.toLowerCase(),
+    async getPrices(tokens) {
+      const result = {};
+      for (const token of tokens) {
+        const price = byKey[token.address.toLowerCase()] ?? byKey[token.symbol?.toLowerCase()];
+        if (price !== undefined) result[token.address.toLowerCase()] = price;
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Price sources by name, for command line and config file options
+ * @param {string[]} names - "pool", "coingecko" or "static", most trusted first
+ * @param {Object} params - What the named sources need
+ * @param {Object} [params.reader] - UniswapV4PoolReader (pool)
+ * @param {TokenInfo} [params.quoteToken] - Quote token of the pool TWAP (pool)
+ * @param {string} [params.hook] - Hook of the pools (pool)
+ * @param {number} [params.windowBlocks] - Blocks averaged by the pool TWAP (pool)
+ * @param {Object<string, number>} [params.staticPrices] - Prices keyed by symbol or address (static)
+ * @param {string} [params.unit] - Unit of the static prices
+ * @returns {PriceSource[]} Sources in the order named
+ */
+function createPriceSources(names, { reader, quoteToken, hook, windowBlocks, staticPrices, unit } = {}) {
+  return names.map(name => {
+    switch (name) {
+      case "pool":
+        if (!reader || !quoteToken) throw new Error("The pool price source needs a reader and a quote token");
+        return createReaderTwapPriceSource(reader, { quoteToken, hook, windowBlocks });
+      case "coingecko":
+        return createCoinGeckoPriceSource();
+      case "static":
+        if (!staticPrices) throw new Error("The static price source needs prices");
+        return createStaticPriceSource(staticPrices, { unit });
+      default:
+        throw new Error(`Unknown price source ${name} (use pool, coingecko or static)`);
+    }
+  });
+}
+
+/**
+ * Price tokens through a list of sources, in the unit of the first source that answers.
+ * A source quoting in a token (pool TWAP) is converted through that token's price from an earlier source.
+ * @param {TokenInfo[]} tokens - Tokens to price
+ * @param {PriceSource[]} sources - Sources, most trusted first
+ * @returns {Promise<{unit: string|null, prices: Object<string, number>, errors: string[]}>} Prices keyed by lowercase address
+ */
+async function getTokenPrices(tokens, sources) {
+  const prices = {};
+  const errors = [];
+  let unit = null;
+
+  for (const source of sources) {
+    const missing = tokens.filter(token => prices[token.address.toLowerCase()] === undefined);
+    if (missing.length === 0) break;
+
+    let sourcePrices;
+    try {
+      sourcePrices = await source.getPrices(missing);
+    } catch (error) {
+      errors.push(`${source.name}: ${error.message}`);
+      continue;
+    }
+
+    unit ??= source.unit;
+    let factor = 1;
+    if (source.unit !== unit) {
+      factor = prices[source.unit];
+      if (factor === undefined) {
+        errors.push(`${source.name}: prices are in ${source.unit}, which has no price in ${unit}`);
+        continue;
+      }
+    }
+    for (const [address, price] of Object.entries(sourcePrices)) {
+      if (prices[address] === undefined) prices[address] = price * factor;
+    }
+  }
+  return { unit, prices, errors };
+}
+
+/**
+ * APY of the staking pool, per reward token
+ * @param {Object} params - APY inputs
+ * @param {Array<TokenInfo & {rewardRate: bigint, periodEndsAt: number}>} params.rewardTokens - From getRewardOwedStats (raw
+ *   tokens per second, period end in seconds)
+ * @param {Array<TokenInfo & {amount: bigint}>} params.stakedTokens - Token totals held by the staking contract (getContractTotals)
+ * @param {PriceSource[]} params.sources - Price sources, most trusted first
+ * @param {number} [params.now] - Current time in seconds; periods that have ended pay nothing
+ * @returns {Promise<{unit: string, tvl: number, totalApy: number, tokens: Object[], unpriced: string[], errors: string[]}>}
+ *   APY in percent (simple annual rate), TVL in `unit`, and one breakdown entry per reward token
+ */
+async function computeRewardApy({ rewardTokens, stakedTokens, sources, now = Math.floor(Date.now() / 1000) }) {
+  const tokens = [];
+  for (const token of [...stakedTokens, ...rewardTokens]) {
+    if (!tokens.some(known => known.address.toLowerCase() === token.address.toLowerCase())) tokens.push(token);
+  }
+  const { unit, prices, errors } = await getTokenPrices(tokens, sources);
+  const priceOf = (token) => prices[token.address.toLowerCase()] ?? null;
+
+  let tvl = 0;
+  for (const token of stakedTokens) {
+    const price = priceOf(token);
+    if (price === null) {
+      throw new Error(`No price for staked token ${token.symbol}${errors.length > 0 ? ` (${errors.join("; ")})` : ""}`);
+    }
+    tvl += Number(fromRawAmount(token.amount, token.decimals)) * price;
+  }
+
+  const breakdown = rewardTokens.map(token => {
+    const active = token.periodEndsAt > now;
+    const yearlyRewards = active ? Number(fromRawAmount(BigInt(token.rewardRate) * BigInt(SECONDS_PER_YEAR), token.decimals)) : 0;
+    const price = priceOf(token);
+    const yearlyValue = price === null ? null : yearlyRewards * price;
+    return {
+      address: token.address,
+      symbol: token.symbol,
+      active,
+      rewardRate: BigInt(token.rewardRate),
+      yearlyRewards,
+      price,
+      yearlyValue,
+      apy: yearlyValue === null || tvl === 0 ? null : yearlyValue / tvl * 100
+    };
+  });
+
+  return {
+    unit,
+    tvl,
+    totalApy: breakdown.reduce((sum, token) => sum + (token.apy ?? 0), 0),
+    tokens: breakdown,
+    unpriced: breakdown.filter(token => token.active && token.price === null).map(token => token.symbol),
+    errors
+  };
+}
+
+// Export for use in other modules
+export {
+  computeRewardApy,
+  getTokenPrices,
+  createPoolTwapPriceSource,
+  createReaderTwapPriceSource,
+  createCoinGeckoPriceSource,
+  createStaticPriceSource,
+  createPriceSources,
+  SECONDS_PER_YEAR
+};
@@ -0,0 +1,1069 @@
+import { ethers } from 'ethers';
+import { getSqrtPriceAtTick, getLiquidityForAmounts } from './priceMath.js';
+import { findBestRoute, findRoutes } from './router.js';
+import { fetchRewardsLedger } from './rewardsLedger.js';
+import { computeRewardApy } from './apy.js';
+import { analyzePosition, decodePositionInfo, findMintBlock } from './positionAnalytics.js';
+import { getRewardPeriodStatus, buildRewardSetupBatch, fetchAdminLog } from './rewardAdmin.js';
+import { getIndexedPositions, toTokenIdRanges } from './positionIndex.js';
+
+// Contract calls of the B0x dapp without any DOM access, for Node and the browser (ethers v6, imported by its bare
+// name: the dapp maps it to the ethers ESM build with an import map).
+// Addresses come from a networks.json entry, so the same code runs against any listed chain or a local fork.
+
+// Swapper ABI (quotes, swaps, position creation)
+const SWAPPER_ABI = [
+  "function getOutput(address tokenZeroxBTC, address tokenBZeroX, address tokenIn, address hookAddress, uint128 amountIn) view returns (uint256 amountOut)",
+  "function swapTokenTWOTOKENS(address tokenA, address tokenB, address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut, address hookAddress, address WhereToSendFunds) returns (bool)",
+  "function createPositionWith2Tokens(address token, address token2, uint256 amountIn, uint256 amountIn2, uint256 currentx96, uint256 slippage, address hookAddress, address toSendNFTto) payable returns (bool)",
+  "function getsqrtPricex96(address token, address token2, address hookAddress) view returns (uint160)",
+  "function getPriceRatio(address token, address token2, address hookAddress) view returns (uint256 ratio, address token0z, address token1z, uint8 token0decimals, uint8 token1decimals)",
+  "function getAmount0andAmount1forLiquidityPercentage(address token, address token2, uint128 percentagedivby10000, uint256 tokenID, address HookAddress) view returns (uint256 amount0, uint256 amount1)",
+  "function increaseLiqTwoTokens(address tokenA, address tokenB, address hookAddress, uint256 amountA, uint256 amountB, uint256 tokenID, uint256 fees0, uint256 fees1) payable returns (bool)",
+  "function getLiquidityForAmounts(uint160 sqrtPriceX96, uint160 sqrtPriceAX96, uint160 sqrtPriceBX96, uint256 amount0, uint256 amount1) pure returns (uint128 liquidity)"
+];
+
+// LPRewardsStaking ABI (staking, rewards and reward admin)
+const LP_REWARDS_STAKING_ABI = [
+  "function stakeUniswapV3NFT(uint256 tokenId)",
+  "function withdraw(uint256 tokenId) returns (bool)",
+  "function getRewardForTokens(address[] rewardTokens)",
+  "function getRewardTokens() view returns (address[])",
+  "function getRewardOwedStats() view returns (address[] rewardTokenAddresses, uint256[] rewardsOwed, string[] tokenSymbols, string[] tokenNames, uint8[] tokenDecimals, uint256[] tokenRewardRates, uint256[] tokenPeriodEndsAt)",
+  "function getContractTotals() view returns (uint128 liquidityInStaking, uint128 totalPooLLiquidity, uint256 total0xBTCStaked, uint256 totalB0xStaked)",
+  "function duration_of_rewards() view returns (uint64)",
+  "function increaseLiquidityOfPosition(address forWho, uint256 amount0In, uint256 amount1In, uint256 tokenID, uint160 expectedSqrtPricex96, uint160 slippageBps) returns (bool)",
+  "function decreaseLiquidityOfPosition(uint256 tokenID, uint128 percentageToRemoveOutOf10000000000000, uint256 minAmount0, uint256 minAmount1) returns (bool)",
+  "function getTokenAmountForPercentageLiquidity(uint256 tokenID, uint128 percentageToRemoveOutOf10000000000000, address ownerOfNFT) view returns (uint256 amount0fees, uint256 amount1fees, uint256 amount0, uint256 amount1)",
+  "function addRewardToken(address token)",
+  "function removeRewardToken(address token)",
+  "function setRewardParams(address token)",
+  "function owner() view returns (address)"
+];
+
+// Hook ABI (admin fee control)
+const HOOK_ABI = [
+  "function forceUpdateLPFee((address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) key, uint24 newFee)",
+  "function owner() view returns (address)"
+];
+
+// PositionManager ABI (minimal for modifyLiquidities, position reads and NFT approval)
+const POSITION_MANAGER_ABI = [
+  "function modifyLiquidities(bytes unlockData, uint256 deadline) payable",
+  "function getPositionLiquidity(uint256 tokenId) view returns (uint128 liquidity)",
+  "function getPoolAndPositionInfo(uint256 tokenId) view returns ((address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, uint256 info)",
+  "function nextTokenId() view returns (uint256)",
+  "function approve(address to, uint256 tokenId)"
+];
+
+// PositionFinderPro ABI (NFT lookups by owner)
+const POSITION_FINDER_ABI = [
+  "function getMaxUniswapIDPossible() view returns (uint256)",
+  "function findUserTokenIdswithMinimum(address user, uint256 startId, uint256 endId, address Token0, address Token1, address HookAddress, uint256 minTokenA) view returns (uint256[] ownedTokens, uint256[] amountTokenA, uint256[] amountTokenB, uint128[] positionLiquidity, int128[] feesOwedTokenA, int128[] feesOwedTokenB, (address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks)[] poolKeyz, uint256[] poolInfo)",
+  "function getMaxStakedIDforUser(address user) view returns (uint256)",
+  "function getIDSofStakedTokensForUserwithMinimum(address user, address Token0, address Token1, uint256 minAmount0, uint256 startIndex, uint256 count, address HookAddress) view returns (uint256[] ids, uint256[] LiquidityTokenA, uint256[] LiquidityTokenB, uint128[] positionLiquidity, uint256[] timeStakedAt, uint256[] multiplierPenalty, address[] currency0, address[] currency1, uint256[] poolInfo)"
+];
+
+// Safe ABI (owner check of a multisig contract owner)
+const SAFE_ABI = [
+  "function isOwner(address owner) view returns (bool)"
+];
+
+// Permit2 ABI (minimal for allowance and approve)
+const PERMIT2_ABI = [
+  "function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)",
+  "function approve(address token, address spender, uint160 amount, uint48 expiration)"
+];
+
+// ERC20 ABI (minimal for approvals and balances)
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+// Pool and transaction defaults
+const DYNAMIC_FEE = 0x800000; // LPFeeLibrary.DYNAMIC_FEE_FLAG, the hook sets the fee
+const DEFAULT_TICK_SPACING = 60;
+const FULL_RANGE_TICK_LOWER = -887220; // Lowest tick usable with tickSpacing 60
+const FULL_RANGE_TICK_UPPER = 887220;
+const DEFAULT_SLIPPAGE_BPS = 100; // 1%
+const DEADLINE_SECONDS = 160;
+const STAKED_PERCENTAGE_SCALE = 10000000000000n; // decreaseLiquidityOfPosition takes percentages out of 1e13
+const PERMIT2_EXPIRATION_SECONDS = 30 * 24 * 60 * 60;
+
+// PositionManager action codes (v4-periphery Actions.sol)
+const POSITION_ACTIONS = {
+  INCREASE_LIQUIDITY: 0x00,
+  DECREASE_LIQUIDITY: 0x01,
+  MINT_POSITION: 0x02,
+  SETTLE_PAIR: 0x0d,
+  TAKE_PAIR: 0x11,
+  CLOSE_CURRENCY: 0x12
+};
+
+/**
+ * @typedef {Object} PoolKey
+ * @property {string} currency0 - Token with the lower address
+ * @property {string} currency1 - Token with the higher address
+ * @property {number} fee - LP fee, or the dynamic fee flag
+ * @property {number} tickSpacing - Tick spacing
+ * @property {string} hooks - Hook address
+ */
+
+/**
+ * @typedef {Object} SwapQuote
+ * @property {string} tokenIn - Token sold
+ * @property {string} tokenOut - Token bought
+ * @property {bigint} amountIn - Raw amount sold
+ * @property {bigint} amountOut - Raw amount bought at the current pool price
+ * @property {bigint} minAmountOut - amountOut less the slippage tolerance
+ */
+
+/**
+ * @typedef {Object} RewardOwed
+ * @property {string} token - Reward token address
+ * @property {string} symbol - Token symbol
+ * @property {string} name - Token name
+ * @property {number} decimals - Token decimals
+ * @property {bigint} owed - Raw amount claimable by the account
+ * @property {bigint} rewardRate - Raw amount paid per second to all stakers
+ * @property {number} periodEndsAt - Unix time the current reward period ends
+ */
+
+/**
+ * @typedef {Object} Position
+ * @property {bigint} tokenId - PositionManager NFT ID
+ * @property {bigint} amountA - Raw tokenA in the position (tokens as passed to the lookup)
+ * @property {bigint} amountB - Raw tokenB in the position
+ * @property {bigint} liquidity - Position liquidity
+ * @property {bigint} feesOwedA - Raw uncollected tokenA fees
+ * @property {bigint} feesOwedB - Raw uncollected tokenB fees
+ * @property {PoolKey} poolKey - Pool of the position
+ * @property {bigint} poolInfo - Packed PositionInfo (ticks, see positionAnalytics.js)
+ */
+
+/**
+ * @typedef {Object} StakedPosition
+ * @property {bigint} tokenId - PositionManager NFT ID
+ * @property {bigint} amountA - Raw tokenA in the position (tokens as passed to the lookup)
+ * @property {bigint} amountB - Raw tokenB in the position
+ * @property {bigint} liquidity - Position liquidity
+ * @property {number} stakedAt - Unix time of the stake
+ * @property {bigint} multiplierPenalty - Early-withdraw penalty multiplier
+ * @property {string} currency0 - currency0 of the position's pool
+ * @property {string} currency1 - currency1 of the position's pool
+ * @property {bigint} poolInfo - Packed PositionInfo (ticks, see positionAnalytics.js)
+ */
+
+/**
+ * Reduce an amount by a slippage tolerance
+ * @param {bigint} amount - Raw amount
+ * @param {number} slippageBps - Tolerance in basis points (100 = 1%)
+ * @returns {bigint} Minimum acceptable amount
+ */
+function applySlippage(amount, slippageBps) {
+  return BigInt(amount) * BigInt(10000 - slippageBps) / 10000n;
+}
+
+/**
+ * Encode PositionManager actions and their params for modifyLiquidities
+ * @param {number[]} actions - Action codes from POSITION_ACTIONS
+ * @param {string[]} params - ABI-encoded params, one per action
+ * @returns {string} unlockData
+ */
+function encodeActions(actions, params) {
+  return ethers.AbiCoder.defaultAbiCoder().encode(
+    ["bytes", "bytes[]"],
+    [ethers.hexlify(Uint8Array.from(actions)), params]
+  );
+}
+
+class B0xSdk {
+  /**
+   * @param {import('./networks.js').NetworkConfig} network - networks.json entry of the chain to use
+   * @param {ethers.ContractRunner} runner - Signer for transactions, or a provider for reads only
+   */
+  constructor(network, runner) {
+    this.network = network;
+    this.runner = runner;
+    this.provider = runner.provider ?? runner;
+    const contracts = network.contracts;
+    const missing = ["swapper", "lpRewardsStaking", "hook", "positionManager", "positionFinderPro", "permit2"]
+      .filter(name => !contracts[name]);
+    if (missing.length > 0) {
+      throw new Error(`${missing.join(", ")} not deployed on ${network.name}`);
+    }
+
+    this.hookAddress = contracts.hook;
+    this.swapper = new ethers.Contract(contracts.swapper, SWAPPER_ABI, runner);
+    this.staking = new ethers.Contract(contracts.lpRewardsStaking, LP_REWARDS_STAKING_ABI, runner);
+    this.hook = new ethers.Contract(contracts.hook, HOOK_ABI, runner);
+    this.positionManager = new ethers.Contract(contracts.positionManager, POSITION_MANAGER_ABI, runner);
+    this.positionFinder = new ethers.Contract(contracts.positionFinderPro, POSITION_FINDER_ABI, runner);
+    this.permit2 = new ethers.Contract(contracts.permit2, PERMIT2_ABI, runner);
+  }
+
+  /**
+   * Address of the connected signer
+   * @returns {Promise<string>} Signer address
+   */
+  async getAccount() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new Error("A signer is required to send transactions");
+    }
+    return this.runner.getAddress();
+  }
+
+  /**
+   * PoolKey of the hooked pool for a token pair
+   * @param {string} tokenA - One token of the pair
+   * @param {string} tokenB - The other token
+   * @returns {PoolKey} Pool key with the tokens sorted
+   */
+  getPoolKey(tokenA, tokenB) {
+    const [currency0, currency1] = BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+    return {
+      currency0,
+      currency1,
+      fee: DYNAMIC_FEE,
+      tickSpacing: DEFAULT_TICK_SPACING,
+      hooks: this.hookAddress
+    };
+  }
+
+  /**
+   * Current sqrtPriceX96 of the pool for a token pair
+   * @param {string} tokenA - One token of the pair
+   * @param {string} tokenB - The other token
+   * @returns {Promise<bigint>} Pool sqrt price
+   */
+  async getSqrtPriceX96(tokenA, tokenB) {
+    return this.swapper.getsqrtPricex96(tokenA, tokenB, this.hookAddress);
+  }
+
+  /**
+   * Quote a swap through the pool of two tokens
+   * @param {Object} params - Swap parameters
+   * @param {string} params.tokenIn - Token sold
+   * @param {string} params.tokenOut - Token bought
+   * @param {bigint} params.amountIn - Raw amount sold
+   * @param {number} params.slippageBps - Tolerance used for minAmountOut
+   * @returns {Promise<SwapQuote>} Quote
+   */
+  async quote({ tokenIn, tokenOut, amountIn, slippageBps = DEFAULT_SLIPPAGE_BPS }) {
+    const { currency0, currency1 } = this.getPoolKey(tokenIn, tokenOut);
+    const amountOut = await this.swapper.getOutput(currency0, currency1, tokenIn, this.hookAddress, amountIn);
+    return {
+      tokenIn,
+      tokenOut,
+      amountIn: BigInt(amountIn),
+      amountOut,
+      minAmountOut: applySlippage(amountOut, slippageBps)
+    };
+  }
+
+  /**
+   * Swap one token of a pair for the other
+   * @param {Object} params - Swap parameters
+   * @param {string} params.tokenIn - Token sold
+   * @param {string} params.tokenOut - Token bought
+   * @param {bigint} params.amountIn - Raw amount sold
+   * @param {bigint} [params.minAmountOut] - Minimum raw amount bought (default: quote less slippage)
+   * @param {number} [params.slippageBps] - Tolerance used when minAmountOut is not given
+   * @param {string} [params.recipient] - Receiver of tokenOut (default: the signer)
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the swap
+   */
+  async swap({ tokenIn, tokenOut, amountIn, minAmountOut, slippageBps = DEFAULT_SLIPPAGE_BPS, recipient }) {
+    recipient ??= await this.getAccount();
+    minAmountOut ??= (await this.quote({ tokenIn, tokenOut, amountIn, slippageBps })).minAmountOut;
+
+    await this.approveIfNeeded(tokenIn, this.swapper.target, amountIn);
+    const { currency0, currency1 } = this.getPoolKey(tokenIn, tokenOut);
+    const tx = await this.swapper.swapTokenTWOTOKENS(
+      currency0, currency1, tokenIn, tokenOut, amountIn, minAmountOut, this.hookAddress, recipient
+    );
+    return tx.wait();
+  }
+
+  /**
+   * Best direct or two-hop route through the pools of the network's token list
+   * @param {Object} params - Route parameters
+   * @param {string} params.tokenIn - Token sold
+   * @param {string} params.tokenOut - Token bought
+   * @param {bigint} params.amountIn - Raw amount sold
+   * @param {string[]} [params.tokens] - Intermediate tokens to try (default: the network's token list)
+   * @param {boolean} [params.all] - Return every route found, best first
+   * @returns {Promise<import('./router.js').Route|import('./router.js').Route[]>} Best route (or all routes)
+   */
+  async findRoute({ tokenIn, tokenOut, amountIn, tokens, all = false }) {
+    const params = {
+      tokenIn,
+      tokenOut,
+      amountIn,
+      tokens: tokens ?? Object.values(this.network.tokens).map(token => token.address),
+      quoter: {
+        quoteExactIn: async (hopIn, hopOut, hopAmountIn) => (await this.quote({ tokenIn: hopIn, tokenOut: hopOut, amountIn: hopAmountIn })).amountOut,
+        getSqrtPriceX96: (tokenA, tokenB) => this.getSqrtPriceX96(tokenA, tokenB)
+      }
+    };
+    return all ? findRoutes(params) : findBestRoute(params);
+  }
+
+  /**
+   * Swap along a route, one transaction per hop
+   * Each later hop sells what the previous hop actually delivered, with the slippage tolerance applied per hop.
+   * @param {import('./router.js').Route} route - Route from findRoute
+   * @param {Object} [options] - Swap options
+   * @param {number} [options.slippageBps] - Tolerance per hop
+   * @param {string} [options.recipient] - Receiver of the final token (default: the signer)
+   * @returns {Promise<ethers.TransactionReceipt[]>} One receipt per hop
+   */
+  async swapRoute(route, { slippageBps = DEFAULT_SLIPPAGE_BPS, recipient } = {}) {
+    const account = await this.getAccount();
+    recipient ??= account;
+    const receipts = [];
+    let amountIn = route.amountIn;
+
+    for (const [i, hop] of route.hops.entries()) {
+      const lastHop = i === route.hops.length - 1;
+      // Scale the quoted output when the previous hop delivered a different amount
+      const expectedOut = hop.amountOut * amountIn / hop.amountIn;
+      const balanceBefore = lastHop ? 0n : await this.getBalance(hop.tokenOut, account);
+      receipts.push(await this.swap({
+        tokenIn: hop.tokenIn,
+        tokenOut: hop.tokenOut,
+        amountIn,
+        minAmountOut: applySlippage(expectedOut, slippageBps),
+        recipient: lastHop ? recipient : account
+      }));
+      if (!lastHop) {
+        amountIn = await this.getBalance(hop.tokenOut, account) - balanceBefore;
+      }
+    }
+    return receipts;
+  }
+
+  /**
+   * Token balance of an account (native ETH for the zero address)
+   * @param {string} token - Token address
+   * @param {string} account - Holder
+   * @returns {Promise<bigint>} Raw balance
+   */
+  async getBalance(token, account) {
+    if (token === ethers.ZeroAddress) {
+      return this.provider.getBalance(account);
+    }
+    return new ethers.Contract(token, ERC20_ABI, this.runner).balanceOf(account);
+  }
+
+  /**
+   * Mint a position in the pool of two tokens. Full range goes through the Swapper (the range staking accepts);
+   * a narrower tickLower/tickUpper (see getTickRangeForPrices in priceMath.js) is minted on the PositionManager.
+   * @param {Object} params - Position parameters
+   * @param {string} params.tokenA - First token
+   * @param {string} params.tokenB - Second token
+   * @param {bigint} params.amountA - Raw amount of tokenA to deposit
+   * @param {bigint} params.amountB - Raw amount of tokenB to deposit
+   * @param {number} [params.slippageBps] - Allowed price move since the quote
+   * @param {bigint} [params.sqrtPriceX96] - Expected pool price (default: read now)
+   * @param {string} [params.recipient] - Receiver of the NFT (default: the signer)
+   * @param {number} [params.tickLower] - Lower tick, a multiple of the tick spacing (default: full range)
+   * @param {number} [params.tickUpper] - Upper tick (default: full range)
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mint
+   */
+  async createPosition({ tokenA, tokenB, amountA, amountB, slippageBps = DEFAULT_SLIPPAGE_BPS, sqrtPriceX96, recipient, tickLower, tickUpper }) {
+    recipient ??= await this.getAccount();
+    sqrtPriceX96 ??= await this.getSqrtPriceX96(tokenA, tokenB);
+
+    tickLower ??= FULL_RANGE_TICK_LOWER;
+    tickUpper ??= FULL_RANGE_TICK_UPPER;
+    if (tickLower !== FULL_RANGE_TICK_LOWER || tickUpper !== FULL_RANGE_TICK_UPPER) {
+      return this.mintPosition({ tokenA, tokenB, amountA, amountB, slippageBps, sqrtPriceX96, recipient, tickLower, tickUpper });
+    }
+
+    await this.approveIfNeeded(tokenA, this.swapper.target, amountA);
+    await this.approveIfNeeded(tokenB, this.swapper.target, amountB);
+    const value = (tokenA === ethers.ZeroAddress ? BigInt(amountA) : 0n) + (tokenB === ethers.ZeroAddress ? BigInt(amountB) : 0n);
+    const tx = await this.swapper.createPositionWith2Tokens(
+      tokenA, tokenB, amountA, amountB, sqrtPriceX96, slippageBps, this.hookAddress, recipient, { value }
+    );
+    return tx.wait();
+  }
+
+  /**
+   * Mint a position with any range through PositionManager.modifyLiquidities (MINT_POSITION, then SETTLE_PAIR).
+   * The liquidity is what the amounts buy at sqrtPriceX96; the maximums allow for slippageBps more of each token.
+   * @param {Object} params - Same as createPosition, with tickLower and tickUpper required
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mint
+   */
+  async mintPosition({ tokenA, tokenB, amountA, amountB, slippageBps = DEFAULT_SLIPPAGE_BPS, sqrtPriceX96, recipient, tickLower, tickUpper }) {
+    if (tokenA === ethers.ZeroAddress || tokenB === ethers.ZeroAddress) {
+      throw new Error("Custom ranges take ERC20 tokens only, wrap ETH first");
+    }
+    if (tickLower % DEFAULT_TICK_SPACING !== 0 || tickUpper % DEFAULT_TICK_SPACING !== 0 || tickLower >= tickUpper) {
+      throw new Error(`Invalid range ${tickLower} to ${tickUpper}: ticks must be multiples of ${DEFAULT_TICK_SPACING}, lower first`);
+    }
+    recipient ??= await this.getAccount();
+    sqrtPriceX96 ??= await this.getSqrtPriceX96(tokenA, tokenB);
+
+    const poolKey = this.getPoolKey(tokenA, tokenB);
+    const [amount0, amount1] = poolKey.currency0 === tokenA ? [BigInt(amountA), BigInt(amountB)] : [BigInt(amountB), BigInt(amountA)];
+    const liquidity = getLiquidityForAmounts(
+      sqrtPriceX96,
+      getSqrtPriceAtTick(tickLower),
+      getSqrtPriceAtTick(tickUpper),
+      amount0,
+      amount1
+    );
+    if (liquidity === 0n) {
+      throw new Error("The amounts buy no liquidity in this range (outside the current price only one of the tokens is used)");
+    }
+    const amount0Max = amount0 * BigInt(10000 + slippageBps) / 10000n;
+    const amount1Max = amount1 * BigInt(10000 + slippageBps) / 10000n;
+    await this.approveViaPermit2(poolKey.currency0, this.positionManager.target, amount0Max);
+    await this.approveViaPermit2(poolKey.currency1, this.positionManager.target, amount1Max);
+
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    const unlockData = encodeActions(
+      [POSITION_ACTIONS.MINT_POSITION, POSITION_ACTIONS.SETTLE_PAIR],
+      [
+        abiCoder.encode(
+          ["(address,address,uint24,int24,address)", "int24", "int24", "uint256", "uint128", "uint128", "address", "bytes"],
+          [
+            [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks],
+            tickLower, tickUpper, liquidity, amount0Max, amount1Max, recipient, "0x"
+          ]
+        ),
+        abiCoder.encode(["address", "address"], [poolKey.currency0, poolKey.currency1])
+      ]
+    );
+
+    const tx = await this.positionManager.modifyLiquidities(unlockData, this.getDeadline());
+    return tx.wait();
+  }
+
+  /**
+   * Add liquidity to a position, held in the wallet or staked
+   * @param {Object} params - Increase parameters
+   * @param {bigint|number} params.tokenId - Position NFT ID
+   * @param {string} params.tokenA - First token of the pool
+   * @param {string} params.tokenB - Second token of the pool
+   * @param {bigint} params.amountA - Maximum raw amount of tokenA to add
+   * @param {bigint} params.amountB - Maximum raw amount of tokenB to add
+   * @param {boolean} [params.staked] - Position is held by LPRewardsStaking
+   * @param {number} [params.slippageBps] - Allowed price move (staked positions)
+   * @param {bigint} [params.feesA] - Unclaimed tokenA fees of the position; when they exceed amountA the surplus is paid out
+   * @param {bigint} [params.feesB] - Unclaimed tokenB fees of the position
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the increase
+   */
+  async increaseLiquidity({ tokenId, tokenA, tokenB, amountA, amountB, staked = false, slippageBps = DEFAULT_SLIPPAGE_BPS, feesA = 0n, feesB = 0n }) {
+    const poolKey = this.getPoolKey(tokenA, tokenB);
+    const aIsToken0 = poolKey.currency0 === tokenA;
+    const [amount0, amount1] = aIsToken0 ? [BigInt(amountA), BigInt(amountB)] : [BigInt(amountB), BigInt(amountA)];
+    const [fees0, fees1] = aIsToken0 ? [BigInt(feesA), BigInt(feesB)] : [BigInt(feesB), BigInt(feesA)];
+    const sqrtPriceX96 = await this.getSqrtPriceX96(tokenA, tokenB);
+
+    if (staked) {
+      await this.approveIfNeeded(poolKey.currency0, this.staking.target, amount0);
+      await this.approveIfNeeded(poolKey.currency1, this.staking.target, amount1);
+      const tx = await this.staking.increaseLiquidityOfPosition(
+        await this.getAccount(), amount0, amount1, tokenId, sqrtPriceX96, slippageBps
+      );
+      return tx.wait();
+    }
+
+    // Unclaimed fees are collected into the increase, so only the rest has to be paid in
+    const pay0 = amount0 > fees0 ? amount0 - fees0 : 0n;
+    const pay1 = amount1 > fees1 ? amount1 - fees1 : 0n;
+    await this.approveViaPermit2(poolKey.currency0, this.positionManager.target, pay0);
+    await this.approveViaPermit2(poolKey.currency1, this.positionManager.target, pay1);
+
+    // Positions minted with a custom range take liquidity for their own ticks
+    const [, info] = await this.positionManager.getPoolAndPositionInfo(tokenId);
+    const { tickLower, tickUpper } = decodePositionInfo(info);
+    const liquidity = getLiquidityForAmounts(
+      sqrtPriceX96,
+      getSqrtPriceAtTick(tickLower),
+      getSqrtPriceAtTick(tickUpper),
+      amount0,
+      amount1
+    );
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    const increaseParams = abiCoder.encode(
+      ["uint256", "int128", "uint256", "uint256", "bytes"],
+      [tokenId, liquidity, amount0, amount1, "0x"]
+    );
+
+    // Fees larger than the deposit leave a credit, which SETTLE_PAIR cannot take
+    const unlockData = fees0 > amount0 || fees1 > amount1
+      ? encodeActions(
+        [POSITION_ACTIONS.INCREASE_LIQUIDITY, POSITION_ACTIONS.CLOSE_CURRENCY, POSITION_ACTIONS.CLOSE_CURRENCY],
+        [increaseParams, abiCoder.encode(["address"], [poolKey.currency0]), abiCoder.encode(["address"], [poolKey.currency1])]
+      )
+      : encodeActions(
+        [POSITION_ACTIONS.INCREASE_LIQUIDITY, POSITION_ACTIONS.SETTLE_PAIR],
+        [increaseParams, abiCoder.encode(["address", "address"], [poolKey.currency0, poolKey.currency1])]
+      );
+
+    const tx = await this.positionManager.modifyLiquidities(unlockData, this.getDeadline());
+    return tx.wait();
+  }
+
+  /**
+   * Remove a percentage of the liquidity of a position, held in the wallet or staked
+   * @param {Object} params - Decrease parameters
+   * @param {bigint|number} params.tokenId - Position NFT ID
+   * @param {string} params.tokenA - First token of the pool
+   * @param {string} params.tokenB - Second token of the pool
+   * @param {number} params.percentageBps - Share of the liquidity to remove, out of 10000
+   * @param {boolean} [params.staked] - Position is held by LPRewardsStaking
+   * @param {number} [params.slippageBps] - Tolerance on the amounts received
+   * @param {string} [params.recipient] - Receiver of the tokens (default: the signer)
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the decrease
+   */
+  async decreaseLiquidity({ tokenId, tokenA, tokenB, percentageBps, staked = false, slippageBps = DEFAULT_SLIPPAGE_BPS, recipient }) {
+    if (percentageBps <= 0 || percentageBps > 10000) {
+      throw new Error(`percentageBps must be in (0, 10000], got ${percentageBps}`);
+    }
+    const account = await this.getAccount();
+    recipient ??= account;
+
+    if (staked) {
+      const percentage = BigInt(percentageBps) * STAKED_PERCENTAGE_SCALE / 10000n;
+      const amounts = await this.staking.getTokenAmountForPercentageLiquidity(tokenId, percentage, account);
+      const tx = await this.staking.decreaseLiquidityOfPosition(
+        tokenId,
+        percentage,
+        applySlippage(amounts.amount0, slippageBps),
+        applySlippage(amounts.amount1, slippageBps)
+      );
+      return tx.wait();
+    }
+
+    const poolKey = this.getPoolKey(tokenA, tokenB);
+    const amounts = await this.swapper.getAmount0andAmount1forLiquidityPercentage(
+      poolKey.currency0, poolKey.currency1, percentageBps, tokenId, this.hookAddress
+    );
+    const positionLiquidity = await this.positionManager.getPositionLiquidity(tokenId);
+    const liquidity = percentageBps === 10000 ? positionLiquidity : positionLiquidity * BigInt(percentageBps) / 10000n;
+
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    const unlockData = encodeActions(
+      [POSITION_ACTIONS.DECREASE_LIQUIDITY, POSITION_ACTIONS.TAKE_PAIR],
+      [
+        abiCoder.encode(
+          ["uint256", "int128", "uint256", "uint256", "bytes"],
+          [tokenId, liquidity, applySlippage(amounts.amount0, slippageBps), applySlippage(amounts.amount1, slippageBps), "0x"]
+        ),
+        abiCoder.encode(["address", "address", "address"], [poolKey.currency0, poolKey.currency1, recipient])
+      ]
+    );
+
+    const tx = await this.positionManager.modifyLiquidities(unlockData, this.getDeadline());
+    return tx.wait();
+  }
+
+  /**
+   * Stake a position NFT in LPRewardsStaking
+   * @param {bigint|number} tokenId - Position NFT ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the stake
+   */
+  async stake(tokenId) {
+    const approveTx = await this.positionManager.approve(this.staking.target, tokenId);
+    await approveTx.wait();
+    const tx = await this.staking.stakeUniswapV3NFT(tokenId);
+    return tx.wait();
+  }
+
+  /**
+   * Withdraw a staked position NFT
+   * @param {bigint|number} tokenId - Position NFT ID
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the withdrawal
+   */
+  async unstake(tokenId) {
+    const tx = await this.staking.withdraw(tokenId);
+    return tx.wait();
+  }
+
+  /**
+   * Reward tokens currently paid by LPRewardsStaking
+   * @returns {Promise<string[]>} Reward token addresses
+   */
+  async getRewardTokens() {
+    return [...await this.staking.getRewardTokens()];
+  }
+
+  /**
+   * Rewards claimable by an account, per reward token
+   * @param {string} [account] - Staker (default: the signer)
+   * @param {Object} [options] - { blockTag } to read a past block (needs an archive RPC)
+   * @returns {Promise<RewardOwed[]>} One entry per reward token
+   */
+  async getRewardsOwed(account, { blockTag } = {}) {
+    account ??= await this.getAccount();
+    // Owed amounts are computed for msg.sender
+    const stats = await this.staking.getRewardOwedStats.staticCall({ from: account, blockTag });
+    return stats.rewardTokenAddresses.map((token, i) => ({
+      token,
+      symbol: stats.tokenSymbols[i],
+      name: stats.tokenNames[i],
+      decimals: Number(stats.tokenDecimals[i]),
+      owed: stats.rewardsOwed[i],
+      rewardRate: stats.tokenRewardRates[i],
+      periodEndsAt: Number(stats.tokenPeriodEndsAt[i])
+    }));
+  }
+
+  /**
+   * Claim rewards of the signer
+   * @param {string[]} [rewardTokens] - Tokens to claim (default: every reward token)
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the claim
+   */
+  async claimRewards(rewardTokens) {
+    rewardTokens ??= await this.getRewardTokens();
+    const tx = await this.staking.getRewardForTokens(rewardTokens);
+    return tx.wait();
+  }
+
+  /**
+   * Staking APY per reward token, with the staking pool's TVL (see apy.js)
+   * @param {Object} params - APY parameters
+   * @param {import('./apy.js').PriceSource[]} params.sources - Price sources, most trusted first
+   * @returns {Promise<Object>} computeRewardApy result: unit, tvl, totalApy and the per-token breakdown
+   */
+  async getRewardApy({ sources }) {
+    // Reward rates do not depend on the caller, any account works for getRewardOwedStats
+    const [rewards, totals] = await Promise.all([this.getRewardsOwed(ethers.ZeroAddress), this.getStakingTotals()]);
+    const tokenInfo = (address, symbol, decimals) => {
+      const listed = Object.values(this.network.tokens).find(token => token.address.toLowerCase() === address.toLowerCase());
+      return { address, symbol, decimals, coingeckoId: listed?.coingeckoId };
+    };
+    const { B0x, "0xBTC": zeroXBTC } = this.network.tokens;
+
+    return computeRewardApy({
+      rewardTokens: rewards.map(reward => ({
+        ...tokenInfo(reward.token, reward.symbol, reward.decimals),
+        rewardRate: reward.rewardRate,
+        periodEndsAt: reward.periodEndsAt
+      })),
+      stakedTokens: [
+        { ...tokenInfo(B0x.address, "B0x", B0x.decimals), amount: totals.totalB0xStaked },
+        { ...tokenInfo(zeroXBTC.address, "0xBTC", zeroXBTC.decimals), amount: totals.total0xBTCStaked }
+      ],
+      sources
+    });
+  }
+
+  /**
+   * Stake, withdraw, claim and early-withdraw penalty history of an account (see rewardsLedger.js)
+   * @param {string} [account] - Staker (default: the signer)
+   * @param {Object} [options] - { fromBlock (default: staking deployment), toBlock, rewardTokens (default: every token the
+   *   contract paid the account, removed ones included), penalties (default true) }
+   * @returns {Promise<import('./rewardsLedger.js').LedgerEntry[]>} Entries in chain order
+   */
+  async getRewardsLedger(account, { fromBlock, toBlock, rewardTokens, penalties = true } = {}) {
+    account ??= await this.getAccount();
+    return fetchRewardsLedger({
+      provider: this.provider,
+      account,
+      stakingAddress: await this.staking.getAddress(),
+      positionManagerAddress: await this.positionManager.getAddress(),
+      rewardTokens,
+      fromBlock,
+      toBlock,
+      getRewardsOwedAt: penalties ? (blockTag) => this.getRewardsOwed(account, { blockTag }) : undefined
+    });
+  }
+
+  /**
+   * Liquidity and token totals held by LPRewardsStaking
+   * @returns {Promise<{liquidityInStaking: bigint, totalPoolLiquidity: bigint, total0xBTCStaked: bigint, totalB0xStaked: bigint, rewardDuration: number}>} Totals
+   */
+  async getStakingTotals() {
+    const [totals, rewardDuration] = await Promise.all([
+      this.staking.getContractTotals(),
+      this.staking.duration_of_rewards()
+    ]);
+    return {
+      liquidityInStaking: totals.liquidityInStaking,
+      totalPoolLiquidity: totals.totalPooLLiquidity,
+      total0xBTCStaked: totals.total0xBTCStaked,
+      totalB0xStaked: totals.totalB0xStaked,
+      rewardDuration: Number(rewardDuration)
+    };
+  }
+
+  /**
+   * Position NFTs an address holds in the pool of two tokens
+   * @param {string} owner - Wallet (or the staking contract)
+   * @param {Object} params - Search parameters
+   * @param {string} params.tokenA - First token of the pool
+   * @param {string} params.tokenB - Second token of the pool
+   * @param {bigint} [params.minAmountA] - Skip positions holding less tokenA (spam filter)
+   * @param {number} [params.batchSize] - Token IDs scanned per call
+   * @param {import('./positionIndex.js').PositionIndex} [params.index] - Synced position index: only the owner's
+   *   indexed token IDs are read, instead of scanning every ID minted so far
+   * @returns {Promise<Position[]>} Positions
+   */
+  async getPositions(owner, { tokenA, tokenB, minAmountA = 0n, batchSize = 1000, index }) {
+    let ranges;
+    if (index) {
+      ranges = toTokenIdRanges(getIndexedPositions(index, owner).map(position => position.tokenId), batchSize);
+    } else {
+      const maxId = Number(await this.positionFinder.getMaxUniswapIDPossible());
+      ranges = [];
+      for (let startId = 0; startId < maxId; startId += batchSize) {
+        ranges.push([startId, Math.min(startId + batchSize - 1, maxId - 1)]);
+      }
+    }
+
+    const positions = [];
+    for (const [startId, endId] of ranges) {
+      const result = await this.positionFinder.findUserTokenIdswithMinimum(
+        owner, startId, endId, tokenA, tokenB, this.hookAddress, minAmountA
+      );
+      result.ownedTokens.forEach((tokenId, i) => {
+        const { currency0, currency1, fee, tickSpacing, hooks } = result.poolKeyz[i];
+        positions.push({
+          tokenId,
+          amountA: result.amountTokenA[i],
+          amountB: result.amountTokenB[i],
+          liquidity: result.positionLiquidity[i],
+          feesOwedA: result.feesOwedTokenA[i],
+          feesOwedB: result.feesOwedTokenB[i],
+          poolKey: { currency0, currency1, fee: Number(fee), tickSpacing: Number(tickSpacing), hooks },
+          poolInfo: result.poolInfo[i]
+        });
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Position NFTs an address has staked in the pool of two tokens
+   * @param {string} owner - Staker
+   * @param {Object} params - Search parameters
+   * @param {string} params.tokenA - First token of the pool
+   * @param {string} params.tokenB - Second token of the pool
+   * @param {bigint} [params.minAmountA] - Skip positions holding less tokenA (spam filter)
+   * @param {number} [params.batchSize] - Stakes read per call
+   * @returns {Promise<StakedPosition[]>} Staked positions
+   */
+  async getStakedPositions(owner, { tokenA, tokenB, minAmountA = 0n, batchSize = 100 }) {
+    const count = Number(await this.positionFinder.getMaxStakedIDforUser(owner));
+    const positions = [];
+    for (let startIndex = 0; startIndex < count; startIndex += batchSize) {
+      const result = await this.positionFinder.getIDSofStakedTokensForUserwithMinimum(
+        owner, tokenA, tokenB, minAmountA, startIndex, Math.min(batchSize, count - startIndex), this.hookAddress
+      );
+      result.ids.forEach((tokenId, i) => {
+        positions.push({
+          tokenId,
+          amountA: result.LiquidityTokenA[i],
+          amountB: result.LiquidityTokenB[i],
+          liquidity: result.positionLiquidity[i],
+          stakedAt: Number(result.timeStakedAt[i]),
+          multiplierPenalty: result.multiplierPenalty[i],
+          currency0: result.currency0[i],
+          currency1: result.currency1[i],
+          poolInfo: result.poolInfo[i]
+        });
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Range status, impermanent loss and fee APR of a position (see positionAnalytics.js)
+   * @param {bigint|number} tokenId - Position NFT
+   * @param {Object} [options] - Analytics options
+   * @param {bigint} [options.feesOwed0] - Raw uncollected currency0 fees (e.g. from getPositions' finder call)
+   * @param {bigint} [options.feesOwed1] - Raw uncollected currency1 fees
+   * @param {boolean} [options.mint] - Find the mint block for impermanent loss and fee APR (needs an archive RPC)
+   * @returns {Promise<Object>} analyzePosition result plus tokenId, ticks, liquidity, symbols and mintBlock
+   */
+  async getPositionAnalytics(tokenId, { feesOwed0 = 0n, feesOwed1 = 0n, mint = true } = {}) {
+    const [[poolKey, info], liquidity] = await Promise.all([
+      this.positionManager.getPoolAndPositionInfo(tokenId),
+      this.positionManager.getPositionLiquidity(tokenId)
+    ]);
+    const { tickLower, tickUpper } = decodePositionInfo(info);
+
+    const tokenInfo = async (address) => {
+      const listed = Object.entries(this.network.tokens).find(([, token]) => token.address.toLowerCase() === address.toLowerCase());
+      if (listed) return { address, symbol: listed[0], decimals: listed[1].decimals };
+      const token = new ethers.Contract(address, ERC20_ABI, this.provider);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      return { address, symbol, decimals: Number(decimals) };
+    };
+    const [token0, token1, sqrtPriceX96] = await Promise.all([
+      tokenInfo(poolKey.currency0),
+      tokenInfo(poolKey.currency1),
+      this.swapper.getsqrtPricex96(poolKey.currency0, poolKey.currency1, poolKey.hooks)
+    ]);
+
+    let mintBlock = null;
+    let mintSqrtPriceX96 = null;
+    let mintTimestamp = null;
+    if (mint) {
+      mintBlock = await findMintBlock({
+        tokenId,
+        latestBlock: await this.provider.getBlockNumber(),
+        getNextTokenId: (blockTag) => this.positionManager.nextTokenId({ blockTag })
+      });
+      const [pastSqrtPriceX96, block] = await Promise.all([
+        this.swapper.getsqrtPricex96(poolKey.currency0, poolKey.currency1, poolKey.hooks, { blockTag: mintBlock }),
+        this.provider.getBlock(mintBlock)
+      ]);
+      mintSqrtPriceX96 = pastSqrtPriceX96;
+      mintTimestamp = block.timestamp;
+    }
+
+    return {
+      tokenId: BigInt(tokenId),
+      tickLower,
+      tickUpper,
+      liquidity,
+      symbol0: token0.symbol,
+      symbol1: token1.symbol,
+      mintBlock,
+      ...analyzePosition({
+        tickLower,
+        tickUpper,
+        liquidity,
+        currentSqrtPriceX96: sqrtPriceX96,
+        token0,
+        token1,
+        mintSqrtPriceX96,
+        mintTimestamp,
+        feesOwed0,
+        feesOwed1
+      })
+    };
+  }
+
+  /**
+   * Whether an account owns the staking contract or the hook
+   * @param {string} [account] - Account to check (default: the signer)
+   * @returns {Promise<boolean>} True for an admin
+   */
+  async isAdmin(account) {
+    account ??= await this.getAccount();
+    const [stakingOwner, hookOwner] = await Promise.all([this.staking.owner(), this.hook.owner()]);
+    return [stakingOwner, hookOwner].some(owner => owner.toLowerCase() === account.toLowerCase());
+  }
+
+  /**
+   * Admin roles of an account on the staking contract and the hook
+   *
+   * A contract owned by a Safe counts the Safe's signers as admins too; they act through Safe bundles.
+   * @param {string} [account] - Account to check (default: the signer)
+   * @returns {Promise<Object<string, {owner: string, isOwner: boolean, isSafeSigner: boolean}>>} Roles keyed by "staking" and "hook"
+   */
+  async getAdminRoles(account) {
+    account ??= await this.getAccount();
+    const role = async (contract) => {
+      const owner = await contract.owner();
+      const isOwner = owner.toLowerCase() === account.toLowerCase();
+      let isSafeSigner = false;
+      if (!isOwner && await this.provider.getCode(owner) !== "0x") {
+        try {
+          isSafeSigner = await new ethers.Contract(owner, SAFE_ABI, this.provider).isOwner(account);
+        } catch {
+          // Owned by a contract that is not a Safe
+        }
+      }
+      return { owner, isOwner, isSafeSigner };
+    };
+    const [staking, hook] = await Promise.all([role(this.staking), role(this.hook)]);
+    return { staking, hook };
+  }
+
+  /**
+   * Reward period of every reward token, flagged when it ends soon
+   * @param {Object} [options] - { warnSeconds (default 3 days) }
+   * @returns {Promise<Object[]>} getRewardPeriodStatus rows (see rewardAdmin.js)
+   */
+  async getRewardPeriods({ warnSeconds } = {}) {
+    // Rates and end times do not depend on the caller
+    const rewards = await this.getRewardsOwed(ethers.ZeroAddress);
+    const { timestamp } = await this.provider.getBlock("latest");
+    return getRewardPeriodStatus(rewards, { now: timestamp, warnSeconds });
+  }
+
+  /**
+   * Batch that lists (when needed), funds and starts a reward period for a token
+   * @param {Object} params - Batch parameters
+   * @param {string} params.token - Reward token
+   * @param {bigint} params.amount - Raw amount to fund
+   * @param {boolean} [params.list] - Include the listing steps (default: when the token is not a reward token yet)
+   * @param {bigint} [params.listingFee] - Raw USDC listing fee, required when the batch lists the token
+   * @param {boolean} [params.start] - Fund and start a reward period (default true; false only lists the token)
+   * @returns {Promise<import('./rewardAdmin.js').AdminCall[]>} Calls to send in order, or to export for a Safe
+   */
+  async buildRewardSetupBatch({ token, amount, list, listingFee, start }) {
+    list ??= !(await this.getRewardTokens()).some(rewardToken => rewardToken.toLowerCase() === token.toLowerCase());
+    const listed = Object.entries(this.network.tokens).find(([, known]) => known.address.toLowerCase() === token.toLowerCase());
+    const erc20 = new ethers.Contract(token, ERC20_ABI, this.provider);
+    const [symbol, decimals] = listed ? [listed[0], listed[1].decimals] : await Promise.all([erc20.symbol(), erc20.decimals().then(Number)]);
+    const usdc = this.network.tokens.USDC;
+    return buildRewardSetupBatch({
+      stakingAddress: this.staking.target,
+      token,
+      amount,
+      list,
+      start,
+      feeToken: usdc?.address,
+      listingFee,
+      labels: { symbol, decimals, feeSymbol: "USDC", feeDecimals: usdc?.decimals }
+    });
+  }
+
+  /**
+   * Send batch calls one by one, each after the previous one is mined
+   * @param {import('./rewardAdmin.js').AdminCall[]} calls - Batch calls
+   * @returns {Promise<ethers.TransactionReceipt[]>} One receipt per call
+   */
+  async sendBatch(calls) {
+    const receipts = [];
+    for (const call of calls) {
+      const tx = await this.runner.sendTransaction({ to: call.to, data: call.data, value: BigInt(call.value) });
+      receipts.push(await tx.wait());
+    }
+    return receipts;
+  }
+
+  /**
+   * Past admin calls to the staking contract and the hook (see rewardAdmin.js), with the LP fee updates of the
+   * B0x/0xBTC pool
+   * @param {Object} [options] - { fromBlock (default: staking deployment), toBlock }
+   * @returns {Promise<import('./rewardAdmin.js').AdminLogEntry[]>} Entries in chain order
+   */
+  async getAdminLog({ fromBlock, toBlock } = {}) {
+    const { B0x, "0xBTC": zeroXBTC } = this.network.tokens;
+    const { currency0, currency1, fee, tickSpacing, hooks } = this.getPoolKey(B0x.address, zeroXBTC.address);
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const poolId = ethers.keccak256(coder.encode(["address", "address", "uint24", "int24", "address"], [currency0, currency1, fee, tickSpacing, hooks]));
+    return fetchAdminLog({
+      provider: this.provider,
+      stakingAddress: this.staking.target,
+      hookAddress: this.hookAddress,
+      poolManagerAddress: this.network.contracts.poolManager,
+      pools: [{ poolId, stateSlot: ethers.keccak256(coder.encode(["bytes32", "uint256"], [poolId, this.network.poolStateSlot])) }],
+      fromBlock,
+      toBlock
+    });
+  }
+
+  /**
+   * List a new reward token (pays the USDC listing fee)
+   * @param {string} token - Reward token address
+   * @param {Object} options - { listingFee: raw USDC fee the staking contract charges, required on networks with USDC }
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the listing
+   */
+  async addRewardToken(token, { listingFee } = {}) {
+    const usdc = this.network.tokens.USDC;
+    if (usdc) {
+      if (listingFee === undefined) {
+        throw new Error("listingFee is required: the USDC fee the staking contract charges to list a token");
+      }
+      await this.approveIfNeeded(usdc.address, this.staking.target, listingFee);
+    }
+    const tx = await this.staking.addRewardToken(token);
+    return tx.wait();
+  }
+
+  /**
+   * Remove a reward token (admin)
+   * @param {string} token - Reward token address
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the removal
+   */
+  async removeRewardToken(token) {
+    const tx = await this.staking.removeRewardToken(token);
+    return tx.wait();
+  }
+
+  /**
+   * Start a new reward period for a token from the balance the contract holds
+   * @param {string} token - Reward token address
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the update
+   */
+  async startRewardPeriod(token) {
+    const tx = await this.staking.setRewardParams(token);
+    return tx.wait();
+  }
+
+  /**
+   * Override the LP fee of the hooked pool (admin)
+   * @param {string} tokenA - First token of the pool
+   * @param {string} tokenB - Second token of the pool
+   * @param {number} feePips - New fee in hundredths of a bip (10000 = 1%)
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the update
+   */
+  async setLPFee(tokenA, tokenB, feePips) {
+    const tx = await this.hook.forceUpdateLPFee(this.getPoolKey(tokenA, tokenB), feePips);
+    return tx.wait();
+  }
+
+  /**
+   * Approve an ERC20 for a spender when the allowance is too low (native ETH needs none)
+   * @param {string} token - Token address
+   * @param {string} spender - Spender address
+   * @param {bigint} amount - Raw amount needed
+   * @returns {Promise<ethers.TransactionReceipt|null>} Receipt, or null when no approval was needed
+   */
+  async approveIfNeeded(token, spender, amount) {
+    if (token === ethers.ZeroAddress || BigInt(amount) === 0n) return null;
+    const erc20 = new ethers.Contract(token, ERC20_ABI, this.runner);
+    const allowance = await erc20.allowance(await this.getAccount(), spender);
+    if (allowance >= BigInt(amount)) return null;
+    const tx = await erc20.approve(spender, amount);
+    return tx.wait();
+  }
+
+  /**
+   * Make sure Permit2 may move a token for a spender (PositionManager pulls through Permit2)
+   * @param {string} token - Token address
+   * @param {string} spender - Spender allowed through Permit2
+   * @param {bigint} amount - Raw amount needed
+   * @returns {Promise<void>}
+   */
+  async approveViaPermit2(token, spender, amount) {
+    if (token === ethers.ZeroAddress || BigInt(amount) === 0n) return;
+    await this.approveIfNeeded(token, this.permit2.target, amount);
+
+    const { amount: allowed, expiration } = await this.permit2.allowance(await this.getAccount(), token, spender);
+    const now = Math.floor(Date.now() / 1000);
+    if (allowed >= BigInt(amount) && Number(expiration) > now) return;
+    const tx = await this.permit2.approve(token, spender, amount, now + PERMIT2_EXPIRATION_SECONDS);
+    await tx.wait();
+  }
+
+  /**
+   * Deadline for PositionManager calls
+   * @returns {number} Unix time DEADLINE_SECONDS from now
+   */
+  getDeadline() {
+    return Math.floor(Date.now() / 1000) + DEADLINE_SECONDS;
+  }
+}
+
+// Export for use in other modules
+export {
+  B0xSdk,
+  applySlippage,
+  encodeActions,
+  POSITION_ACTIONS,
+  DYNAMIC_FEE,
+  DEFAULT_SLIPPAGE_BPS,
+  FULL_RANGE_TICK_LOWER,
+  FULL_RANGE_TICK_UPPER,
+  SWAPPER_ABI,
+  LP_REWARDS_STAKING_ABI,
+  HOOK_ABI,
+  POSITION_MANAGER_ABI,
+  POSITION_FINDER_ABI
+};
@@ -0,0 +1,129 @@
+// Chain helpers shared by the log-based modules (rewardsLedger, rewardAdmin, positionIndex, the pool reader):
+// Transfer log decoding, calldata words and Safe batches, and contract deployment blocks. Only the provider
+// calls shared by ethers v5 and v6 are used, so the dapp runs it too.
+
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef"; // Transfer(address,address,uint256)
+
+// Safe wrappers whose inner calls are unwrapped
+const SAFE_SELECTORS = {
+  execTransaction: "0x6a761202", // execTransaction(address,uint256,bytes,uint8,...)
+  multiSend: "0x8d80ff0a"        // MultiSend(CallOnly) multiSend(bytes)
+};
+
+/**
+ * Topic for an indexed address
+ * @param {string} address - 20-byte address
+ * @returns {string} 32-byte topic
+ */
+function addressTopic(address) {
+  return "0x" + address.toLowerCase().replace(/^0x/, "").padStart(64, "0");
+}
+
+/**
+ * Decode an ERC20 or ERC721 Transfer log (ERC721 indexes the tokenId, so it has four topics)
+ * @param {Object} log - Raw log from provider.getLogs
+ * @returns {{contract: string, from: string, to: string, value: bigint, isNft: boolean, blockNumber: number, transactionHash: string, logIndex: number}} Decoded transfer
+ */
+function decodeTransferLog(log) {
+  const isNft = log.topics.length === 4;
+  return {
+    contract: log.address,
+    from: "0x" + log.topics[1].slice(26),
+    to: "0x" + log.topics[2].slice(26),
+    value: BigInt(isNft ? log.topics[3] : log.data),
+    isNft,
+    blockNumber: Number(log.blockNumber),
+    transactionHash: log.transactionHash,
+    logIndex: Number(log.index ?? log.logIndex) // ethers v6 / v5
+  };
+}
+
+/**
+ * ABI word of calldata (after the selector)
+ * @param {string} data - Calldata
+ * @param {number} index - Word index
+ * @returns {string} 64 hex characters
+ */
+function readWord(data, index) {
+  return data.slice(10 + index * 64, 10 + (index + 1) * 64);
+}
+
+/**
+ * Calls a transaction made, unwrapping Safe execTransaction and MultiSend batches
+ * @param {{to: string, data: string}} tx - Transaction (ethers v5 or v6)
+ * @returns {Array<{to: string, data: string, safe: string|null}>} Calls, with the executing Safe when wrapped
+ */
+function decodeSafeCalls(tx) {
+  const data = (tx.data ?? "").toLowerCase();
+  const selector = data.slice(0, 10);
+  if (selector !== SAFE_SELECTORS.execTransaction) {
+    return [{ to: tx.to ?? "", data, safe: null }];
+  }
+
+  const safe = tx.to;
+  const to = "0x" + readWord(data, 0).slice(24);
+  const offset = Number(BigInt("0x" + readWord(data, 2))) * 2;
+  const length = Number(BigInt("0x" + data.slice(10 + offset, 10 + offset + 64))) * 2;
+  const inner = "0x" + data.slice(10 + offset + 64, 10 + offset + 64 + length);
+  if (!inner.startsWith(SAFE_SELECTORS.multiSend)) {
+    return [{ to, data: inner, safe }];
+  }
+
+  // multiSend(bytes): packed (uint8 operation, address to, uint256 value, uint256 dataLength, bytes data) per call
+  const packedLength = Number(BigInt("0x" + readWord(inner, 1))) * 2;
+  const packed = inner.slice(10 + 128, 10 + 128 + packedLength);
+  const calls = [];
+  for (let i = 0; i < packed.length;) {
+    const callTo = "0x" + packed.slice(i + 2, i + 42);
+    const callLength = Number(BigInt("0x" + packed.slice(i + 106, i + 170))) * 2;
+    calls.push({ to: callTo, data: "0x" + packed.slice(i + 170, i + 170 + callLength), safe });
+    i += 170 + callLength;
+  }
+  return calls;
+}
+
+/**
+ * First block where a contract has code, by binary search over eth_getCode at past blocks. This needs an archive RPC:
+ * a pruned node errors on old state (reported here with the address and block), or answers "0x" for it, and the search
+ * then settles on the oldest block the node still keeps, so pass a known start block to callers instead.
+ * @param {Object} provider - ethers v5 or v6 provider
+ * @param {string} address - Contract address
+ * @param {number} toBlock - A block where the contract exists
+ * @returns {Promise<number>} Deployment block
+ */
+async function findDeploymentBlock(provider, address, toBlock) {
+  const hasCode = async (blockTag) => {
+    let code;
+    try {
+      code = await provider.getCode(address, blockTag);
+    } catch (error) {
+      throw new Error(`Could not read the code of ${address} at block ${blockTag}, finding its deployment block needs an archive RPC (pass a start block instead): ${error.message}`);
+    }
+    return Boolean(code) && code !== "0x";
+  };
+
+  if (!await hasCode(toBlock)) {
+    throw new Error(`${address} has no code at block ${toBlock}`);
+  }
+  let low = 0;
+  let high = toBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await hasCode(middle)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+// Export for use in other modules
+export {
+  addressTopic,
+  decodeTransferLog,
+  readWord,
+  decodeSafeCalls,
+  findDeploymentBlock,
+  TRANSFER_TOPIC
+};
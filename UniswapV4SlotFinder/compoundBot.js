@@ -0,0 +1,559 @@
+#!/usr/bin/env node
+import { EventEmitter } from 'events';
+import { parseArgs } from 'util';
+import { realpathSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { UniswapV4PoolReader } from './Uniswapv4PoolReader.js';
+import { B0xSdk } from './b0xSdk.js';
+import { getNetwork, getContractAddress, DEFAULT_CHAIN_ID } from './networks.js';
+import { getTokenPrices, createPriceSources } from './apy.js';
+import { decodePositionInfo } from './positionAnalytics.js';
+import { getSqrtPriceAtTick, getAmountsForLiquidity, getTickRangeAroundPrice, getSwapForRange, fromRawAmount } from './priceMath.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+// Bot defaults, overridden by the JSON config file
+const DEFAULT_BOT_CONFIG = {
+  chainId: DEFAULT_CHAIN_ID,
+  rpcUrl: null,                     // Default: the network's first rpcUrl (point it at an anvil fork to test)
+  privateKeyEnv: "BOT_PRIVATE_KEY", // Environment variable holding the signer key
+  account: null,                    // Account to watch in dry-run mode without a key
+  dryRun: true,                     // Log the actions instead of sending them
+  intervalSeconds: 300,
+  slippageBps: 100,
+  minGasMultiple: 3,                // Act once the value moved is this many times the gas cost
+  gasLimits: { claim: 250000, compound: 450000, rebalance: 1500000 }, // Gas assumed per action
+  prices: { sources: ["coingecko", "pool"], quote: "0xBTC", windowBlocks: 1800, static: null, unit: "usd" },
+  compound: { enabled: true, claimRewards: true },
+  rebalance: { enabled: false, rangePercent: 10 },
+  positions: []                     // [{ tokenId, staked }]
+};
+
+/**
+ * @typedef {Object} BotAction - Payload of the "action" event
+ * @property {string} type - "claim", "compound" or "rebalance"
+ * @property {bigint} [tokenId] - Position acted on (not for claims)
+ * @property {boolean} dryRun - Planned only, nothing was sent
+ * @property {number} value - Value moved, in the price unit
+ * @property {number} gasCost - Estimated gas cost, in the price unit
+ * @property {string} unit - Price unit
+ */
+
+/**
+ * Read a bot config file and fill in the defaults
+ * @param {string} file - JSON config path
+ * @returns {Object} Config with every DEFAULT_BOT_CONFIG key
+ */
+function loadBotConfig(file) {
+  const raw = JSON.parse(readFileSync(file, "utf8"));
+  const config = { ...DEFAULT_BOT_CONFIG, ...raw };
+  for (const key of ["gasLimits", "prices", "compound", "rebalance"]) {
+    config[key] = { ...DEFAULT_BOT_CONFIG[key], ...raw[key] };
+  }
+  if (!Array.isArray(config.positions) || config.positions.length === 0) {
+    throw new Error(`${file} lists no positions`);
+  }
+  config.positions = config.positions.map(position => ({ tokenId: BigInt(position.tokenId), staked: Boolean(position.staked) }));
+  return config;
+}
+
+/**
+ * Point a config file's position at the NFT a rebalance minted, so a restarted bot follows the new one
+ * @param {string} file - JSON config path
+ * @param {bigint} oldTokenId - Closed position
+ * @param {bigint} newTokenId - Minted position
+ * @returns {boolean} False when the file does not list the old position
+ */
+function saveRebalancedPosition(file, oldTokenId, newTokenId) {
+  const raw = JSON.parse(readFileSync(file, "utf8"));
+  const position = (raw.positions ?? []).find(known => BigInt(known.tokenId) === oldTokenId);
+  if (!position) return false;
+  position.tokenId = newTokenId <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(newTokenId) : newTokenId.toString();
+  writeFileSync(file, JSON.stringify(raw, null, 2) + "\n");
+  return true;
+}
+
+/**
+ * Compounds fees and rewards of configured positions and re-centres wallet positions that left their range
+ *
+ * Each cycle claims the staking rewards, adds each position's fees (and the claimed rewards in its pool tokens)
+ * back as liquidity, and closes out-of-range wallet positions to mint them again around the price.
+ * An action is only taken when what it moves is worth minGasMultiple times its gas cost.
+ * Staked positions are full range (LPRewardsStaking accepts nothing else), so only wallet positions are rebalanced.
+ *
+ * Events: "action" (BotAction), "skip" ({ type, tokenId, reason }), "cycle" ({ blockNumber, actions }),
+ * "error" (Error; logged instead when nothing listens)
+ */
+class CompoundBot extends EventEmitter {
+  /**
+   * @param {B0xSdk} sdk - SDK with the bot's signer (a VoidSigner is enough in dry-run mode)
+   * @param {UniswapV4PoolReader} reader - Reader on the same chain, for fees and range status
+   * @param {Object} config - See DEFAULT_BOT_CONFIG
+   */
+  constructor(sdk, reader, config) {
+    super();
+    this.sdk = sdk;
+    this.reader = reader;
+    this.config = { ...DEFAULT_BOT_CONFIG, ...config };
+    // Rebalancing mints a new NFT, which replaces the old one here; the "action" carries newTokenId for the config
+    this.positions = this.config.positions.map(position => ({ ...position, tokenId: BigInt(position.tokenId) }));
+    const { network } = sdk;
+    const { prices } = this.config;
+    const quote = network.tokens[prices.quote];
+    this.sources = createPriceSources(prices.sources, {
+      reader,
+      quoteToken: quote && { ...quote, symbol: prices.quote },
+      hook: getContractAddress(network, "hook"),
+      windowBlocks: prices.windowBlocks,
+      staticPrices: prices.static,
+      unit: prices.unit
+    });
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run a cycle now, then one every intervalSeconds until stop()
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.running = true;
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        this.reportError("Bot cycle failed", error);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, this.config.intervalSeconds * 1000);
+      }
+    };
+    await tick();
+  }
+
+  /**
+   * Stop scheduling cycles (a cycle in progress finishes)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One pass over the rewards and every configured position
+   * @returns {Promise<BotAction[]>} Actions taken (or planned in dry-run mode)
+   */
+  async runOnce() {
+    const account = this.config.account ?? await this.sdk.getAccount();
+    const [blockNumber, feeData, rewards] = await Promise.all([
+      this.sdk.provider.getBlockNumber(),
+      this.sdk.provider.getFeeData(),
+      this.config.compound.enabled && this.config.compound.claimRewards ? this.sdk.getRewardsOwed(account) : []
+    ]);
+    const states = [];
+    for (const position of this.positions) {
+      states.push(await this.readPosition(position));
+    }
+
+    // Value everything in one unit: the native token for gas, the pool tokens and the reward tokens
+    const native = await this.getTokenInfo(ethers.ZeroAddress);
+    const tokens = [native];
+    const addresses = [...states.flatMap(state => [state.poolKey.currency0, state.poolKey.currency1]), ...rewards.map(reward => reward.token)];
+    for (const address of new Set(addresses)) {
+      tokens.push(await this.getTokenInfo(address));
+    }
+    const { unit, prices, errors } = await getTokenPrices(tokens, this.sources);
+    for (const error of errors) {
+      console.warn(`⚠️  ${error}`);
+    }
+    const valueOf = (amounts) => {
+      let value = 0;
+      for (const [address, amount] of Object.entries(amounts)) {
+        if (amount === 0n) continue;
+        const price = prices[address.toLowerCase()];
+        if (price === undefined) return null;
+        const token = tokens.find(known => known.address.toLowerCase() === address.toLowerCase());
+        value += Number(fromRawAmount(amount, token.decimals)) * price;
+      }
+      return value;
+    };
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+    const gasCostOf = (type) => valueOf({ [native.address]: gasPrice * BigInt(this.config.gasLimits[type]) });
+    const context = { account, unit, valueOf, gasCostOf };
+
+    const actions = [];
+    // Claimed rewards in a pool token are compounded into the first position of that pool
+    const claimed = this.config.compound.enabled && this.config.compound.claimRewards
+      ? await this.claimRewards(rewards, context, actions)
+      : {};
+
+    for (const state of states) {
+      try {
+        if (this.config.rebalance.enabled && !state.staked && !state.inRange && state.liquidity > 0n) {
+          await this.rebalance(state, context, actions);
+        } else if (this.config.compound.enabled) {
+          await this.compound(state, claimed, context, actions);
+        }
+      } catch (error) {
+        this.reportError(`Position ${state.tokenId} failed`, error);
+      }
+    }
+
+    this.emit("cycle", { blockNumber, actions });
+    return actions;
+  }
+
+  /**
+   * Range, liquidity and uncollected fees of a position NFT
+   * @param {{tokenId: bigint, staked: boolean}} position - Configured position
+   * @returns {Promise<Object>} Position state with its PoolKey, ticks, fees and the pool price
+   */
+  async readPosition(position) {
+    const { positionManager } = this.sdk;
+    const [[poolKey, info], liquidity] = await Promise.all([
+      positionManager.getPoolAndPositionInfo(position.tokenId),
+      positionManager.getPositionLiquidity(position.tokenId)
+    ]);
+    const { tickLower, tickUpper } = decodePositionInfo(info);
+    const poolId = this.reader.calculatePoolId(poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks);
+    const [positionInfo, sqrtPriceX96] = await Promise.all([
+      this.reader.getPositionInfo(poolId, positionManager.target, tickLower, tickUpper, this.reader.tokenIdToSalt(position.tokenId)),
+      this.sdk.getSqrtPriceX96(poolKey.currency0, poolKey.currency1)
+    ]);
+    return {
+      ...position,
+      poolKey: { currency0: poolKey.currency0, currency1: poolKey.currency1, tickSpacing: Number(poolKey.tickSpacing) },
+      tickLower,
+      tickUpper,
+      liquidity,
+      fees0: BigInt(positionInfo.feesOwed0),
+      fees1: BigInt(positionInfo.feesOwed1),
+      inRange: positionInfo.inRange,
+      sqrtPriceX96
+    };
+  }
+
+  /**
+   * Claim every reward owed once the claimable value covers the gas
+   * @returns {Promise<Object<string, bigint>>} Claimed amounts keyed by lowercase token address
+   */
+  async claimRewards(rewards, { unit, valueOf, gasCostOf }, actions) {
+    const owed = rewards.filter(reward => reward.owed > 0n);
+    if (owed.length === 0) return {};
+    const amounts = Object.fromEntries(owed.map(reward => [reward.token, reward.owed]));
+    const value = valueOf(amounts);
+    const gasCost = gasCostOf("claim");
+    if (!this.worthIt("claim", null, value, gasCost, unit)) return {};
+
+    const action = { type: "claim", tokens: owed.map(reward => reward.symbol), amounts, dryRun: this.config.dryRun, value, gasCost, unit };
+    if (!this.config.dryRun) {
+      await this.sdk.claimRewards(owed.map(reward => reward.token));
+    }
+    actions.push(action);
+    this.emit("action", action);
+    return Object.fromEntries(owed.map(reward => [reward.token.toLowerCase(), reward.owed]));
+  }
+
+  /**
+   * Add a position's fees, and the claimed rewards in its pool tokens, back to it as liquidity
+   * @returns {Promise<void>}
+   */
+  async compound(state, claimed, { account, unit, valueOf, gasCostOf }, actions) {
+    const { currency0, currency1 } = state.poolKey;
+    const take = (token) => {
+      const amount = claimed[token.toLowerCase()] ?? 0n;
+      delete claimed[token.toLowerCase()];
+      return amount;
+    };
+    let amount0 = state.fees0 + take(currency0);
+    let amount1 = state.fees1 + take(currency1);
+    if (amount0 === 0n && amount1 === 0n) return;
+
+    const value = valueOf({ [currency0]: amount0, [currency1]: amount1 });
+    const gasCost = gasCostOf("compound");
+    if (!this.worthIt("compound", state.tokenId, value, gasCost, unit)) return;
+
+    // Wallet positions collect their fees inside the increase; staked ones go through LPRewardsStaking,
+    // which takes the whole amounts from the wallet
+    const [balance0, balance1] = await Promise.all([this.sdk.getBalance(currency0, account), this.sdk.getBalance(currency1, account)]);
+    const available0 = balance0 + (state.staked ? 0n : state.fees0);
+    const available1 = balance1 + (state.staked ? 0n : state.fees1);
+    amount0 = amount0 < available0 ? amount0 : available0;
+    amount1 = amount1 < available1 ? amount1 : available1;
+
+    const action = { type: "compound", tokenId: state.tokenId, staked: state.staked, amount0, amount1, dryRun: this.config.dryRun, value, gasCost, unit };
+    if (!this.config.dryRun) {
+      await this.sdk.increaseLiquidity({
+        tokenId: state.tokenId,
+        tokenA: currency0,
+        tokenB: currency1,
+        amountA: amount0,
+        amountB: amount1,
+        staked: state.staked,
+        slippageBps: this.config.slippageBps,
+        feesA: state.staked ? 0n : state.fees0,
+        feesB: state.staked ? 0n : state.fees1
+      });
+    }
+    actions.push(action);
+    this.emit("action", action);
+  }
+
+  /**
+   * Close an out-of-range wallet position, swap the proceeds into the new range's mix and mint around the price
+   * @returns {Promise<void>}
+   */
+  async rebalance(state, { account, unit, valueOf, gasCostOf }, actions) {
+    const { currency0, currency1, tickSpacing } = state.poolKey;
+    const held = getAmountsForLiquidity(state.sqrtPriceX96, getSqrtPriceAtTick(state.tickLower), getSqrtPriceAtTick(state.tickUpper), state.liquidity);
+    const amount0 = held.amount0 + state.fees0;
+    const amount1 = held.amount1 + state.fees1;
+
+    const value = valueOf({ [currency0]: amount0, [currency1]: amount1 });
+    const gasCost = gasCostOf("rebalance");
+    if (!this.worthIt("rebalance", state.tokenId, value, gasCost, unit)) return;
+
+    const range = getTickRangeAroundPrice(state.sqrtPriceX96, this.config.rebalance.rangePercent, tickSpacing);
+    const swapFor = (sqrtPriceX96, balance0, balance1) =>
+      getSwapForRange(sqrtPriceX96, getSqrtPriceAtTick(range.tickLower), getSqrtPriceAtTick(range.tickUpper), balance0, balance1);
+    const action = {
+      type: "rebalance",
+      tokenId: state.tokenId,
+      from: { tickLower: state.tickLower, tickUpper: state.tickUpper },
+      to: range,
+      swap: swapFor(state.sqrtPriceX96, amount0, amount1),
+      newTokenId: null,
+      dryRun: this.config.dryRun,
+      value,
+      gasCost,
+      unit
+    };
+
+    if (!this.config.dryRun) {
+      const balances = () => Promise.all([this.sdk.getBalance(currency0, account), this.sdk.getBalance(currency1, account)]);
+      const [before0, before1] = await balances();
+      await this.sdk.decreaseLiquidity({ tokenId: state.tokenId, tokenA: currency0, tokenB: currency1, percentageBps: 10000, slippageBps: this.config.slippageBps });
+
+      // Swap what actually came out, at the price after the decrease
+      let [after0, after1] = await balances();
+      action.swap = swapFor(await this.sdk.getSqrtPriceX96(currency0, currency1), after0 - before0, after1 - before1);
+      if (action.swap.amountIn > 0n) {
+        const [tokenIn, tokenOut] = action.swap.zeroForOne ? [currency0, currency1] : [currency1, currency0];
+        await this.sdk.swap({ tokenIn, tokenOut, amountIn: action.swap.amountIn, slippageBps: this.config.slippageBps });
+        [after0, after1] = await balances();
+      }
+
+      const receipt = await this.sdk.createPosition({
+        tokenA: currency0,
+        tokenB: currency1,
+        amountA: after0 > before0 ? after0 - before0 : 0n,
+        amountB: after1 > before1 ? after1 - before1 : 0n,
+        slippageBps: this.config.slippageBps,
+        tickLower: range.tickLower,
+        tickUpper: range.tickUpper
+      });
+      action.newTokenId = getMintedTokenId(receipt, this.sdk.positionManager.target);
+      const position = this.positions.find(known => known.tokenId === state.tokenId);
+      if (position && action.newTokenId !== null) position.tokenId = action.newTokenId;
+    }
+    actions.push(action);
+    this.emit("action", action);
+  }
+
+  /**
+   * Emit a failure as "error", or log it when nothing listens (an unhandled "error" event would end the process)
+   * @param {string} context - What failed
+   * @param {Error} error - The failure
+   */
+  reportError(context, error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", new Error(`${context}: ${error.message}`, { cause: error }));
+    } else {
+      console.error(`${context}:`, error.message);
+    }
+  }
+
+  /**
+   * Whether an action moves enough value for its gas; emits "skip" when it does not
+   * @returns {boolean} True to go ahead
+   */
+  worthIt(type, tokenId, value, gasCost, unit) {
+    let reason = null;
+    if (value === null || gasCost === null) {
+      reason = "no price for the tokens or the gas";
+    } else if (value < gasCost * this.config.minGasMultiple) {
+      reason = `worth ${value.toPrecision(4)} ${unit}, under ${this.config.minGasMultiple}x the gas (${gasCost.toPrecision(4)} ${unit})`;
+    }
+    if (reason) {
+      this.emit("skip", { type, tokenId, reason });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Token metadata, from the network's token list first
+   * @param {string} address - Token address (zero address for the native currency)
+   * @returns {Promise<import('./apy.js').TokenInfo>} Token info
+   */
+  async getTokenInfo(address) {
+    const { network } = this.sdk;
+    const listed = Object.entries(network.tokens).find(([, token]) => token.address.toLowerCase() === address.toLowerCase());
+    if (listed) return { ...listed[1], symbol: listed[0] };
+    return this.reader.getTokenMetadata(address);
+  }
+}
+
+/**
+ * Token ID of the position NFT a mint receipt created
+ * @param {ethers.TransactionReceipt} receipt - Mint receipt
+ * @param {string} positionManagerAddress - PositionManager address
+ * @returns {bigint|null} New token ID, or null when the receipt has no mint
+ */
+function getMintedTokenId(receipt, positionManagerAddress) {
+  const mint = receipt.logs.find(log =>
+    log.address.toLowerCase() === positionManagerAddress.toLowerCase() &&
+    log.topics[0] === TRANSFER_TOPIC &&
+    BigInt(log.topics[1]) === 0n
+  );
+  return mint ? BigInt(mint.topics[3]) : null;
+}
+
+const USAGE = `Usage: compound-bot --config <file> [options]
+
+Compounds the fees and staking rewards of configured positions, and re-centres wallet positions that
+left their range, whenever the value moved covers the gas.
+
+Options:
+  --config <file>          JSON config (see compoundBot.example.json, required)
+  --dry-run                Log the actions without sending them, whatever the config says
+  --once                   Run one cycle and exit
+  --help                   Show this message`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        config: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        once: { type: "boolean", default: false },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.config) {
+    console.error("❌ --config is required");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let reader;
+  let bot;
+  try {
+    const config = loadBotConfig(values.config);
+    if (values["dry-run"]) config.dryRun = true;
+    const network = getNetwork(config.chainId);
+    reader = UniswapV4PoolReader.fromNetwork(config.chainId, { rpcUrl: config.rpcUrl ?? undefined });
+
+    const privateKey = process.env[config.privateKeyEnv];
+    let signer;
+    if (privateKey) {
+      signer = new ethers.Wallet(privateKey, reader.provider);
+    } else if (config.dryRun && config.account) {
+      signer = new ethers.VoidSigner(config.account, reader.provider);
+    } else {
+      throw new Error(`Set ${config.privateKeyEnv}${config.dryRun ? ", or an account in the config," : ""} to run the bot`);
+    }
+    bot = new CompoundBot(new B0xSdk(network, signer), reader, config);
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+    reader?.provider.destroy();
+    return;
+  }
+
+  const amount = (value) => value.toPrecision(4);
+  bot.on("action", action => {
+    const prefix = action.dryRun ? "[dry-run] would" : "✅";
+    const worth = `worth ${amount(action.value)} ${action.unit}, gas ${amount(action.gasCost)} ${action.unit}`;
+    if (action.type === "claim") {
+      console.log(`${prefix} claim ${action.tokens.join(", ")} (${worth})`);
+    } else if (action.type === "compound") {
+      console.log(`${prefix} compound #${action.tokenId}: ${action.amount0} / ${action.amount1} raw (${worth})`);
+    } else {
+      console.log(`${prefix} rebalance #${action.tokenId} [${action.from.tickLower}, ${action.from.tickUpper}] -> ` +
+        `[${action.to.tickLower}, ${action.to.tickUpper}]` + (action.newTokenId !== null ? ` as #${action.newTokenId}` : "") + ` (${worth})`);
+      if (action.dryRun) return;
+      // The old NFT is empty now: the config has to follow the new one, or a restart would watch the wrong position
+      if (action.newTokenId === null) {
+        console.error(`⚠️  Position #${action.tokenId} was re-minted but the new token ID is not in the receipt: replace it in ${values.config} by hand`);
+        return;
+      }
+      try {
+        if (saveRebalancedPosition(values.config, action.tokenId, action.newTokenId)) {
+          console.log(`📌 Position #${action.tokenId} is now #${action.newTokenId}, saved to ${values.config}`);
+        } else {
+          console.error(`⚠️  Position #${action.tokenId} is now #${action.newTokenId}, but ${values.config} does not list it: update it by hand`);
+        }
+      } catch (error) {
+        console.error(`⚠️  Position #${action.tokenId} is now #${action.newTokenId}, saving ${values.config} failed (${error.message}): update it by hand`);
+      }
+    }
+  });
+  bot.on("skip", skip => {
+    console.log(`Skipped ${skip.type}${skip.tokenId !== null ? ` #${skip.tokenId}` : ""}: ${skip.reason}`);
+  });
+  bot.on("cycle", cycle => {
+    console.log(`[${cycle.blockNumber}] Cycle done, ${cycle.actions.length} action(s)`);
+  });
+  bot.on("error", error => {
+    // Keep running and retry on the next cycle
+    console.error(error.message);
+  });
+
+  if (values.once) {
+    try {
+      await bot.runOnce();
+    } catch (error) {
+      console.error("Script error:", error.message);
+      process.exitCode = 1;
+    } finally {
+      reader.provider.destroy();
+    }
+    return;
+  }
+
+  await bot.start();
+  process.on("SIGINT", async () => {
+    await bot.stop();
+    reader.provider.destroy();
+    process.exit(0);
+  });
+}
+
+// Export for use in other modules
+export { CompoundBot, loadBotConfig, saveRebalancedPosition, getMintedTokenId, DEFAULT_BOT_CONFIG };
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { realpathSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { UniswapV4PoolReader } from './Uniswapv4PoolReader.js';
+import { DEFAULT_CHAIN_ID } from './networks.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+const USAGE = `Usage: pool-discovery [options]
+
+Lists Uniswap V4 pools by scanning PoolManager Initialize events.
+
+Options:
+  --from <block>           First block to scan (default: PoolManager deployment block, needs an archive RPC)
+  --to <block>             Last block to scan (default latest)
+  --token <address>        Only pools with this token as currency0 or currency1
+  --hook <address>         Only pools using this hook, e.g. 0x70Fe3Fa2f8065898706674Acd03D7b2696161000 (B0x)
+  --out <file>             Write the pools to a JSON file (default: print JSON)
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint (default: the network's first rpcUrl)
+  --pool-manager <address> PoolManager address (default: the network's poolManager)
+  --block-range <n>        Blocks per eth_getLogs request (default 10000)
+  --help                   Show this message`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        from: { type: "string" },
+        to: { type: "string", default: "latest" },
+        token: { type: "string" },
+        hook: { type: "string" },
+        out: { type: "string" },
+        chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        rpc: { type: "string" },
+        "pool-manager": { type: "string" },
+        "block-range": { type: "string", default: "10000" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const reader = UniswapV4PoolReader.fromNetwork(values.chain, {
+      rpcUrl: values.rpc,
+      poolManagerAddress: values["pool-manager"],
+      logBlockRange: Number(values["block-range"])
+    });
+    const pools = await reader.discoverPools({
+      fromBlock: values.from === undefined ? undefined : Number(values.from),
+      toBlock: values.to,
+      token: values.token ?? null,
+      hook: values.hook ?? null
+    });
+    console.log(`Found ${pools.length} pool(s)`);
+
+    if (values.out) {
+      writeFileSync(values.out, JSON.stringify(pools, null, 2));
+      console.log(`Wrote pools to ${values.out}`);
+    } else {
+      console.log(JSON.stringify(pools, null, 2));
+    }
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { spawn } from 'child_process';
+import { realpathSync, existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { B0xSdk, FULL_RANGE_TICK_LOWER, FULL_RANGE_TICK_UPPER } from './b0xSdk.js';
+import { getNetwork, DEFAULT_CHAIN_ID, LOCAL_NETWORKS_FILE } from './networks.js';
+import { getMintedTokenId } from './compoundBot.js';
+import { getSqrtPriceAtTick, getLiquidityForAmounts, getAmountsForLiquidity, fromRawAmount } from './priceMath.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// The contract sources are not part of this repo, so the local chain forks the live deployment: PoolManager,
+// the hook, Swapper, PositionFinderPro, LPRewardsStaking and the faucet tokens keep their addresses and state.
+const LOCAL_CHAIN_ID = 31337; // anvil's and hardhat's default, so wallets never mistake the fork for the real chain
+const DEFAULT_LOCAL_PORT = 8545;
+const LOCAL_ETH_BALANCE = ethers.parseEther("100");
+
+// Testnet faucets built into the 0xBTC and B0x token contracts (the dapp's getFacuetTokens)
+const FAUCET_ABI = [
+  "function getFacuetTokens_Testnet_0xBTC()",
+  "function getFacuetTokens_Testnet()"
+];
+const ERC721_ABI = [
+  "function ownerOf(uint256 tokenId) view returns (address)"
+];
+const ERC20_TRANSFER_ABI = [
+  "function transfer(address to, uint256 amount) returns (bool)"
+];
+
+const USAGE = `Usage: local-chain <command> [options]
+
+Local development chain: an anvil fork of the B0x deployment, registered in networks.local.json so the dapp and
+every CLI can pick it with --chain ${LOCAL_CHAIN_ID}.
+
+Commands:
+  start                    Start the fork, write its network entry and keep it running until Ctrl+C
+  fund --account <addr>    Give an account ETH and the faucet tokens on a running local chain
+  e2e                      Run faucet -> create position -> start a reward period -> stake -> earn rewards ->
+                           withdraw with penalty on a fresh fork (or on --attach), exit code 1 when a step fails
+
+Options:
+  --fork-chain <chainId>   Network to fork from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --fork-url <url>         RPC of the forked chain (default: its first rpcUrl; an archive RPC with --fork-block)
+  --fork-block <block>     Fork at this block instead of the latest
+  --chain-id <id>          Chain ID of the local chain (default ${LOCAL_CHAIN_ID})
+  --port <port>            Port of the local node (default ${DEFAULT_LOCAL_PORT})
+  --anvil <path>           anvil binary (default anvil, from Foundry)
+  --attach <url>           Use a node that is already running (e.g. npx hardhat node --fork <url>) instead of anvil
+  --account <address>      start/fund: account to fund, repeat for several
+  --advance-hours <hours>  e2e: time the position stays staked before the withdraw (default 24)
+  --startup-timeout <s>    Seconds to wait for the node to answer (default 60)
+  --help                   Show this message`;
+
+const COMMANDS = ["start", "fund", "e2e"];
+
+/**
+ * networks.json entry of a local fork: the forked chain's contracts and tokens behind a local RPC
+ * @param {import('./networks.js').NetworkConfig} forked - Forked network
+ * @param {Object} params - Local chain
+ * @param {number} params.chainId - Chain ID of the local node
+ * @param {string} params.rpcUrl - RPC of the local node
+ * @returns {Object} Registry entry (without chainId, which is its key)
+ */
+function createLocalNetwork(forked, { chainId, rpcUrl }) {
+  const { chainId: forkOf, ...network } = forked;
+  return {
+    ...network,
+    name: `Local (fork of ${forked.name})`,
+    rpcUrls: [rpcUrl],
+    blockExplorerUrls: [],
+    forkOf,
+    chainId
+  };
+}
+
+/**
+ * Add or replace a chain in the local registry file
+ * @param {Object} network - createLocalNetwork result
+ * @param {string} [path] - Registry file
+ */
+function writeLocalNetwork(network, path = LOCAL_NETWORKS_FILE) {
+  const networks = existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : {};
+  const { chainId, ...entry } = network;
+  networks[chainId] = entry;
+  writeFileSync(path, JSON.stringify(networks, null, 2) + "\n");
+}
+
+/**
+ * Remove a chain from the local registry file
+ * @param {number} chainId - Chain ID
+ * @param {string} [path] - Registry file
+ */
+function removeLocalNetwork(chainId, path = LOCAL_NETWORKS_FILE) {
+  if (!existsSync(path)) return;
+  const networks = JSON.parse(readFileSync(path, "utf8"));
+  delete networks[chainId];
+  if (Object.keys(networks).length === 0) {
+    unlinkSync(path);
+  } else {
+    writeFileSync(path, JSON.stringify(networks, null, 2) + "\n");
+  }
+}
+
+/**
+ * Wait until a node answers eth_chainId
+ * @param {string} rpcUrl - Node RPC
+ * @param {Object} [options] - { timeoutMs, child: spawned node, whose exit ends the wait }
+ * @returns {Promise<number>} Chain ID reported by the node
+ */
+async function waitForNode(rpcUrl, { timeoutMs = 60000, child } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let failure = null;
+  child?.once("exit", code => { failure = `The node exited with code ${code} before answering`; });
+  child?.once("error", error => { failure = `Could not start the node: ${error.message} (install Foundry, or use --attach)`; });
+
+  while (Date.now() < deadline) {
+    if (failure) {
+      throw new Error(failure);
+    }
+    // Plain fetch: an ethers provider logs a warning for every failed network detection
+    try {
+      const response = await fetch(rpcUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] })
+      });
+      const { result } = await response.json();
+      if (result) return Number(result);
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error(`No answer from ${rpcUrl} after ${timeoutMs / 1000}s`);
+}
+
+/**
+ * Start anvil forking a network (or attach to a running node) and register it as a local network
+ * @param {Object} params - Node parameters
+ * @param {number|string} params.forkChain - Chain to fork
+ * @param {string} [params.forkUrl] - RPC of the forked chain (default: its first rpcUrl)
+ * @param {number} [params.forkBlock] - Block to fork at (default latest)
+ * @param {number} [params.chainId] - Chain ID of the local node
+ * @param {number} [params.port] - Port of the local node
+ * @param {string} [params.anvil] - anvil binary
+ * @param {string} [params.attach] - RPC of a running node; nothing is started
+ * @param {number} [params.timeoutMs] - Startup timeout
+ * @returns {Promise<{network: Object, provider: ethers.JsonRpcProvider, child: import('child_process').ChildProcess|null, stop: function(): void}>}
+ *   Registered network, a provider for it, the anvil process, and stop() to end both and unregister the network
+ */
+async function startLocalNode({
+  forkChain,
+  forkUrl,
+  forkBlock,
+  chainId = LOCAL_CHAIN_ID,
+  port = DEFAULT_LOCAL_PORT,
+  anvil = "anvil",
+  attach,
+  timeoutMs
+}) {
+  const forked = getNetwork(forkChain);
+  let child = null;
+  let rpcUrl = attach;
+  if (!attach) {
+    const args = ["--fork-url", forkUrl ?? forked.rpcUrls[0], "--chain-id", String(chainId), "--port", String(port)];
+    if (forkBlock !== undefined) {
+      args.push("--fork-block-number", String(forkBlock));
+    }
+    child = spawn(anvil, args, { stdio: ["ignore", "ignore", "inherit"] });
+    rpcUrl = `http://127.0.0.1:${port}`;
+  }
+
+  let nodeChainId;
+  try {
+    nodeChainId = await waitForNode(rpcUrl, { timeoutMs, child });
+  } catch (error) {
+    child?.kill();
+    throw error;
+  }
+  const network = createLocalNetwork(forked, { chainId: nodeChainId, rpcUrl });
+  writeLocalNetwork(network);
+  const provider = new ethers.JsonRpcProvider(rpcUrl, nodeChainId, { staticNetwork: true });
+
+  return {
+    network,
+    provider,
+    child,
+    stop: () => {
+      provider.destroy();
+      removeLocalNetwork(nodeChainId);
+      child?.kill();
+    }
+  };
+}
+
+/**
+ * Claim the testnet faucets of the 0xBTC and B0x token contracts
+ * @param {Object} network - Network with 0xBTC and B0x tokens
+ * @param {ethers.Signer} signer - Receiving account
+ * @returns {Promise<ethers.TransactionReceipt[]>} Receipts of the two claims
+ */
+async function claimFaucetTokens(network, signer) {
+  const zeroXBTC = new ethers.Contract(network.tokens["0xBTC"].address, FAUCET_ABI, signer);
+  const b0x = new ethers.Contract(network.tokens.B0x.address, FAUCET_ABI, signer);
+  const receipts = [];
+  receipts.push(await (await zeroXBTC.getFacuetTokens_Testnet_0xBTC()).wait());
+  receipts.push(await (await b0x.getFacuetTokens_Testnet()).wait());
+  return receipts;
+}
+
+/**
+ * Give an account ETH and the faucet tokens on a local node
+ * The faucets are claimed as the account itself (impersonated), so wallets such as MetaMask need no key here.
+ * @param {ethers.JsonRpcProvider} provider - Local node
+ * @param {Object} network - Local network
+ * @param {string} account - Account to fund
+ * @param {bigint} [ethAmount] - ETH balance to set
+ */
+async function fundAccount(provider, network, account, ethAmount = LOCAL_ETH_BALANCE) {
+  // The hardhat_ methods are answered by anvil too
+  await provider.send("hardhat_setBalance", [account, ethers.toQuantity(ethAmount)]);
+  await provider.send("hardhat_impersonateAccount", [account]);
+  try {
+    await claimFaucetTokens(network, await provider.getSigner(account));
+  } finally {
+    await provider.send("hardhat_stopImpersonatingAccount", [account]);
+  }
+}
+
+/**
+ * Move the local chain's clock forward and mine a block
+ * @param {ethers.JsonRpcProvider} provider - Local node
+ * @param {number} seconds - Seconds to skip
+ */
+async function increaseTime(provider, seconds) {
+  await provider.send("evm_increaseTime", [ethers.toQuantity(seconds)]);
+  await provider.send("evm_mine", []);
+}
+
+/**
+ * Start a reward period as the LPRewardsStaking owner (impersonated), from the balance the contract holds
+ * @param {ethers.JsonRpcProvider} provider - Local node
+ * @param {Object} network - Local network
+ * @param {string} token - Listed reward token
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of setRewardParams
+ */
+async function startRewardPeriodAsOwner(provider, network, token) {
+  const owner = await new B0xSdk(network, provider).staking.owner();
+  await provider.send("hardhat_setBalance", [owner, ethers.toQuantity(LOCAL_ETH_BALANCE)]);
+  await provider.send("hardhat_impersonateAccount", [owner]);
+  try {
+    return await new B0xSdk(network, await provider.getSigner(owner)).startRewardPeriod(token);
+  } finally {
+    await provider.send("hardhat_stopImpersonatingAccount", [owner]);
+  }
+}
+
+/**
+ * End-to-end run of the staking flow with a fresh account: faucet -> create position -> start a reward period ->
+ * stake -> earn rewards -> withdraw with penalty. Each step checks its result on chain and throws when it does not hold.
+ * The reward period is funded from the account's faucet tokens and started as the staking owner, so the run does not
+ * depend on a period being live at the forked block.
+ * @param {ethers.JsonRpcProvider} provider - Local node (writes state: use a fork, never a live chain)
+ * @param {Object} network - Local network
+ * @param {Object} [options] - Run options
+ * @param {number} [options.advanceSeconds] - Time staked before the withdraw (default 24 hours)
+ * @param {function(string, string): void} [options.onStep] - Called with the step name and a summary after each passed step
+ * @returns {Promise<{account: string, tokenId: bigint, earned: Object<string, bigint>, penalty: Object<string, bigint>}>} Run results
+ */
+async function runEndToEnd(provider, network, { advanceSeconds = 24 * 3600, onStep = () => {} } = {}) {
+  const wallet = ethers.Wallet.createRandom(provider);
+  const account = wallet.address;
+  const sdk = new B0xSdk(network, wallet);
+  const nft = new ethers.Contract(network.contracts.positionManager, ERC721_ABI, provider);
+  const { B0x, "0xBTC": zeroXBTC } = network.tokens;
+  const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const check = (step, condition, message) => {
+    if (!condition) throw new Error(`${step}: ${message}`);
+  };
+  const format = (amounts, decimals) => Object.entries(amounts)
+    .map(([symbol, amount]) => `${fromRawAmount(amount, decimals[symbol])} ${symbol}`).join(", ") || "nothing";
+
+  // 1. Faucet
+  await provider.send("hardhat_setBalance", [account, ethers.toQuantity(LOCAL_ETH_BALANCE)]);
+  await claimFaucetTokens(network, wallet);
+  const balanceB0x = await sdk.getBalance(B0x.address, account);
+  const balance0xBTC = await sdk.getBalance(zeroXBTC.address, account);
+  check("faucet", balanceB0x > 0n && balance0xBTC > 0n, "the faucets paid nothing");
+  onStep("faucet", `${fromRawAmount(balanceB0x, B0x.decimals)} B0x, ${fromRawAmount(balance0xBTC, zeroXBTC.decimals)} 0xBTC`);
+
+  // 2. Full-range position from half of each balance, in the pool's ratio
+  const sqrtPriceX96 = await sdk.getSqrtPriceX96(B0x.address, zeroXBTC.address);
+  const { currency0 } = sdk.getPoolKey(B0x.address, zeroXBTC.address);
+  const b0xIsToken0 = currency0 === B0x.address;
+  const [max0, max1] = b0xIsToken0 ? [balanceB0x / 2n, balance0xBTC / 2n] : [balance0xBTC / 2n, balanceB0x / 2n];
+  const sqrtLower = getSqrtPriceAtTick(FULL_RANGE_TICK_LOWER);
+  const sqrtUpper = getSqrtPriceAtTick(FULL_RANGE_TICK_UPPER);
+  const liquidity = getLiquidityForAmounts(sqrtPriceX96, sqrtLower, sqrtUpper, max0, max1);
+  const { amount0, amount1 } = getAmountsForLiquidity(sqrtPriceX96, sqrtLower, sqrtUpper, liquidity);
+  const receipt = await sdk.createPosition({
+    tokenA: B0x.address,
+    tokenB: zeroXBTC.address,
+    amountA: b0xIsToken0 ? amount0 : amount1,
+    amountB: b0xIsToken0 ? amount1 : amount0,
+    sqrtPriceX96
+  });
+  const tokenId = getMintedTokenId(receipt, network.contracts.positionManager);
+  check("create position", tokenId !== null, "the transaction minted no position NFT");
+  check("create position", sameAddress(await nft.ownerOf(tokenId), account), `position #${tokenId} was not sent to ${account}`);
+  const pair = { tokenA: B0x.address, tokenB: zeroXBTC.address };
+  const listed = (await sdk.getPositions(account, pair)).find(position => position.tokenId === tokenId);
+  check("create position", listed !== undefined && sameAddress(listed.poolKey.hooks, network.contracts.hook), `getPositions does not list #${tokenId} in the hooked pool`);
+  onStep("create position", `#${tokenId}, liquidity ${listed.liquidity}`);
+
+  // 3. Reward period in a faucet token the contract pays, funded with half of what the account has left
+  const rewardTokens = await sdk.getRewardTokens();
+  const [rewardSymbol, rewardToken] = Object.entries({ B0x, "0xBTC": zeroXBTC })
+    .find(([, token]) => rewardTokens.some(address => sameAddress(address, token.address))) ?? [];
+  check("reward period", rewardToken !== undefined, "LPRewardsStaking pays neither B0x nor 0xBTC, list one with admin-console");
+  const rewardAmount = await sdk.getBalance(rewardToken.address, account) / 2n;
+  const rewardErc20 = new ethers.Contract(rewardToken.address, ERC20_TRANSFER_ABI, wallet);
+  await (await rewardErc20.transfer(network.contracts.lpRewardsStaking, rewardAmount)).wait();
+  await startRewardPeriodAsOwner(provider, network, rewardToken.address);
+  onStep("reward period", `${fromRawAmount(rewardAmount, rewardToken.decimals)} ${rewardSymbol} funded and started`);
+
+  // 4. Stake
+  await sdk.stake(tokenId);
+  check("stake", sameAddress(await nft.ownerOf(tokenId), network.contracts.lpRewardsStaking), `LPRewardsStaking does not hold #${tokenId}`);
+  const staked = (await sdk.getStakedPositions(account, pair)).find(position => position.tokenId === tokenId);
+  check("stake", staked?.liquidity === listed.liquidity, `getStakedPositions does not list #${tokenId} with its liquidity`);
+  onStep("stake", `#${tokenId} held by LPRewardsStaking`);
+
+  // 5. Earn rewards
+  const now = (await provider.getBlock("latest")).timestamp;
+  const active = (await sdk.getRewardsOwed(account)).filter(reward => reward.periodEndsAt > now && reward.rewardRate > 0n);
+  check("earn rewards", active.some(reward => sameAddress(reward.token, rewardToken.address)), `the ${rewardSymbol} reward period is not running`);
+  await increaseTime(provider, advanceSeconds);
+  const owedBefore = await sdk.getRewardsOwed(account);
+  const decimals = Object.fromEntries(owedBefore.map(reward => [reward.symbol, reward.decimals]));
+  const earned = Object.fromEntries(owedBefore.filter(reward => reward.owed > 0n).map(reward => [reward.symbol, reward.owed]));
+  check("earn rewards", Object.keys(earned).length > 0, `nothing owed after ${advanceSeconds / 3600}h staked`);
+  onStep("earn rewards", `${format(earned, decimals)} after ${advanceSeconds / 3600}h`);
+
+  // 6. Withdraw early: the NFT comes back and part of the owed rewards is forfeited
+  const balancesBefore = await Promise.all(owedBefore.map(reward => sdk.getBalance(reward.token, account)));
+  await sdk.unstake(tokenId);
+  check("withdraw", sameAddress(await nft.ownerOf(tokenId), account), `#${tokenId} was not returned to ${account}`);
+  const owedAfter = await sdk.getRewardsOwed(account);
+  const penalty = {};
+  for (const [i, reward] of owedBefore.entries()) {
+    const paid = await sdk.getBalance(reward.token, account) - balancesBefore[i];
+    const after = owedAfter.find(entry => entry.token === reward.token)?.owed ?? 0n;
+    const forfeited = reward.owed - after - paid;
+    if (forfeited > 0n) penalty[reward.symbol] = forfeited;
+  }
+  check("withdraw", Object.keys(penalty).length > 0, "an early withdraw forfeited no rewards");
+  onStep("withdraw", `#${tokenId} returned, penalty ${format(penalty, decimals)}`);
+
+  return { account, tokenId, earned, penalty };
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        "fork-chain": { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        "fork-url": { type: "string" },
+        "fork-block": { type: "string" },
+        "chain-id": { type: "string", default: String(LOCAL_CHAIN_ID) },
+        port: { type: "string", default: String(DEFAULT_LOCAL_PORT) },
+        anvil: { type: "string", default: "anvil" },
+        attach: { type: "string" },
+        account: { type: "string", multiple: true },
+        "advance-hours": { type: "string", default: "24" },
+        "startup-timeout": { type: "string", default: "60" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [command] = positionals;
+  if (!COMMANDS.includes(command)) {
+    console.error(command ? `❌ Unknown command ${command}` : "❌ A command is required");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  if (command === "fund" && !values.account) {
+    console.error("❌ --account is required");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === "fund") {
+    let provider;
+    try {
+      const network = getNetwork(values["chain-id"]);
+      if (!network.forkOf) {
+        throw new Error(`${network.name} is not a local chain, run local-chain start first`);
+      }
+      provider = new ethers.JsonRpcProvider(network.rpcUrls[0], network.chainId, { staticNetwork: true });
+      for (const account of values.account) {
+        await fundAccount(provider, network, account);
+        console.log(`💰 Funded ${account}`);
+      }
+    } catch (error) {
+      console.error("Script error:", error.message);
+      process.exitCode = 1;
+    } finally {
+      provider?.destroy();
+    }
+    return;
+  }
+
+  let node;
+  try {
+    console.log(values.attach ? `Attaching to ${values.attach}...` : `Starting anvil on port ${values.port}...`);
+    node = await startLocalNode({
+      forkChain: values["fork-chain"],
+      forkUrl: values["fork-url"],
+      forkBlock: values["fork-block"] === undefined ? undefined : Number(values["fork-block"]),
+      chainId: Number(values["chain-id"]),
+      port: Number(values.port),
+      anvil: values.anvil,
+      attach: values.attach,
+      timeoutMs: Number(values["startup-timeout"]) * 1000
+    });
+    const { network } = node;
+    console.log(`⛓️  ${network.name} running at ${network.rpcUrls[0]} (chain ${network.chainId}), ` +
+      `block ${await node.provider.getBlockNumber()}`);
+
+    if (command === "e2e") {
+      const result = await runEndToEnd(node.provider, network, {
+        advanceSeconds: Number(values["advance-hours"]) * 3600,
+        onStep: (step, summary) => console.log(`✅ ${step}: ${summary}`)
+      });
+      console.log(`\n🎉 End-to-end run passed with ${result.account}`);
+    } else {
+      for (const account of values.account ?? []) {
+        await fundAccount(node.provider, network, account);
+        console.log(`💰 Funded ${account}`);
+      }
+      console.log(`Wrote chain ${network.chainId} to ${LOCAL_NETWORKS_FILE}: pick "${network.name}" under the dapp's ` +
+        `Settings, or pass --chain ${network.chainId} to the other CLIs.`);
+    }
+  } catch (error) {
+    console.error(command === "e2e" ? "❌ End-to-end run failed:" : "Script error:", error.message);
+    process.exitCode = 1;
+    node?.stop();
+    return;
+  }
+
+  if (command === "e2e") {
+    // The fork only lived for this run
+    node.stop();
+    return;
+  }
+  if (values.attach) {
+    // The attached node keeps running on its own, and its entry stays registered
+    node.provider.destroy();
+    return;
+  }
+
+  console.log("Press Ctrl+C to stop the chain");
+  const shutdown = () => {
+    node.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  node.child.once("exit", code => {
+    console.error(`anvil exited with code ${code}`);
+    node.stop();
+    process.exitCode = 1;
+  });
+}
+
+// Export for use in other modules
+export {
+  createLocalNetwork,
+  writeLocalNetwork,
+  removeLocalNetwork,
+  startLocalNode,
+  claimFaucetTokens,
+  fundAccount,
+  increaseTime,
+  startRewardPeriodAsOwner,
+  runEndToEnd,
+  LOCAL_CHAIN_ID
+};
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
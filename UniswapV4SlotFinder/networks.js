@@ -0,0 +1,79 @@
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// networks.json sits at the repo root so the dapp can fetch it next to the HTML
+const NETWORKS_FILE = process.env.NETWORKS_FILE || path.resolve(__dirname, "../networks.json");
+// Chains of a local node (written by local-chain), merged over NETWORKS_FILE and kept out of git
+const LOCAL_NETWORKS_FILE = process.env.LOCAL_NETWORKS_FILE || path.join(path.dirname(NETWORKS_FILE), "networks.local.json");
+const DEFAULT_CHAIN_ID = 84532; // Base Sepolia
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {number} chainId - Chain ID (the registry key)
+ * @property {string} name - Display name
+ * @property {{name: string, symbol: string, decimals: number}} nativeCurrency - Native currency, as wallet_addEthereumChain expects it
+ * @property {string[]} rpcUrls - JSON-RPC endpoints, first one is the default
+ * @property {string[]} blockExplorerUrls - Block explorers
+ * @property {number} poolStateSlot - Storage slot of the PoolManager _pools mapping
+ * @property {Object<string, string|null>} contracts - poolManager, positionManager, permit2, multicall3, hook,
+ *   swapper, positionFinderPro, lpRewardsStaking (null when not deployed on this chain)
+ * @property {Object<string, {address: string, decimals: number, coingeckoId?: string}>} tokens - Token list keyed by symbol
+ *   (coingeckoId when the token is listed there, for USD prices)
+ * @property {number} [forkOf] - Chain a local node forks (entries written by local-chain)
+ */
+
+let registry = null;
+
+/**
+ * Load the network registry (cached after the first read), with the local chains of LOCAL_NETWORKS_FILE when it exists
+ * @returns {Object<string, NetworkConfig>} Networks keyed by chainId
+ */
+function loadNetworks() {
+  if (!registry) {
+    const networks = {
+      ...JSON.parse(readFileSync(NETWORKS_FILE, "utf8")),
+      ...(existsSync(LOCAL_NETWORKS_FILE) ? JSON.parse(readFileSync(LOCAL_NETWORKS_FILE, "utf8")) : {})
+    };
+    registry = {};
+    for (const [chainId, network] of Object.entries(networks)) {
+      registry[chainId] = { chainId: Number(chainId), ...network };
+    }
+  }
+  return registry;
+}
+
+/**
+ * Look up one network of the registry
+ * @param {number|string} chainId - Chain ID, decimal or 0x-hex (default Base Sepolia)
+ * @returns {NetworkConfig} The network config
+ */
+function getNetwork(chainId = DEFAULT_CHAIN_ID) {
+  const networks = loadNetworks();
+  const network = networks[Number(chainId)];
+  if (!network) {
+    throw new Error(`Unknown chain ${chainId}, networks.json lists: ${Object.keys(networks).join(", ")}`);
+  }
+  return network;
+}
+
+/**
+ * Address of a contract on a network, failing when it is not deployed there
+ * @param {NetworkConfig} network - Network config
+ * @param {string} name - Contract key, e.g. "poolManager"
+ * @returns {string} Contract address
+ */
+function getContractAddress(network, name) {
+  const address = network.contracts[name];
+  if (!address) {
+    throw new Error(`${name} is not deployed on ${network.name} (chain ${network.chainId})`);
+  }
+  return address;
+}
+
+// Export for use in other modules
+export { loadNetworks, getNetwork, getContractAddress, DEFAULT_CHAIN_ID, NETWORKS_FILE, LOCAL_NETWORKS_FILE };
@@ -0,0 +1,186 @@
+// PoolManager Swap and ModifyLiquidity logs: decoding, the state change each one makes, and a polling loop.
+// Only the provider calls shared by ethers v5 and v6 are used, so PoolWatcher and the dapp both run it.
+
+const SWAP_TOPIC = "0x40e9cecb9f5f1f1c5b9c97dec2917b7ee92e57ba5563708daca94dd84ad7112f"; // Swap(bytes32,address,int128,int128,uint160,uint128,int24,uint24)
+const MODIFY_LIQUIDITY_TOPIC = "0xf208f4912782fd25c7f114ca3723a2d5dd6f3bcc3ac8db5af63baa85f711d5ec"; // ModifyLiquidity(bytes32,address,int24,int24,int256,bytes32)
+
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+
+/**
+ * @typedef {Object} PoolLog - Decoded Swap or ModifyLiquidity log
+ * @property {string} name - "Swap" or "ModifyLiquidity"
+ * @property {string} poolId - Lowercase pool ID
+ * @property {string} sender
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {bigint} [amount0] - Swap: signed delta of currency0
+ * @property {bigint} [amount1] - Swap: signed delta of currency1
+ * @property {bigint} [sqrtPriceX96] - Swap: price after the swap
+ * @property {bigint} [liquidity] - Swap: active liquidity after the swap
+ * @property {number} [tick] - Swap: tick after the swap
+ * @property {number} [fee] - Swap: fee applied, in hundredths of a bip
+ * @property {number} [tickLower] - ModifyLiquidity
+ * @property {number} [tickUpper] - ModifyLiquidity
+ * @property {bigint} [liquidityDelta] - ModifyLiquidity: signed liquidity added or removed
+ * @property {string} [salt] - ModifyLiquidity
+ */
+
+/**
+ * Split ABI-encoded log data into 32-byte words
+ * @param {string} data - Hex data
+ * @returns {bigint[]} Unsigned words
+ */
+function dataWords(data) {
+  const hex = data.replace(/^0x/, "");
+  const words = [];
+  for (let offset = 0; offset < hex.length; offset += 64) {
+    words.push(BigInt("0x" + hex.slice(offset, offset + 64)));
+  }
+  return words;
+}
+
+/**
+ * Decode a PoolManager Swap or ModifyLiquidity log
+ * @param {Object} log - Raw log from provider.getLogs
+ * @returns {PoolLog|null} The decoded log, null for any other event
+ */
+function decodePoolLog(log) {
+  const topic = log.topics[0].toLowerCase();
+  if (topic !== SWAP_TOPIC && topic !== MODIFY_LIQUIDITY_TOPIC) return null;
+
+  const words = dataWords(log.data);
+  const base = {
+    poolId: log.topics[1].toLowerCase(),
+    sender: "0x" + log.topics[2].slice(26),
+    blockNumber: Number(log.blockNumber),
+    transactionHash: log.transactionHash,
+    logIndex: Number(log.index ?? log.logIndex) // ethers v6 / v5
+  };
+
+  if (topic === SWAP_TOPIC) {
+    return {
+      name: "Swap",
+      ...base,
+      amount0: BigInt.asIntN(128, words[0]),
+      amount1: BigInt.asIntN(128, words[1]),
+      sqrtPriceX96: words[2],
+      liquidity: words[3],
+      tick: Number(BigInt.asIntN(24, words[4])),
+      fee: Number(words[5])
+    };
+  }
+  return {
+    name: "ModifyLiquidity",
+    ...base,
+    tickLower: Number(BigInt.asIntN(24, words[0])),
+    tickUpper: Number(BigInt.asIntN(24, words[1])),
+    liquidityDelta: BigInt.asIntN(256, words[2]),
+    salt: "0x" + words[3].toString(16).padStart(64, "0")
+  };
+}
+
+/**
+ * Pool state after a decoded log
+ * A swap reports the new price, tick and liquidity outright; a liquidity change only moves active liquidity
+ * when its range contains the current tick, the same rule as Pool.modifyLiquidity
+ * @param {{sqrtPriceX96: string, tick: number, liquidity: string}} state - State before the log
+ * @param {PoolLog} poolLog - Decoded log of the same pool
+ * @returns {{state: Object, activeLiquidityChanged: boolean}} New state (strings, like the input) and whether liquidity moved
+ */
+function applyPoolLog(state, poolLog) {
+  if (poolLog.name === "Swap") {
+    return {
+      state: {
+        ...state,
+        sqrtPriceX96: poolLog.sqrtPriceX96.toString(),
+        tick: poolLog.tick,
+        liquidity: poolLog.liquidity.toString(),
+        blockNumber: poolLog.blockNumber
+      },
+      activeLiquidityChanged: false
+    };
+  }
+
+  const activeLiquidityChanged = state.tick >= poolLog.tickLower && state.tick < poolLog.tickUpper;
+  return {
+    state: {
+      ...state,
+      liquidity: activeLiquidityChanged
+        ? (BigInt(state.liquidity) + poolLog.liquidityDelta).toString()
+        : state.liquidity,
+      blockNumber: poolLog.blockNumber
+    },
+    activeLiquidityChanged
+  };
+}
+
+/**
+ * Swap and ModifyLiquidity logs of some pools over a block range, decoded and in chain order
+ * @param {Object} provider - ethers v5 or v6 provider
+ * @param {string} poolManager - PoolManager address
+ * @param {string[]} poolIds - Pools to include
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<PoolLog[]>} Decoded logs
+ */
+async function getPoolLogs(provider, poolManager, poolIds, fromBlock, toBlock) {
+  const logs = await provider.getLogs({
+    address: poolManager,
+    topics: [[SWAP_TOPIC, MODIFY_LIQUIDITY_TOPIC], poolIds.map(poolId => poolId.toLowerCase())],
+    fromBlock,
+    toBlock
+  });
+  return logs
+    .map(decodePoolLog)
+    .filter(Boolean)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Poll for new Swap and ModifyLiquidity logs of some pools until stopped
+ * Each poll covers the blocks since the previous one, so a slow RPC delays changes instead of dropping them
+ * @param {Object} provider - ethers v5 or v6 provider
+ * @param {string} poolManager - PoolManager address
+ * @param {string[]} poolIds - Pools to watch
+ * @param {Object} options - { onLogs(poolLogs) for every poll that found logs, onError(error),
+ *   intervalMs (default DEFAULT_POLL_INTERVAL_MS), confirmations (default 0) }
+ * @returns {() => void} Stops polling
+ */
+function watchPoolLogs(provider, poolManager, poolIds, { onLogs, onError = () => {}, intervalMs = DEFAULT_POLL_INTERVAL_MS, confirmations = 0 } = {}) {
+  let lastBlock = null;
+  let timer = null;
+  let stopped = false;
+
+  async function poll() {
+    try {
+      const toBlock = (await provider.getBlockNumber()) - confirmations;
+      if (lastBlock === null) {
+        lastBlock = toBlock;
+      } else if (toBlock > lastBlock) {
+        const poolLogs = await getPoolLogs(provider, poolManager, poolIds, lastBlock + 1, toBlock);
+        lastBlock = toBlock;
+        if (poolLogs.length > 0) await onLogs(poolLogs);
+      }
+    } catch (error) {
+      onError(error);
+    }
+    if (!stopped) timer = setTimeout(poll, intervalMs);
+  }
+
+  poll();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+export {
+  SWAP_TOPIC,
+  MODIFY_LIQUIDITY_TOPIC,
+  DEFAULT_POLL_INTERVAL_MS,
+  decodePoolLog,
+  applyPoolLog,
+  getPoolLogs,
+  watchPoolLogs
+};
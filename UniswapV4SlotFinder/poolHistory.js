@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { UniswapV4PoolReader, writePoolHistory } from './Uniswapv4PoolReader.js';
+import { DEFAULT_CHAIN_ID } from './networks.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+const USAGE = `Usage: pool-history --pool <poolId> --from <block> [options]
+
+Samples price, tick and liquidity of a Uniswap V4 pool over a block range.
+
+Options:
+  --pool <poolId>          Pool ID (bytes32, required)
+  --from <block>           First block to sample (required)
+  --to <block>             Last block to sample (default latest)
+  --step <n>               Blocks between samples (default 100)
+  --out <file>             Write samples to a .json or .csv file (default: print JSON)
+  --format <json|csv>      Output format when the extension does not say
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint, e.g. http://127.0.0.1:8545 for anvil/hardhat (default: the network's first rpcUrl)
+  --pool-manager <address> PoolManager address (default: the network's poolManager)
+  --concurrency <n>        RPC requests in flight at once (default 4)
+  --help                   Show this message`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        pool: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string", default: "latest" },
+        step: { type: "string", default: "100" },
+        out: { type: "string" },
+        format: { type: "string" },
+        chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        rpc: { type: "string" },
+        "pool-manager": { type: "string" },
+        concurrency: { type: "string", default: "4" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.pool || values.from === undefined) {
+    console.error("❌ --pool and --from are required");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const reader = UniswapV4PoolReader.fromNetwork(values.chain, {
+      rpcUrl: values.rpc,
+      poolManagerAddress: values["pool-manager"],
+      concurrency: Number(values.concurrency)
+    });
+    const toBlock = values.to === "latest" ? await reader.provider.getBlockNumber() : Number(values.to);
+    const samples = await reader.getPoolHistory(values.pool, Number(values.from), toBlock, Number(values.step));
+
+    if (values.out) {
+      writePoolHistory(samples, values.out, values.format);
+    } else {
+      console.log(JSON.stringify(samples, null, 2));
+    }
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+import { EventEmitter } from 'events';
+import { parseArgs } from 'util';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { UniswapV4PoolReader } from './Uniswapv4PoolReader.js';
+import { DEFAULT_CHAIN_ID } from './networks.js';
+import { decodePoolLog, applyPoolLog } from './poolEvents.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Watcher defaults
+const DEFAULT_WATCHER_OPTIONS = {
+  mode: "poll",        // "poll" on a timer, or "subscribe" to new block notifications
+  pollIntervalMs: 4000, // Time between polls in poll mode
+  confirmations: 0,     // Blocks to wait before applying logs
+  reorgDepth: 64        // Recent block hashes kept to find a common ancestor after a reorg
+};
+
+/**
+ * @typedef {Object} PoolState
+ * @property {string} poolId - The pool ID (bytes32)
+ * @property {string} sqrtPriceX96 - Current sqrt price as Q64.96
+ * @property {number} tick - Current tick
+ * @property {string} liquidity - Active liquidity
+ * @property {number} blockNumber - Block of the last change applied to the state
+ */
+
+/**
+ * @typedef {Object} SwapChange - Payload of the "swap" event
+ * @property {string} poolId
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {string} sender
+ * @property {string} amount0 - Signed delta of currency0 (negative = paid out by the pool)
+ * @property {string} amount1 - Signed delta of currency1
+ * @property {number} fee - Fee applied to the swap, in hundredths of a bip
+ * @property {PoolState} previous - State before the swap
+ * @property {PoolState} state - State after the swap
+ */
+
+/**
+ * @typedef {Object} LiquidityChange - Payload of the "liquidity" event
+ * @property {string} poolId
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {string} sender
+ * @property {number} tickLower
+ * @property {number} tickUpper
+ * @property {string} liquidityDelta - Signed liquidity added or removed
+ * @property {string} salt
+ * @property {boolean} activeLiquidityChanged - Whether the range contains the current tick
+ * @property {PoolState} previous
+ * @property {PoolState} state
+ */
+
+/**
+ * @typedef {Object} ReorgChange - Payload of the "reorg" event
+ * @property {number} fromBlock - Last block applied before the reorg was detected
+ * @property {number} resyncBlock - Block the state was re-read from storage at
+ */
+
+/**
+ * Keeps a local model of pool state in sync with PoolManager Swap and ModifyLiquidity logs
+ *
+ * Events: "swap" (SwapChange), "liquidity" (LiquidityChange), "state" (PoolState),
+ * "reorg" (ReorgChange), "synced" ({ blockNumber }), "error" (Error; logged instead when nothing listens)
+ */
+class PoolWatcher extends EventEmitter {
+  /**
+   * @param {UniswapV4PoolReader} reader - Reader used for storage reads and logs
+   * @param {string[]} poolIds - Pools to watch
+   * @param {Object} options - See DEFAULT_WATCHER_OPTIONS
+   */
+  constructor(reader, poolIds, options = {}) {
+    super();
+    this.reader = reader;
+    this.poolIds = poolIds.map(poolId => poolId.toLowerCase());
+    this.options = { ...DEFAULT_WATCHER_OPTIONS, ...options };
+    this.states = new Map();
+    this.blockHashes = new Map();
+    this.lastBlock = null;
+    this.timer = null;
+    this.blockListener = null;
+    this.syncing = false;
+  }
+
+  /**
+   * Current local state of a pool
+   * @param {string} poolId - The pool ID (bytes32)
+   * @returns {PoolState|undefined} The state, or undefined before start()
+   */
+  getState(poolId) {
+    return this.states.get(poolId.toLowerCase());
+  }
+
+  /**
+   * Load the initial state from storage and start following logs
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const head = await this.reader.provider.getBlockNumber();
+    await this.resync(Math.max(head - this.options.confirmations, 0));
+
+    if (this.options.mode === "subscribe") {
+      this.blockListener = () => this.sync();
+      await this.reader.provider.on("block", this.blockListener);
+    } else {
+      this.timer = setInterval(() => this.sync(), this.options.pollIntervalMs);
+    }
+    console.log(`Watching ${this.poolIds.length} pool(s) from block ${this.lastBlock} (${this.options.mode} mode)`);
+  }
+
+  /**
+   * Stop following logs
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.blockListener) {
+      await this.reader.provider.off("block", this.blockListener);
+      this.blockListener = null;
+    }
+  }
+
+  /**
+   * Replace the local state with storage values at a block
+   * @param {number} blockNumber - Block to read at
+   */
+  async resync(blockNumber) {
+    const pools = await this.reader.batchReadPools(this.poolIds, { blockTag: blockNumber });
+    for (const pool of pools) {
+      this.setState({
+        poolId: pool.poolId.toLowerCase(),
+        sqrtPriceX96: pool.sqrtPriceX96,
+        tick: Number(pool.tick),
+        liquidity: pool.liquidity,
+        blockNumber
+      });
+    }
+
+    this.blockHashes.clear();
+    await this.recordBlockHash(blockNumber);
+    this.lastBlock = blockNumber;
+  }
+
+  /**
+   * Apply all logs between the last processed block and the confirmed head
+   * Calls made while a sync is running are skipped; the next tick picks up the rest
+   */
+  async sync() {
+    if (this.syncing || this.lastBlock === null) return;
+    this.syncing = true;
+
+    try {
+      await this.handleReorg();
+
+      const head = await this.reader.provider.getBlockNumber();
+      const toBlock = head - this.options.confirmations;
+      if (toBlock <= this.lastBlock) return;
+
+      const logs = await this.reader.getPoolManagerLogs(
+        ["Swap", "ModifyLiquidity"],
+        this.lastBlock + 1,
+        toBlock,
+        [this.poolIds]
+      );
+      for (const log of logs) {
+        this.applyLog(log);
+      }
+
+      await this.recordBlockHash(toBlock);
+      this.lastBlock = toBlock;
+      this.emit("synced", { blockNumber: toBlock });
+    } catch (error) {
+      // emit("error") throws without a listener, which would reject the timer callback unhandled;
+      // log instead and let the next tick retry
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      } else {
+        console.error("Error syncing pool watcher:", error.message);
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Detect a reorg below the last processed block and resync from the newest block still on chain
+   */
+  async handleReorg() {
+    const storedHash = this.blockHashes.get(this.lastBlock);
+    const block = await this.reader.provider.getBlock(this.lastBlock);
+    if (!storedHash || (block && block.hash === storedHash)) return;
+
+    const fromBlock = this.lastBlock;
+    let resyncBlock = null;
+    const recordedBlocks = [...this.blockHashes.keys()].sort((a, b) => b - a);
+    for (const blockNumber of recordedBlocks) {
+      const canonical = await this.reader.provider.getBlock(blockNumber);
+      if (canonical && canonical.hash === this.blockHashes.get(blockNumber)) {
+        resyncBlock = blockNumber;
+        break;
+      }
+    }
+
+    // Deeper than the hashes we kept: start over from the current confirmed head
+    if (resyncBlock === null) {
+      const head = await this.reader.provider.getBlockNumber();
+      resyncBlock = Math.max(head - this.options.confirmations, 0);
+    }
+
+    console.warn(`⚠️ Reorg detected at block ${fromBlock}, resyncing from block ${resyncBlock}`);
+    await this.resync(resyncBlock);
+    this.emit("reorg", { fromBlock, resyncBlock });
+  }
+
+  /**
+   * Remember the hash of a processed block, keeping only the last reorgDepth entries
+   * @param {number} blockNumber - Processed block
+   */
+  async recordBlockHash(blockNumber) {
+    const block = await this.reader.provider.getBlock(blockNumber);
+    if (!block) return;
+
+    this.blockHashes.set(blockNumber, block.hash);
+    for (const recorded of this.blockHashes.keys()) {
+      if (recorded <= blockNumber - this.options.reorgDepth) {
+        this.blockHashes.delete(recorded);
+      }
+    }
+  }
+
+  /**
+   * Apply one Swap or ModifyLiquidity log to the local state and emit the change
+   * @param {Object} log - Raw log
+   */
+  applyLog(log) {
+    const poolLog = decodePoolLog(log);
+    if (!poolLog) return;
+    const previous = this.states.get(poolLog.poolId);
+    if (!previous) return;
+
+    const { state, activeLiquidityChanged } = applyPoolLog(previous, poolLog);
+    const base = {
+      poolId: poolLog.poolId,
+      blockNumber: poolLog.blockNumber,
+      transactionHash: poolLog.transactionHash,
+      logIndex: poolLog.logIndex,
+      sender: poolLog.sender
+    };
+
+    this.setState(state);
+    if (poolLog.name === "Swap") {
+      this.emit("swap", {
+        ...base,
+        amount0: poolLog.amount0.toString(),
+        amount1: poolLog.amount1.toString(),
+        fee: poolLog.fee,
+        previous,
+        state
+      });
+      return;
+    }
+
+    this.emit("liquidity", {
+      ...base,
+      tickLower: poolLog.tickLower,
+      tickUpper: poolLog.tickUpper,
+      liquidityDelta: poolLog.liquidityDelta.toString(),
+      salt: poolLog.salt,
+      activeLiquidityChanged,
+      previous,
+      state
+    });
+  }
+
+  /**
+   * Store a pool state and emit it
+   * @param {PoolState} state - New state
+   */
+  setState(state) {
+    this.states.set(state.poolId, state);
+    this.emit("state", state);
+  }
+}
+
+const USAGE = `Usage: pool-watcher --pool <poolId> [--pool <poolId> ...] [options]
+
+Streams Swap and ModifyLiquidity events of Uniswap V4 pools and prints the pool state after each change.
+
+Options:
+  --pool <poolId>          Pool to watch (repeatable, required)
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint; ws:// or wss:// uses push subscriptions (default: the network's first rpcUrl)
+  --pool-manager <address> PoolManager address (default: the network's poolManager)
+  --mode <poll|subscribe>  Poll on a timer or follow new block notifications (default poll)
+  --interval <ms>          Poll interval (default ${DEFAULT_WATCHER_OPTIONS.pollIntervalMs})
+  --confirmations <n>      Blocks to wait before applying logs (default 0)
+  --help                   Show this message`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        pool: { type: "string", multiple: true },
+        chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        rpc: { type: "string" },
+        "pool-manager": { type: "string" },
+        mode: { type: "string", default: DEFAULT_WATCHER_OPTIONS.mode },
+        interval: { type: "string", default: String(DEFAULT_WATCHER_OPTIONS.pollIntervalMs) },
+        confirmations: { type: "string", default: "0" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.pool || values.pool.length === 0) {
+    console.error("❌ At least one --pool is required");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let reader;
+  try {
+    reader = UniswapV4PoolReader.fromNetwork(values.chain, {
+      rpcUrl: values.rpc,
+      poolManagerAddress: values["pool-manager"]
+    });
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+    return;
+  }
+  const watcher = new PoolWatcher(reader, values.pool, {
+    mode: values.mode,
+    pollIntervalMs: Number(values.interval),
+    confirmations: Number(values.confirmations)
+  });
+
+  watcher.on("swap", change => {
+    console.log(`[${change.blockNumber}] Swap ${change.poolId}: amount0 ${change.amount0}, amount1 ${change.amount1}, tick ${change.previous.tick} -> ${change.state.tick}`);
+  });
+  watcher.on("liquidity", change => {
+    console.log(`[${change.blockNumber}] ModifyLiquidity ${change.poolId}: ${change.liquidityDelta} in [${change.tickLower}, ${change.tickUpper}], active liquidity ${change.state.liquidity}`);
+  });
+  watcher.on("reorg", change => {
+    console.log(`Reorg: resynced from block ${change.resyncBlock}`);
+  });
+  watcher.on("error", error => {
+    // Keep running and retry on the next tick
+    console.error("Error syncing pool watcher:", error.message);
+  });
+
+  try {
+    await watcher.start();
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  process.on("SIGINT", async () => {
+    await watcher.stop();
+    process.exit(0);
+  });
+}
+
+// Export for use in other modules
+export { PoolWatcher, DEFAULT_WATCHER_OPTIONS };
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,198 @@
+import { getSqrtPriceAtTick, getTickAtSqrtPrice, getAmountsForLiquidity, getPrice, fromRawAmount, sortTokens } from './priceMath.js';
+
+// Range status, impermanent loss and fee earnings of a V4 position.
+// The position is compared with holding the tokens it was minted with, valued in currency1 at today's price.
+// No dependencies, so the dapp (ethers v5) and B0xSdk (ethers v6) share it.
+
+const DAYS_PER_YEAR = 365;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const RANGE_STATUS = {
+  BELOW: "below",      // Price under tickLower, the position is all currency0
+  IN_RANGE: "inRange", // Earning fees
+  ABOVE: "above"       // Price at or over tickUpper, the position is all currency1
+};
+
+/**
+ * Ticks of a packed PositionInfo (v4-periphery PositionInfoLibrary: hasSubscriber in bits 0-7,
+ * tickLower in 8-31, tickUpper in 32-55, poolId above)
+ * @param {bigint|string} info - PositionInfo from PositionManager.getPoolAndPositionInfo
+ * @returns {{tickLower: number, tickUpper: number}} Signed ticks
+ */
+function decodePositionInfo(info) {
+  const tickAt = (offset) => Number(BigInt.asIntN(24, BigInt(info) >> BigInt(offset)));
+  return { tickLower: tickAt(8), tickUpper: tickAt(32) };
+}
+
+/**
+ * Where the pool price sits relative to a position's range (active when tickLower <= tick < tickUpper)
+ * @param {number} tickLower - Position lower tick
+ * @param {number} tickUpper - Position upper tick
+ * @param {number} currentTick - Pool tick
+ * @returns {string} One of RANGE_STATUS
+ */
+function getRangeStatus(tickLower, tickUpper, currentTick) {
+  if (currentTick < tickLower) return RANGE_STATUS.BELOW;
+  if (currentTick >= tickUpper) return RANGE_STATUS.ABOVE;
+  return RANGE_STATUS.IN_RANGE;
+}
+
+/**
+ * Price bounds of a range and where the current price sits in it, for drawing a range bar
+ * @param {number} tickLower - Position lower tick
+ * @param {number} tickUpper - Position upper tick
+ * @param {bigint|string} sqrtPriceX96 - Pool sqrt price
+ * @param {{address: string, decimals: number}} token0 - currency0 metadata
+ * @param {{address: string, decimals: number}} token1 - currency1 metadata
+ * @param {number} [significantDigits] - Significant digits of the prices
+ * @returns {{currentTick: number, status: string, priceLower: string, priceUpper: string, priceCurrent: string, rangePosition: number}}
+ *   Prices of currency0 in currency1; rangePosition is 0 at tickLower and 1 at tickUpper (outside 0..1 when out of range)
+ */
+function getPriceRange(tickLower, tickUpper, sqrtPriceX96, token0, token1, significantDigits = 8) {
+  const currentTick = getTickAtSqrtPrice(BigInt(sqrtPriceX96));
+  return {
+    currentTick,
+    status: getRangeStatus(tickLower, tickUpper, currentTick),
+    priceLower: getPrice(getSqrtPriceAtTick(tickLower), token0, token1, significantDigits),
+    priceUpper: getPrice(getSqrtPriceAtTick(tickUpper), token0, token1, significantDigits),
+    priceCurrent: getPrice(BigInt(sqrtPriceX96), token0, token1, significantDigits),
+    rangePosition: (currentTick - tickLower) / (tickUpper - tickLower)
+  };
+}
+
+/**
+ * Block a position NFT was minted in: the first block where PositionManager.nextTokenId is past the tokenId.
+ * Binary search over past state, so it needs an archive RPC.
+ * @param {Object} params - Search parameters
+ * @param {bigint|string|number} params.tokenId - Position NFT
+ * @param {(blockTag: number) => Promise<bigint|string|number>} params.getNextTokenId - PositionManager.nextTokenId at a block
+ * @param {number} params.latestBlock - A block where the position exists
+ * @param {number} [params.fromBlock] - Block to start the search at (e.g. the PositionManager deployment)
+ * @returns {Promise<number>} Mint block
+ */
+async function findMintBlock({ tokenId, getNextTokenId, latestBlock, fromBlock = 0 }) {
+  const id = BigInt(tokenId);
+  let low = fromBlock;
+  let high = latestBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    let nextTokenId;
+    try {
+      nextTokenId = BigInt((await getNextTokenId(middle)).toString());
+    } catch {
+      nextTokenId = 0n; // PositionManager not deployed yet at this block
+    }
+    if (nextTokenId > id) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Value of raw token amounts in currency1 at a pool price
+ * @param {bigint} amount0 - Raw currency0 amount
+ * @param {bigint} amount1 - Raw currency1 amount
+ * @param {number} price - currency0 price in currency1
+ * @param {{decimals: number}} token0 - currency0 metadata
+ * @param {{decimals: number}} token1 - currency1 metadata
+ * @returns {number} Value in currency1
+ */
+function valueInToken1(amount0, amount1, price, token0, token1) {
+  return Number(fromRawAmount(amount0, token0.decimals)) * price + Number(fromRawAmount(amount1, token1.decimals));
+}
+
+/**
+ * Performance of a position against holding the tokens it was minted with.
+ * Liquidity added or removed after the mint is treated as if it had been there from the start,
+ * and only uncollected fees count (fees already collected are not visible on chain from the position).
+ * @param {Object} params - Position inputs
+ * @param {number} params.tickLower - Position lower tick
+ * @param {number} params.tickUpper - Position upper tick
+ * @param {bigint|string} params.liquidity - Position liquidity
+ * @param {bigint|string} params.currentSqrtPriceX96 - Pool sqrt price now
+ * @param {{address: string, symbol?: string, decimals: number}} params.token0 - currency0 metadata
+ * @param {{address: string, symbol?: string, decimals: number}} params.token1 - currency1 metadata
+ * @param {bigint|string} [params.mintSqrtPriceX96] - Pool sqrt price at the mint block (no IL without it)
+ * @param {number} [params.mintTimestamp] - Mint block time in seconds (no fee APR without it)
+ * @param {bigint|string} [params.feesOwed0] - Uncollected currency0 fees
+ * @param {bigint|string} [params.feesOwed1] - Uncollected currency1 fees
+ * @param {number} [params.now] - Current time in seconds
+ * @returns {Object} Range (see getPriceRange), current amounts, values in currency1, impermanentLoss and
+ *   netVsHodl as fractions (negative is a loss), feeApr in percent; fields that need missing inputs are null
+ */
+function analyzePosition({
+  tickLower,
+  tickUpper,
+  liquidity,
+  currentSqrtPriceX96,
+  token0,
+  token1,
+  mintSqrtPriceX96 = null,
+  mintTimestamp = null,
+  feesOwed0 = 0n,
+  feesOwed1 = 0n,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  // Accept the tokens in either order
+  [token0, token1] = sortTokens(token0, token1);
+  const sqrtLower = getSqrtPriceAtTick(tickLower);
+  const sqrtUpper = getSqrtPriceAtTick(tickUpper);
+  const range = getPriceRange(tickLower, tickUpper, currentSqrtPriceX96, token0, token1);
+  const price = Number(getPrice(BigInt(currentSqrtPriceX96), token0, token1, 18));
+
+  const current = getAmountsForLiquidity(BigInt(currentSqrtPriceX96), sqrtLower, sqrtUpper, BigInt(liquidity));
+  const positionValue = valueInToken1(current.amount0, current.amount1, price, token0, token1);
+  const feesValue = valueInToken1(BigInt(feesOwed0), BigInt(feesOwed1), price, token0, token1);
+
+  let minted = null;
+  let hodlValue = null;
+  let impermanentLoss = null;
+  let netVsHodl = null;
+  if (mintSqrtPriceX96 !== null && BigInt(mintSqrtPriceX96) > 0n) {
+    minted = getAmountsForLiquidity(BigInt(mintSqrtPriceX96), sqrtLower, sqrtUpper, BigInt(liquidity));
+    hodlValue = valueInToken1(minted.amount0, minted.amount1, price, token0, token1);
+    if (hodlValue > 0) {
+      impermanentLoss = positionValue / hodlValue - 1;
+      netVsHodl = (positionValue + feesValue) / hodlValue - 1;
+    }
+  }
+
+  let days = null;
+  let feeApr = null;
+  if (mintTimestamp !== null) {
+    days = Math.max(now - Number(mintTimestamp), 0) / SECONDS_PER_DAY;
+    if (days > 0 && positionValue > 0) {
+      feeApr = feesValue / positionValue / days * DAYS_PER_YEAR * 100;
+    }
+  }
+
+  return {
+    ...range,
+    token0: token0.address,
+    token1: token1.address,
+    amount0: current.amount0,
+    amount1: current.amount1,
+    mintAmount0: minted?.amount0 ?? null,
+    mintAmount1: minted?.amount1 ?? null,
+    positionValue,
+    hodlValue,
+    feesValue,
+    impermanentLoss,
+    netVsHodl,
+    days,
+    feeApr
+  };
+}
+
+// Export for use in other modules
+export {
+  analyzePosition,
+  decodePositionInfo,
+  getRangeStatus,
+  getPriceRange,
+  findMintBlock,
+  RANGE_STATUS
+};
@@ -0,0 +1,293 @@
+import { decodeTransferLog, TRANSFER_TOPIC } from './chainUtils.js';
+
+// Local index of PositionManager NFTs: owner, pool, range and liquidity of every position, built from the
+// PositionManager Transfer logs and the PoolManager ModifyLiquidity logs the PositionManager emits (its salt
+// is the token ID). Positions held by LPRewardsStaking keep the account that staked them. Only the provider
+// calls shared by ethers v5 and v6 are used, so the position-indexer CLI and the dapp both run it; the CLI
+// keeps the index in a JSON file, the dapp in IndexedDB (createIndexedDbStore).
+
+const POSITION_INDEX_VERSION = 1;
+const MODIFY_LIQUIDITY_TOPIC = "0xf208f4912782fd25c7f114ca3723a2d5dd6f3bcc3ac8db5af63baa85f711d5ec"; // ModifyLiquidity(bytes32,address,int24,int24,int256,bytes32)
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const DEFAULT_INDEX_BLOCK_RANGE = 10000;
+
+/**
+ * @typedef {Object} IndexedPosition
+ * @property {string} tokenId - Position NFT
+ * @property {string|null} owner - Current holder (lowercase), null when only liquidity changes were seen
+ * @property {string|null} staker - Account that staked the NFT while LPRewardsStaking holds it
+ * @property {string|null} poolId - Pool of the position
+ * @property {number|null} tickLower - Lower tick of the range
+ * @property {number|null} tickUpper - Upper tick of the range
+ * @property {string} liquidity - Liquidity of the position
+ * @property {number|null} mintedBlock - Block of the mint, null when it happened before the index started
+ * @property {number} updatedBlock - Block of the last change
+ */
+
+/**
+ * @typedef {Object} PositionIndex
+ * @property {number} version - POSITION_INDEX_VERSION
+ * @property {number} chainId - Chain of the indexed contracts
+ * @property {string} positionManager - PositionManager address (lowercase)
+ * @property {string} poolManager - PoolManager address (lowercase)
+ * @property {string|null} stakingAddress - LPRewardsStaking address (lowercase)
+ * @property {number} fromBlock - First indexed block
+ * @property {number} lastBlock - Last indexed block
+ * @property {Object<string, IndexedPosition>} positions - Positions by token ID
+ */
+
+/**
+ * Empty index, to be filled by syncPositionIndex
+ * @param {Object} params - Indexed contracts
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.positionManager - PositionManager address
+ * @param {string} params.poolManager - PoolManager address
+ * @param {string} [params.stakingAddress] - LPRewardsStaking address
+ * @param {number} params.fromBlock - First block to index (the PositionManager deployment block for a full index)
+ * @returns {PositionIndex} The index
+ */
+function createPositionIndex({ chainId, positionManager, poolManager, stakingAddress, fromBlock }) {
+  return {
+    version: POSITION_INDEX_VERSION,
+    chainId: Number(chainId),
+    positionManager: positionManager.toLowerCase(),
+    poolManager: poolManager.toLowerCase(),
+    stakingAddress: stakingAddress ? stakingAddress.toLowerCase() : null,
+    fromBlock,
+    lastBlock: fromBlock - 1,
+    positions: {}
+  };
+}
+
+/**
+ * Whether a stored index belongs to these contracts (and this index format)
+ * @param {PositionIndex|null} index - Loaded index
+ * @param {Object} params - { chainId, positionManager, stakingAddress }
+ * @returns {boolean} True when it can be used and synced further
+ */
+function isPositionIndexFor(index, { chainId, positionManager, stakingAddress }) {
+  return Boolean(index) &&
+    index.version === POSITION_INDEX_VERSION &&
+    index.chainId === Number(chainId) &&
+    index.positionManager === positionManager.toLowerCase() &&
+    index.stakingAddress === (stakingAddress ? stakingAddress.toLowerCase() : null);
+}
+
+/**
+ * Decode a PoolManager ModifyLiquidity log
+ * @param {Object} log - Raw log from provider.getLogs
+ * @returns {{poolId: string, tokenId: string, tickLower: number, tickUpper: number, liquidityDelta: bigint, blockNumber: number, logIndex: number}} Decoded log
+ */
+function decodeModifyLiquidityLog(log) {
+  const words = log.data.slice(2).match(/.{64}/g).map(word => BigInt("0x" + word));
+  return {
+    poolId: log.topics[1].toLowerCase(),
+    tickLower: Number(BigInt.asIntN(24, words[0])),
+    tickUpper: Number(BigInt.asIntN(24, words[1])),
+    liquidityDelta: BigInt.asIntN(256, words[2]),
+    tokenId: words[3].toString(),
+    blockNumber: Number(log.blockNumber),
+    logIndex: Number(log.index ?? log.logIndex) // ethers v6 / v5
+  };
+}
+
+/**
+ * Position record of a token ID, created on first sight
+ * @param {PositionIndex} index - Index to update
+ * @param {string} tokenId - Position NFT
+ * @returns {IndexedPosition} The record
+ */
+function getOrCreatePosition(index, tokenId) {
+  return (index.positions[tokenId] ??= {
+    tokenId,
+    owner: null,
+    staker: null,
+    poolId: null,
+    tickLower: null,
+    tickUpper: null,
+    liquidity: "0",
+    mintedBlock: null,
+    updatedBlock: 0
+  });
+}
+
+/**
+ * Apply a decoded PositionManager Transfer: mints, transfers, stakes, withdrawals and burns
+ * @param {PositionIndex} index - Index to update
+ * @param {Object} transfer - decodeTransferLog result
+ */
+function applyTransfer(index, transfer) {
+  const tokenId = transfer.value.toString();
+  const to = transfer.to.toLowerCase();
+  if (to === ZERO_ADDRESS) {
+    delete index.positions[tokenId];
+    return;
+  }
+
+  const position = getOrCreatePosition(index, tokenId);
+  if (transfer.from.toLowerCase() === ZERO_ADDRESS) {
+    position.mintedBlock = transfer.blockNumber;
+  }
+  position.owner = to;
+  position.staker = to === index.stakingAddress ? transfer.from.toLowerCase() : null;
+  position.updatedBlock = transfer.blockNumber;
+}
+
+/**
+ * Apply a decoded ModifyLiquidity of the PositionManager
+ * @param {PositionIndex} index - Index to update
+ * @param {Object} change - decodeModifyLiquidityLog result
+ */
+function applyModifyLiquidity(index, change) {
+  const position = getOrCreatePosition(index, change.tokenId);
+  position.poolId = change.poolId;
+  position.tickLower = change.tickLower;
+  position.tickUpper = change.tickUpper;
+  position.liquidity = (BigInt(position.liquidity) + change.liquidityDelta).toString();
+  position.updatedBlock = change.blockNumber;
+}
+
+/**
+ * Apply the logs of the blocks after index.lastBlock, in blockRange chunks
+ * The index is updated in place; onProgress runs after every chunk so callers can save it and resume after a failure.
+ * @param {Object} provider - ethers v5 or v6 provider
+ * @param {PositionIndex} index - Index to update
+ * @param {Object} [options] - Sync options
+ * @param {number} [options.toBlock] - Last block to index (default: latest minus confirmations)
+ * @param {number} [options.confirmations] - Blocks kept out of the index so reorgs do not reach it (default 0)
+ * @param {number} [options.blockRange] - Blocks per eth_getLogs request
+ * @param {function(PositionIndex): (void|Promise<void>)} [options.onProgress] - Called after each chunk
+ * @returns {Promise<PositionIndex>} The index
+ */
+async function syncPositionIndex(provider, index, {
+  toBlock,
+  confirmations = 0,
+  blockRange = DEFAULT_INDEX_BLOCK_RANGE,
+  onProgress
+} = {}) {
+  toBlock ??= (await provider.getBlockNumber()) - confirmations;
+  const senderTopic = "0x" + index.positionManager.slice(2).padStart(64, "0");
+
+  for (let start = index.lastBlock + 1; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    const [transferLogs, liquidityLogs] = await Promise.all([
+      provider.getLogs({ address: index.positionManager, topics: [TRANSFER_TOPIC], fromBlock: start, toBlock: end }),
+      provider.getLogs({ address: index.poolManager, topics: [MODIFY_LIQUIDITY_TOPIC, null, senderTopic], fromBlock: start, toBlock: end })
+    ]);
+
+    const changes = [
+      ...transferLogs.map(log => ({ transfer: decodeTransferLog(log) })),
+      ...liquidityLogs.map(log => ({ liquidity: decodeModifyLiquidityLog(log) }))
+    ].map(change => ({ ...change, blockNumber: (change.transfer ?? change.liquidity).blockNumber, logIndex: (change.transfer ?? change.liquidity).logIndex }));
+    changes.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (const change of changes) {
+      if (change.transfer) {
+        applyTransfer(index, change.transfer);
+      } else {
+        applyModifyLiquidity(index, change.liquidity);
+      }
+    }
+    index.lastBlock = end;
+    await onProgress?.(index);
+  }
+  return index;
+}
+
+/**
+ * Positions an address holds (for the staking contract: every staked position)
+ * @param {PositionIndex} index - Synced index
+ * @param {string} owner - Holder
+ * @returns {IndexedPosition[]} Positions by ascending token ID
+ */
+function getIndexedPositions(index, owner) {
+  const key = owner.toLowerCase();
+  return sortByTokenId(Object.values(index.positions).filter(position => position.owner === key));
+}
+
+/**
+ * Positions an account has staked in LPRewardsStaking
+ * @param {PositionIndex} index - Synced index
+ * @param {string} account - Staker
+ * @returns {IndexedPosition[]} Positions by ascending token ID
+ */
+function getIndexedStakes(index, account) {
+  const key = account.toLowerCase();
+  return sortByTokenId(Object.values(index.positions).filter(position =>
+    position.owner === index.stakingAddress && position.staker === key));
+}
+
+function sortByTokenId(positions) {
+  return positions.sort((a, b) => (BigInt(a.tokenId) < BigInt(b.tokenId) ? -1 : 1));
+}
+
+/**
+ * Group token IDs into [startId, endId] ranges for PositionFinderPro's ID-range calls
+ * Nearby IDs share a range, no range spans more than maxSpan IDs.
+ * @param {Array<string|number|bigint>} tokenIds - Token IDs
+ * @param {number} [maxSpan] - Largest range (the finder's batch size)
+ * @returns {Array<[number, number]>} Ranges by ascending ID
+ */
+function toTokenIdRanges(tokenIds, maxSpan = 1000) {
+  const ids = [...new Set(tokenIds.map(Number))].sort((a, b) => a - b);
+  const ranges = [];
+  for (const id of ids) {
+    const last = ranges[ranges.length - 1];
+    if (last && id - last[0] < maxSpan) {
+      last[1] = id;
+    } else {
+      ranges.push([id, id]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Index store backed by IndexedDB (browser), one record per key
+ * @param {string} [databaseName] - IndexedDB database
+ * @returns {{load: function(string): Promise<PositionIndex|null>, save: function(string, PositionIndex): Promise<void>, remove: function(string): Promise<void>}} Store
+ */
+function createIndexedDbStore(databaseName = "positionIndex") {
+  const storeName = "indexes";
+  let database = null;
+
+  const open = () => (database ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    load: (key) => run("readonly", store => store.get(key)),
+    save: async (key, index) => {
+      await run("readwrite", store => store.put(index, key));
+    },
+    remove: async (key) => {
+      await run("readwrite", store => store.delete(key));
+    }
+  };
+}
+
+// Export for use in other modules
+export {
+  createPositionIndex,
+  isPositionIndexFor,
+  syncPositionIndex,
+  getIndexedPositions,
+  getIndexedStakes,
+  toTokenIdRanges,
+  createIndexedDbStore,
+  decodeModifyLiquidityLog,
+  MODIFY_LIQUIDITY_TOPIC,
+  DEFAULT_INDEX_BLOCK_RANGE
+};
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { realpathSync, existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { UniswapV4PoolReader } from './Uniswapv4PoolReader.js';
+import { getNetwork, getContractAddress, DEFAULT_CHAIN_ID } from './networks.js';
+import { findDeploymentBlock } from './chainUtils.js';
+import {
+  createPositionIndex,
+  isPositionIndexFor,
+  syncPositionIndex,
+  getIndexedPositions,
+  getIndexedStakes,
+  DEFAULT_INDEX_BLOCK_RANGE
+} from './positionIndex.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+const USAGE = `Usage: position-indexer [options]
+
+Indexes PositionManager Transfer and PoolManager ModifyLiquidity events into a JSON file mapping owners to position
+NFTs, including the positions LPRewardsStaking holds and who staked them. Runs again continue from the last indexed
+block. Serve the file next to the dapp as positionIndex.<chainId>.json and it loads it instead of scanning token IDs.
+
+Options:
+  --out <file>             Index file (default positionIndex.<chainId>.json)
+  --from <block>           First block of a new index (default: PositionManager deployment block, needs an archive RPC)
+  --to <block>             Last block to index (default: latest minus --confirmations)
+  --confirmations <n>      Blocks kept out of the index so reorgs do not reach it (default 5)
+  --block-range <n>        Blocks per eth_getLogs request (default ${DEFAULT_INDEX_BLOCK_RANGE})
+  --watch                  Keep following new blocks
+  --interval <ms>          Poll interval with --watch (default 12000)
+  --owner <address>        Print the positions and stakes of an address after syncing
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint (default: the network's first rpcUrl)
+  --help                   Show this message`;
+
+/**
+ * Index store backed by a JSON file, written through a temporary file so an interrupted save keeps the previous index
+ * Any object with the same load/save methods (e.g. over SQLite) can replace it.
+ * @param {string} path - Index file
+ * @returns {{load: function(): Promise<import('./positionIndex.js').PositionIndex|null>, save: function(import('./positionIndex.js').PositionIndex): Promise<void>}} Store
+ */
+function createJsonFileStore(path) {
+  return {
+    load: async () => (existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : null),
+    save: async (index) => {
+      writeFileSync(`${path}.tmp`, JSON.stringify(index));
+      renameSync(`${path}.tmp`, path);
+    }
+  };
+}
+
+/**
+ * Print the positions an address holds and has staked
+ * @param {import('./positionIndex.js').PositionIndex} index - Synced index
+ * @param {string} owner - Address
+ */
+function printOwner(index, owner) {
+  const describe = position => `   #${position.tokenId}: liquidity ${position.liquidity} in [${position.tickLower}, ${position.tickUpper}] of ${position.poolId}`;
+  const owned = getIndexedPositions(index, owner);
+  const staked = index.stakingAddress ? getIndexedStakes(index, owner) : [];
+  console.log(`\n🧾 ${owner} holds ${owned.length} position(s)`);
+  owned.forEach(position => console.log(describe(position)));
+  console.log(`🔒 ${staked.length} staked position(s)`);
+  staked.forEach(position => console.log(describe(position)));
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        out: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        confirmations: { type: "string", default: "5" },
+        "block-range": { type: "string", default: String(DEFAULT_INDEX_BLOCK_RANGE) },
+        watch: { type: "boolean", default: false },
+        interval: { type: "string", default: "12000" },
+        owner: { type: "string" },
+        chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        rpc: { type: "string" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.watch && values.to) {
+    console.error("❌ --watch follows the chain head, it cannot be combined with --to");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let reader;
+  let index;
+  let store;
+  const syncOptions = {
+    confirmations: Number(values.confirmations),
+    blockRange: Number(values["block-range"]),
+    onProgress: (synced) => store.save(synced)
+  };
+  try {
+    const network = getNetwork(values.chain);
+    reader = UniswapV4PoolReader.fromNetwork(values.chain, { rpcUrl: values.rpc });
+    const contracts = {
+      chainId: network.chainId,
+      positionManager: getContractAddress(network, "positionManager"),
+      poolManager: getContractAddress(network, "poolManager"),
+      stakingAddress: network.contracts.lpRewardsStaking
+    };
+    const path = values.out ?? `positionIndex.${network.chainId}.json`;
+    store = createJsonFileStore(path);
+
+    index = await store.load();
+    if (index && !isPositionIndexFor(index, contracts)) {
+      throw new Error(`${path} holds an index of other contracts, pick another --out`);
+    }
+    if (!index) {
+      const fromBlock = values.from === undefined
+        ? await findDeploymentBlock(reader.provider, contracts.positionManager, await reader.provider.getBlockNumber())
+        : Number(values.from);
+      index = createPositionIndex({ ...contracts, fromBlock });
+      console.log(`Starting a new index at block ${fromBlock}`);
+    }
+
+    const startBlock = index.lastBlock;
+    await syncPositionIndex(reader.provider, index, {
+      ...syncOptions,
+      toBlock: values.to === undefined ? undefined : Number(values.to)
+    });
+    console.log(`📇 Indexed ${Object.keys(index.positions).length} position(s) through block ${index.lastBlock} ` +
+      `(${index.lastBlock - startBlock} new block(s)), saved to ${path}`);
+    if (values.owner) {
+      printOwner(index, values.owner);
+    }
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+    reader?.provider.destroy();
+    return;
+  }
+
+  if (!values.watch) {
+    reader.provider.destroy();
+    return;
+  }
+
+  let syncing = false;
+  const timer = setInterval(async () => {
+    if (syncing) return;
+    syncing = true;
+    try {
+      const previousBlock = index.lastBlock;
+      await syncPositionIndex(reader.provider, index, syncOptions);
+      if (index.lastBlock > previousBlock) {
+        console.log(`[${index.lastBlock}] ${Object.keys(index.positions).length} position(s) indexed`);
+      }
+    } catch (error) {
+      // Keep running and retry on the next tick
+      console.error("Error syncing position index:", error.message);
+    } finally {
+      syncing = false;
+    }
+  }, Number(values.interval));
+
+  process.on("SIGINT", () => {
+    clearInterval(timer);
+    reader.provider.destroy();
+    process.exit(0);
+  });
+}
+
+// Export for use in other modules
+export { createJsonFileStore };
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,551 @@
+// Exact Uniswap V4 price and liquidity math on BigInt
+// Ports TickMath, SqrtPriceMath and LiquidityAmounts; prices are returned as decimal strings.
+// No dependencies, so the same module can be imported by the dapp in the browser.
+
+const Q96 = 1n << 96n;
+const Q192 = 1n << 192n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_PRICE = 4295128739n;
+const MAX_SQRT_PRICE = 1461446703485210103287273052203988822378723970342n;
+
+// Significant digits kept when a price is formatted as a decimal string
+const DEFAULT_SIGNIFICANT_DIGITS = 18;
+// Largest power of ten parseDecimal accepts, far beyond any price or amount (1e1000000 would hang BigInt math)
+const MAX_DECIMAL_EXPONENT = 1000;
+
+/**
+ * Convert tick to sqrtPriceX96 (TickMath.getSqrtPriceAtTick)
+ * @param {number} tick - The tick value
+ * @returns {bigint} The sqrt price as a Q64.96
+ */
+function getSqrtPriceAtTick(tick) {
+  const absTick = Math.abs(tick);
+  if (!Number.isInteger(tick) || absTick > MAX_TICK) {
+    throw new Error(`TICK_OUT_OF_RANGE: ${tick}`);
+  }
+
+  let ratio = (absTick & 0x1) !== 0
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+
+  if ((absTick & 0x2) !== 0) ratio = (ratio * 0xfff97272373d413259a46990580e213an) >> 128n;
+  if ((absTick & 0x4) !== 0) ratio = (ratio * 0xfff2e50f5f656932ef12357cf3c7fdccn) >> 128n;
+  if ((absTick & 0x8) !== 0) ratio = (ratio * 0xffe5caca7e10e4e61c3624eaa0941cd0n) >> 128n;
+  if ((absTick & 0x10) !== 0) ratio = (ratio * 0xffcb9843d60f6159c9db58835c926644n) >> 128n;
+  if ((absTick & 0x20) !== 0) ratio = (ratio * 0xff973b41fa98c081472e6896dfb254c0n) >> 128n;
+  if ((absTick & 0x40) !== 0) ratio = (ratio * 0xff2ea16466c96a3843ec78b326b52861n) >> 128n;
+  if ((absTick & 0x80) !== 0) ratio = (ratio * 0xfe5dee046a99a2a811c461f1969c3053n) >> 128n;
+  if ((absTick & 0x100) !== 0) ratio = (ratio * 0xfcbe86c7900a88aedcffc83b479aa3a4n) >> 128n;
+  if ((absTick & 0x200) !== 0) ratio = (ratio * 0xf987a7253ac413176f2b074cf7815e54n) >> 128n;
+  if ((absTick & 0x400) !== 0) ratio = (ratio * 0xf3392b0822b70005940c7a398e4b70f3n) >> 128n;
+  if ((absTick & 0x800) !== 0) ratio = (ratio * 0xe7159475a2c29b7443b29c7fa6e889d9n) >> 128n;
+  if ((absTick & 0x1000) !== 0) ratio = (ratio * 0xd097f3bdfd2022b8845ad8f792aa5825n) >> 128n;
+  if ((absTick & 0x2000) !== 0) ratio = (ratio * 0xa9f746462d870fdf8a65dc1f90e061e5n) >> 128n;
+  if ((absTick & 0x4000) !== 0) ratio = (ratio * 0x70d869a156d2a1b890bb3df62baf32f7n) >> 128n;
+  if ((absTick & 0x8000) !== 0) ratio = (ratio * 0x31be135f97d08fd981231505542fcfa6n) >> 128n;
+  if ((absTick & 0x10000) !== 0) ratio = (ratio * 0x9aa508b5b7a84e1c677de54f3e99bc9n) >> 128n;
+  if ((absTick & 0x20000) !== 0) ratio = (ratio * 0x5d6af8dedb81196699c329225ee604n) >> 128n;
+  if ((absTick & 0x40000) !== 0) ratio = (ratio * 0x2216e584f5fa1ea926041bedfe98n) >> 128n;
+  if ((absTick & 0x80000) !== 0) ratio = (ratio * 0x48a170391f7dc42444e8fa2n) >> 128n;
+
+  if (tick > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+
+  // Q128.128 to Q64.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * Convert sqrtPriceX96 to the greatest tick whose sqrt price is <= it (TickMath.getTickAtSqrtPrice)
+ * @param {bigint|string} sqrtPriceX96 - The sqrt price as a Q64.96
+ * @returns {number} The tick
+ */
+function getTickAtSqrtPrice(sqrtPriceX96) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  if (sqrtPrice < MIN_SQRT_PRICE || sqrtPrice >= MAX_SQRT_PRICE) {
+    throw new Error(`SQRT_PRICE_OUT_OF_RANGE: ${sqrtPrice}`);
+  }
+
+  // getSqrtPriceAtTick is monotonic, so a binary search gives the exact TickMath result
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.floor((low + high + 1) / 2);
+    if (getSqrtPriceAtTick(mid) <= sqrtPrice) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Integer square root (floor)
+ * @param {bigint} value - Non-negative value
+ * @returns {bigint} floor(sqrt(value))
+ */
+function sqrtBigInt(value) {
+  if (value < 0n) throw new Error("Square root of negative number");
+  if (value < 2n) return value;
+
+  let x = 1n << (BigInt(value.toString(2).length + 1) >> 1n);
+  while (true) {
+    const y = (x + value / x) >> 1n;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+/**
+ * Divide rounding up
+ * @param {bigint} a - Numerator
+ * @param {bigint} b - Denominator
+ * @returns {bigint} ceil(a / b)
+ */
+function divRoundingUp(a, b) {
+  return a / b + (a % b === 0n ? 0n : 1n);
+}
+
+/**
+ * Format a positive rational as a plain decimal string
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator
+ * @param {number} significantDigits - Significant digits to keep (truncated, not rounded)
+ * @returns {string} Decimal string without exponent, trailing zeros removed
+ */
+function formatRatio(numerator, denominator, significantDigits = DEFAULT_SIGNIFICANT_DIGITS) {
+  if (denominator === 0n) throw new Error("Division by zero");
+  if (numerator === 0n) return "0";
+
+  const integerPart = numerator / denominator;
+  let remainder = numerator % denominator;
+
+  let digitsLeft = significantDigits - (integerPart === 0n ? 0 : integerPart.toString().length);
+  let fraction = "";
+  let started = integerPart !== 0n;
+  while (remainder !== 0n && (digitsLeft > 0 || !started)) {
+    remainder *= 10n;
+    const digit = remainder / denominator;
+    remainder %= denominator;
+    fraction += digit.toString();
+    if (digit !== 0n) started = true;
+    if (started) digitsLeft--;
+  }
+
+  fraction = fraction.replace(/0+$/, "");
+  return fraction ? `${integerPart}.${fraction}` : integerPart.toString();
+}
+
+/**
+ * Parse a non-negative decimal string into a rational
+ * Exponent notation is accepted, since String() of a small or large Number produces it ("1e-7").
+ * @param {string|number} value - Decimal such as "1.25" or "2.5e-6"
+ * @returns {{numerator: bigint, denominator: bigint}} The value as numerator / denominator
+ */
+function parseDecimal(value) {
+  const match = /^(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(String(value).trim());
+  const exponent = match ? Number(match[3] ?? 0) - (match[2] ?? "").length : NaN;
+  if (!match || Math.abs(exponent) > MAX_DECIMAL_EXPONENT) {
+    throw new Error(`Invalid decimal: ${value}`);
+  }
+  const digits = BigInt(match[1] + (match[2] ?? ""));
+  return exponent >= 0
+    ? { numerator: digits * 10n ** BigInt(exponent), denominator: 1n }
+    : { numerator: digits, denominator: 10n ** BigInt(-exponent) };
+}
+
+/**
+ * Convert a human amount to raw token units (like ethers parseUnits, truncating extra digits)
+ * @param {string} amount - Decimal amount, e.g. "1.5"
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Raw amount
+ */
+function toRawAmount(amount, decimals) {
+  const { numerator, denominator } = parseDecimal(amount);
+  return (numerator * 10n ** BigInt(decimals)) / denominator;
+}
+
+/**
+ * Convert raw token units to a human decimal string (like ethers formatUnits)
+ * @param {bigint|string} rawAmount - Raw amount
+ * @param {number} decimals - Token decimals
+ * @returns {string} Decimal amount
+ */
+function fromRawAmount(rawAmount, decimals) {
+  const raw = BigInt(rawAmount);
+  const negative = raw < 0n;
+  const formatted = formatRatio(negative ? -raw : raw, 10n ** BigInt(decimals), Number.MAX_SAFE_INTEGER);
+  return negative ? `-${formatted}` : formatted;
+}
+
+/**
+ * Human price of token0 in token1 (or the inverse) from sqrtPriceX96
+ * @param {bigint|string} sqrtPriceX96 - The sqrt price as a Q64.96
+ * @param {number} decimals0 - Decimals of currency0
+ * @param {number} decimals1 - Decimals of currency1
+ * @param {Object} options - { invert: price of token1 in token0, significantDigits }
+ * @returns {string} Decimal price
+ */
+function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1, { invert = false, significantDigits = DEFAULT_SIGNIFICANT_DIGITS } = {}) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  // token1 per token0 = sqrtPrice^2 / 2^192, scaled by 10^(decimals0 - decimals1)
+  let numerator = sqrtPrice * sqrtPrice * 10n ** BigInt(decimals0);
+  let denominator = Q192 * 10n ** BigInt(decimals1);
+  if (invert) {
+    [numerator, denominator] = [denominator, numerator];
+  }
+  return formatRatio(numerator, denominator, significantDigits);
+}
+
+/**
+ * sqrtPriceX96 for a human price of token0 in token1
+ * @param {string} price - Decimal price (token1 per token0)
+ * @param {number} decimals0 - Decimals of currency0
+ * @param {number} decimals1 - Decimals of currency1
+ * @returns {bigint} The sqrt price as a Q64.96 (floor)
+ */
+function priceToSqrtPriceX96(price, decimals0, decimals1) {
+  const { numerator, denominator } = parseDecimal(price);
+  const ratioX192 = (numerator * 10n ** BigInt(decimals1) * Q192) / (denominator * 10n ** BigInt(decimals0));
+  return sqrtBigInt(ratioX192);
+}
+
+/**
+ * Amount of currency0 between two sqrt prices for a liquidity (SqrtPriceMath.getAmount0Delta)
+ * @param {bigint} sqrtPriceAX96 - A sqrt price
+ * @param {bigint} sqrtPriceBX96 - Another sqrt price
+ * @param {bigint} liquidity - Liquidity
+ * @param {boolean} roundUp - Round up (amounts owed to the pool) or down (amounts paid out)
+ * @returns {bigint} Amount of currency0
+ */
+function getAmount0Delta(sqrtPriceAX96, sqrtPriceBX96, liquidity, roundUp = false) {
+  let [lower, upper] = [BigInt(sqrtPriceAX96), BigInt(sqrtPriceBX96)];
+  if (lower > upper) [lower, upper] = [upper, lower];
+  if (lower === 0n) throw new Error("Invalid sqrt price: 0");
+
+  const numerator1 = BigInt(liquidity) << 96n;
+  const numerator2 = upper - lower;
+
+  return roundUp
+    ? divRoundingUp(divRoundingUp(numerator1 * numerator2, upper), lower)
+    : (numerator1 * numerator2) / upper / lower;
+}
+
+/**
+ * Amount of currency1 between two sqrt prices for a liquidity (SqrtPriceMath.getAmount1Delta)
+ * @param {bigint} sqrtPriceAX96 - A sqrt price
+ * @param {bigint} sqrtPriceBX96 - Another sqrt price
+ * @param {bigint} liquidity - Liquidity
+ * @param {boolean} roundUp - Round up (amounts owed to the pool) or down (amounts paid out)
+ * @returns {bigint} Amount of currency1
+ */
+function getAmount1Delta(sqrtPriceAX96, sqrtPriceBX96, liquidity, roundUp = false) {
+  let [lower, upper] = [BigInt(sqrtPriceAX96), BigInt(sqrtPriceBX96)];
+  if (lower > upper) [lower, upper] = [upper, lower];
+
+  const product = BigInt(liquidity) * (upper - lower);
+  return roundUp ? divRoundingUp(product, Q96) : product / Q96;
+}
+
+/**
+ * Token amounts held by a liquidity amount in a range at the current price (LiquidityAmounts.getAmountsForLiquidity)
+ * @param {bigint} sqrtPriceX96 - Current sqrt price
+ * @param {bigint} sqrtPriceAX96 - Sqrt price at one range bound
+ * @param {bigint} sqrtPriceBX96 - Sqrt price at the other range bound
+ * @param {bigint} liquidity - Liquidity
+ * @returns {{amount0: bigint, amount1: bigint}} Raw token amounts (rounded down)
+ */
+function getAmountsForLiquidity(sqrtPriceX96, sqrtPriceAX96, sqrtPriceBX96, liquidity) {
+  const current = BigInt(sqrtPriceX96);
+  let [lower, upper] = [BigInt(sqrtPriceAX96), BigInt(sqrtPriceBX96)];
+  if (lower > upper) [lower, upper] = [upper, lower];
+
+  if (current <= lower) {
+    return { amount0: getAmount0Delta(lower, upper, liquidity), amount1: 0n };
+  }
+  if (current < upper) {
+    return {
+      amount0: getAmount0Delta(current, upper, liquidity),
+      amount1: getAmount1Delta(lower, current, liquidity)
+    };
+  }
+  return { amount0: 0n, amount1: getAmount1Delta(lower, upper, liquidity) };
+}
+
+/**
+ * Liquidity for an amount of currency0 in a range (LiquidityAmounts.getLiquidityForAmount0)
+ * @param {bigint} sqrtPriceAX96 - Sqrt price at one range bound
+ * @param {bigint} sqrtPriceBX96 - Sqrt price at the other range bound
+ * @param {bigint} amount0 - Raw amount of currency0
+ * @returns {bigint} Liquidity
+ */
+function getLiquidityForAmount0(sqrtPriceAX96, sqrtPriceBX96, amount0) {
+  let [lower, upper] = [BigInt(sqrtPriceAX96), BigInt(sqrtPriceBX96)];
+  if (lower > upper) [lower, upper] = [upper, lower];
+
+  const intermediate = (lower * upper) / Q96;
+  return (BigInt(amount0) * intermediate) / (upper - lower);
+}
+
+/**
+ * Liquidity for an amount of currency1 in a range (LiquidityAmounts.getLiquidityForAmount1)
+ * @param {bigint} sqrtPriceAX96 - Sqrt price at one range bound
+ * @param {bigint} sqrtPriceBX96 - Sqrt price at the other range bound
+ * @param {bigint} amount1 - Raw amount of currency1
+ * @returns {bigint} Liquidity
+ */
+function getLiquidityForAmount1(sqrtPriceAX96, sqrtPriceBX96, amount1) {
+  let [lower, upper] = [BigInt(sqrtPriceAX96), BigInt(sqrtPriceBX96)];
+  if (lower > upper) [lower, upper] = [upper, lower];
+
+  return (BigInt(amount1) * Q96) / (upper - lower);
+}
+
+/**
+ * Maximum liquidity that the given amounts can mint in a range (LiquidityAmounts.getLiquidityForAmounts)
+ * @param {bigint} sqrtPriceX96 - Current sqrt price
+ * @param {bigint} sqrtPriceAX96 - Sqrt price at one range bound
+ * @param {bigint} sqrtPriceBX96 - Sqrt price at the other range bound
+ * @param {bigint} amount0 - Raw amount of currency0 available
+ * @param {bigint} amount1 - Raw amount of currency1 available
+ * @returns {bigint} Liquidity
+ */
+function getLiquidityForAmounts(sqrtPriceX96, sqrtPriceAX96, sqrtPriceBX96, amount0, amount1) {
+  const current = BigInt(sqrtPriceX96);
+  let [lower, upper] = [BigInt(sqrtPriceAX96), BigInt(sqrtPriceBX96)];
+  if (lower > upper) [lower, upper] = [upper, lower];
+
+  if (current <= lower) {
+    return getLiquidityForAmount0(lower, upper, amount0);
+  }
+  if (current < upper) {
+    const liquidity0 = getLiquidityForAmount0(current, upper, amount0);
+    const liquidity1 = getLiquidityForAmount1(lower, current, amount1);
+    return liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+  }
+  return getLiquidityForAmount1(lower, upper, amount1);
+}
+
+/**
+ * Order two tokens the way PoolKey does (currency0 has the lower address)
+ * @param {{address: string, decimals: number}} tokenA - Token metadata
+ * @param {{address: string, decimals: number}} tokenB - Token metadata
+ * @returns {[Object, Object]} [token0, token1]
+ */
+function sortTokens(tokenA, tokenB) {
+  return BigInt(tokenA.address) < BigInt(tokenB.address) ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+/**
+ * Human price of one token in another, whichever side of the pool each token is on
+ * @param {bigint|string} sqrtPriceX96 - Pool sqrt price
+ * @param {{address: string, decimals: number}} baseToken - Token being priced
+ * @param {{address: string, decimals: number}} quoteToken - Token the price is expressed in
+ * @param {number} significantDigits - Significant digits to keep
+ * @returns {string} Amount of quoteToken per one baseToken
+ */
+function getPrice(sqrtPriceX96, baseToken, quoteToken, significantDigits = DEFAULT_SIGNIFICANT_DIGITS) {
+  const [token0, token1] = sortTokens(baseToken, quoteToken);
+  return sqrtPriceX96ToPrice(sqrtPriceX96, token0.decimals, token1.decimals, {
+    invert: token0 !== baseToken,
+    significantDigits
+  });
+}
+
+/**
+ * Round a tick to the nearest multiple of tickSpacing that PoolManager accepts
+ * @param {number} tick - Any tick
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {number} Usable tick
+ */
+function nearestUsableTick(tick, tickSpacing) {
+  const minUsable = Math.ceil(MIN_TICK / tickSpacing) * tickSpacing;
+  const maxUsable = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+  // Math.round(-0.5) is -0, which would print as "-0" and fail Object.is checks
+  const rounded = Math.round(tick / tickSpacing) * tickSpacing || 0;
+  return Math.min(Math.max(rounded, minUsable), maxUsable);
+}
+
+/**
+ * Widest range for a tick spacing (-887220 to 887220 for a spacing of 60)
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {{tickLower: number, tickUpper: number}} Full-range ticks
+ */
+function getFullRangeTicks(tickSpacing) {
+  return {
+    tickLower: Math.ceil(MIN_TICK / tickSpacing) * tickSpacing,
+    tickUpper: Math.floor(MAX_TICK / tickSpacing) * tickSpacing
+  };
+}
+
+/**
+ * Tick of a human price of one token in another, whichever side of the pool each token is on
+ * @param {string} price - Decimal price (quoteToken per baseToken), must be positive
+ * @param {{address: string, decimals: number}} baseToken - Token being priced
+ * @param {{address: string, decimals: number}} quoteToken - Token the price is expressed in
+ * @returns {number} Pool tick (currency1 per currency0) at that price, clamped to the tick range
+ */
+function priceToTick(price, baseToken, quoteToken) {
+  const [token0, token1] = sortTokens(baseToken, quoteToken);
+  let sqrtPriceX96;
+  if (token0 === baseToken) {
+    sqrtPriceX96 = priceToSqrtPriceX96(price, token0.decimals, token1.decimals);
+  } else {
+    // The price is currency0 per currency1: take the sqrt price of the inverse pool and flip it
+    const inverse = priceToSqrtPriceX96(price, token1.decimals, token0.decimals);
+    sqrtPriceX96 = inverse > 0n ? Q192 / inverse : MAX_SQRT_PRICE;
+  }
+  if (sqrtPriceX96 < MIN_SQRT_PRICE) return MIN_TICK;
+  if (sqrtPriceX96 >= MAX_SQRT_PRICE) return MAX_TICK;
+  return getTickAtSqrtPrice(sqrtPriceX96);
+}
+
+/**
+ * Position range for a min and max price, snapped to tickSpacing
+ * @param {string} minPrice - Lowest price (quoteToken per baseToken)
+ * @param {string} maxPrice - Highest price
+ * @param {{address: string, decimals: number}} baseToken - Token being priced
+ * @param {{address: string, decimals: number}} quoteToken - Token the prices are expressed in
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {{tickLower: number, tickUpper: number}} Ticks, at least one tickSpacing apart
+ */
+function getTickRangeForPrices(minPrice, maxPrice, baseToken, quoteToken, tickSpacing) {
+  // Same parsing as the tick conversion below, so both accept and reject the same inputs
+  const min = parseDecimal(minPrice);
+  const max = parseDecimal(maxPrice);
+  if (min.numerator === 0n || max.numerator * min.denominator <= min.numerator * max.denominator) {
+    throw new Error(`Invalid price range ${minPrice} - ${maxPrice}: prices must be positive and min below max`);
+  }
+  const ticks = [priceToTick(minPrice, baseToken, quoteToken), priceToTick(maxPrice, baseToken, quoteToken)]
+    .map(tick => nearestUsableTick(tick, tickSpacing))
+    .sort((a, b) => a - b);
+  return widenEmptyRange(ticks[0], ticks[1], tickSpacing);
+}
+
+/**
+ * Position range of +-percent around a pool price, snapped to tickSpacing
+ * @param {bigint|string} sqrtPriceX96 - Pool sqrt price
+ * @param {number} percent - Distance of each bound from the price, in percent (100 or more reaches the lowest tick)
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {{tickLower: number, tickUpper: number}} Ticks, at least one tickSpacing apart
+ */
+function getTickRangeAroundPrice(sqrtPriceX96, percent, tickSpacing) {
+  if (!(percent > 0)) {
+    throw new Error(`Range width must be a positive percentage, got ${percent}`);
+  }
+  const currentTick = getTickAtSqrtPrice(sqrtPriceX96);
+  // A price ratio r is log(r) / log(1.0001) ticks away
+  const ticksAway = (ratio) => Math.log(ratio) / Math.log(1.0001);
+  const lower = percent >= 100 ? MIN_TICK : currentTick + Math.floor(ticksAway(1 - percent / 100));
+  const upper = Math.min(currentTick + Math.ceil(ticksAway(1 + percent / 100)), MAX_TICK);
+  return widenEmptyRange(nearestUsableTick(lower, tickSpacing), nearestUsableTick(upper, tickSpacing), tickSpacing);
+}
+
+/**
+ * Keep a snapped range at least one tickSpacing wide
+ * @param {number} tickLower - Snapped lower tick
+ * @param {number} tickUpper - Snapped upper tick
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {{tickLower: number, tickUpper: number}} Non-empty range
+ */
+function widenEmptyRange(tickLower, tickUpper, tickSpacing) {
+  if (tickLower < tickUpper) return { tickLower, tickUpper };
+  const { tickUpper: maxUsable } = getFullRangeTicks(tickSpacing);
+  return tickLower + tickSpacing <= maxUsable
+    ? { tickLower, tickUpper: tickLower + tickSpacing }
+    : { tickLower: tickUpper - tickSpacing, tickUpper };
+}
+
+/**
+ * Raw output of a raw input amount at the pool price (no fee, no price impact)
+ * @param {bigint} rawAmountIn - Raw input amount
+ * @param {bigint|string} sqrtPriceX96 - Pool sqrt price
+ * @param {boolean} zeroForOne - Input is currency0
+ * @returns {bigint} Raw output amount
+ */
+function getSpotAmountOut(rawAmountIn, sqrtPriceX96, zeroForOne) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  // raw token1 per raw token0 = sqrtPrice^2 / 2^192
+  return zeroForOne
+    ? (BigInt(rawAmountIn) * sqrtPrice * sqrtPrice) / Q192
+    : (BigInt(rawAmountIn) * Q192) / (sqrtPrice * sqrtPrice);
+}
+
+/**
+ * Swap that turns two token amounts into the mix a range takes at the pool price (spot price, no fee)
+ * @param {bigint|string} sqrtPriceX96 - Pool sqrt price
+ * @param {bigint} sqrtPriceAX96 - Sqrt price at one range bound
+ * @param {bigint} sqrtPriceBX96 - Sqrt price at the other range bound
+ * @param {bigint} amount0 - Raw amount of currency0 held
+ * @param {bigint} amount1 - Raw amount of currency1 held
+ * @returns {{zeroForOne: boolean, amountIn: bigint}} Raw amount to sell, currency0 when zeroForOne
+ */
+function getSwapForRange(sqrtPriceX96, sqrtPriceAX96, sqrtPriceBX96, amount0, amount1) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  const priceX192 = sqrtPrice * sqrtPrice;
+  // The range's mix at this price, from any liquidity amount
+  const mix = getAmountsForLiquidity(sqrtPrice, sqrtPriceAX96, sqrtPriceBX96, Q192);
+  // Keep target0 of currency0 so that target0 : target1 = mix.amount0 : mix.amount1 at the same total value
+  const valueX192 = BigInt(amount0) * priceX192 + BigInt(amount1) * Q192;
+  const target0 = valueX192 * mix.amount0 / (mix.amount0 * priceX192 + mix.amount1 * Q192);
+
+  if (target0 < BigInt(amount0)) {
+    return { zeroForOne: true, amountIn: BigInt(amount0) - target0 };
+  }
+  return { zeroForOne: false, amountIn: getSpotAmountOut(target0 - BigInt(amount0), sqrtPrice, true) };
+}
+
+/**
+ * Spot quote of an input amount at the pool price (no fee, no price impact)
+ * @param {string} amountIn - Human input amount
+ * @param {bigint|string} sqrtPriceX96 - Pool sqrt price
+ * @param {{address: string, decimals: number}} tokenIn - Input token metadata
+ * @param {{address: string, decimals: number}} tokenOut - Output token metadata
+ * @returns {{rawAmountOut: bigint, amountOut: string}} Output amount, raw and human
+ */
+function quoteAtPrice(amountIn, sqrtPriceX96, tokenIn, tokenOut) {
+  const rawAmountIn = toRawAmount(amountIn, tokenIn.decimals);
+  const zeroForOne = BigInt(tokenIn.address) < BigInt(tokenOut.address);
+  const rawAmountOut = getSpotAmountOut(rawAmountIn, sqrtPriceX96, zeroForOne);
+
+  return { rawAmountOut, amountOut: fromRawAmount(rawAmountOut, tokenOut.decimals) };
+}
+
+export {
+  Q96,
+  Q192,
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_PRICE,
+  MAX_SQRT_PRICE,
+  getSqrtPriceAtTick,
+  getTickAtSqrtPrice,
+  sqrtBigInt,
+  formatRatio,
+  parseDecimal,
+  toRawAmount,
+  fromRawAmount,
+  sqrtPriceX96ToPrice,
+  priceToSqrtPriceX96,
+  getAmount0Delta,
+  getAmount1Delta,
+  getAmountsForLiquidity,
+  getLiquidityForAmount0,
+  getLiquidityForAmount1,
+  getLiquidityForAmounts,
+  sortTokens,
+  getPrice,
+  nearestUsableTick,
+  getFullRangeTicks,
+  priceToTick,
+  getTickRangeForPrices,
+  getTickRangeAroundPrice,
+  getSpotAmountOut,
+  getSwapForRange,
+  quoteAtPrice
+};
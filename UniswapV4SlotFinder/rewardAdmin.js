@@ -0,0 +1,437 @@
+import { fromRawAmount } from './priceMath.js';
+import { decodeSafeCalls, findDeploymentBlock, readWord, TRANSFER_TOPIC } from './chainUtils.js';
+import { getPoolLogs } from './poolEvents.js';
+
+// Reward admin tooling for LPRewardsStaking and the hook: reward period status, multi-step admin batches
+// (exportable as a Safe Transaction Builder bundle) and an audit log of past admin calls.
+// Calldata is encoded by hand (every argument is a single word) and only provider calls shared by
+// ethers v5 and v6 are used, so the dapp and B0xSdk both run it.
+
+const DEFAULT_LOG_BLOCK_RANGE = 10000;
+const DEFAULT_PERIOD_WARNING_SECONDS = 3 * 24 * 60 * 60;
+const OWNERSHIP_TRANSFERRED_TOPIC = "0x8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0"; // OwnershipTransferred(address,address)
+const SAFE_TX_BUILDER_VERSION = "1.16.5";
+
+// Admin calls recognised in the audit log
+const ADMIN_ACTIONS = {
+  ADD_REWARD_TOKEN: "addRewardToken",
+  REMOVE_REWARD_TOKEN: "removeRewardToken",
+  START_REWARD_PERIOD: "startRewardPeriod",
+  SET_LP_FEE: "setLPFee",
+  TRANSFER_OWNERSHIP: "transferOwnership",
+  RENOUNCE_OWNERSHIP: "renounceOwnership",
+  FUND: "fund",      // Reward tokens sent to the staking contract
+  APPROVE: "approve" // Approval for the staking contract (listing fee)
+};
+
+// Function selectors of the admin calls and the token calls of a batch
+const SELECTORS = {
+  addRewardToken: "0x1c03e6cc",    // addRewardToken(address)
+  removeRewardToken: "0x3d509c97", // removeRewardToken(address)
+  setRewardParams: "0xf58e7b33",   // setRewardParams(address)
+  forceUpdateLPFee: "0x99e94069",  // forceUpdateLPFee((address,address,uint24,int24,address),uint24)
+  transferOwnership: "0xf2fde38b", // transferOwnership(address)
+  renounceOwnership: "0x715018a6", // renounceOwnership()
+  approve: "0x095ea7b3",           // approve(address,uint256)
+  transfer: "0xa9059cbb"           // transfer(address,uint256)
+};
+
+const PERIOD_STATUS = {
+  ACTIVE: "active",
+  ENDING: "ending", // Ends within the warning window
+  ENDED: "ended"
+};
+
+/**
+ * @typedef {Object} AdminCall
+ * @property {string} to - Contract called
+ * @property {string} value - Wei sent, as a decimal string
+ * @property {string} data - Calldata
+ * @property {string} method - Function name, for display
+ * @property {string} description - What the step does
+ */
+
+/**
+ * @typedef {Object} AdminLogEntry
+ * @property {string} action - One of ADMIN_ACTIONS
+ * @property {number} blockNumber - Block of the transaction
+ * @property {number} transactionIndex - Position of the transaction in its block
+ * @property {number} timestamp - Block timestamp (seconds)
+ * @property {string|null} transactionHash - Transaction hash (null for a fee update whose call was not found in its block)
+ * @property {string|null} from - Sender of the transaction (the Safe's signer for Safe transactions)
+ * @property {string|null} safe - Safe that executed the call, null for direct calls
+ * @property {string} contract - Contract called
+ * @property {string|null} token - Reward token, funded token or new owner, by action
+ * @property {bigint|null} amount - Raw amount funded or approved, or the new LP fee in pips
+ */
+
+/**
+ * Left-pad a value into one ABI word
+ * @param {string|bigint|number} value - Address or unsigned integer
+ * @returns {string} 64 hex characters, without 0x
+ */
+function encodeWord(value) {
+  const hex = typeof value === "string" && value.startsWith("0x") ? value.slice(2) : BigInt(value).toString(16);
+  return hex.toLowerCase().padStart(64, "0");
+}
+
+/**
+ * Calldata for a function whose arguments are all single words
+ * @param {string} selector - 4-byte selector
+ * @param {Array<string|bigint|number>} args - Addresses and unsigned integers
+ * @returns {string} Calldata
+ */
+function encodeCall(selector, args = []) {
+  return selector + args.map(encodeWord).join("");
+}
+
+/**
+ * Reward period status of every reward token
+ * @param {Array<{token: string, symbol: string, decimals: number, rewardRate: bigint, periodEndsAt: number}>} rewards - getRewardOwedStats rows
+ * @param {Object} [options] - { now (unix seconds, default: the clock), warnSeconds (default 3 days) }
+ * @returns {Array<Object>} Rows with secondsLeft and one of PERIOD_STATUS
+ */
+function getRewardPeriodStatus(rewards, { now = Math.floor(Date.now() / 1000), warnSeconds = DEFAULT_PERIOD_WARNING_SECONDS } = {}) {
+  return rewards.map(reward => {
+    const secondsLeft = Math.max(0, Number(reward.periodEndsAt) - now);
+    let status = PERIOD_STATUS.ACTIVE;
+    if (secondsLeft === 0 || BigInt(reward.rewardRate) === 0n) {
+      status = PERIOD_STATUS.ENDED;
+    } else if (secondsLeft <= warnSeconds) {
+      status = PERIOD_STATUS.ENDING;
+    }
+    return {
+      token: reward.token,
+      symbol: reward.symbol,
+      decimals: reward.decimals,
+      rewardRate: BigInt(reward.rewardRate),
+      periodEndsAt: Number(reward.periodEndsAt),
+      secondsLeft,
+      status
+    };
+  });
+}
+
+/**
+ * Steps to list, fund and start a reward period for a token, as one batch
+ *
+ * setRewardParams starts a period from the token balance the staking contract holds,
+ * so funding is a plain transfer to the contract right before it.
+ * @param {Object} params - Batch parameters
+ * @param {string} params.stakingAddress - LPRewardsStaking address
+ * @param {string} params.token - Reward token
+ * @param {bigint} params.amount - Raw reward amount to fund (0 starts a period from the balance already held)
+ * @param {boolean} params.list - Approve the listing fee and call addRewardToken first
+ * @param {boolean} [params.start] - Fund and start a reward period (default true; false only lists the token)
+ * @param {string} [params.feeToken] - Token the listing fee is paid in (USDC)
+ * @param {bigint} [params.listingFee] - Raw listing fee, required to list when there is a feeToken (the contract
+ *   exposes no getter for it, so it comes from whoever runs the batch)
+ * @param {Object} [params.labels] - { symbol, decimals, feeSymbol, feeDecimals } for the step descriptions
+ * @returns {AdminCall[]} Calls in execution order
+ */
+function buildRewardSetupBatch({ stakingAddress, token, amount, list, start = true, feeToken, listingFee, labels = {} }) {
+  const describe = (raw, decimals, symbol) => (decimals === undefined ? `${raw} (raw)` : `${fromRawAmount(raw, decimals)}`) + (symbol ? ` ${symbol}` : "");
+  const symbol = labels.symbol ?? token;
+  const calls = [];
+
+  if (list) {
+    if (feeToken && listingFee === undefined) {
+      throw new Error("Listing a reward token needs the listing fee the staking contract charges");
+    }
+    if (feeToken && BigInt(listingFee) > 0n) {
+      calls.push({
+        to: feeToken,
+        value: "0",
+        data: encodeCall(SELECTORS.approve, [stakingAddress, listingFee]),
+        method: "approve",
+        description: `Approve the ${describe(listingFee, labels.feeDecimals, labels.feeSymbol)} listing fee`
+      });
+    }
+    calls.push({
+      to: stakingAddress,
+      value: "0",
+      data: encodeCall(SELECTORS.addRewardToken, [token]),
+      method: "addRewardToken",
+      description: `List ${symbol} as a reward token`
+    });
+  }
+  if (!start) {
+    return calls;
+  }
+  if (BigInt(amount) > 0n) {
+    calls.push({
+      to: token,
+      value: "0",
+      data: encodeCall(SELECTORS.transfer, [stakingAddress, amount]),
+      method: "transfer",
+      description: `Fund the staking contract with ${describe(amount, labels.decimals, labels.symbol)}`
+    });
+  }
+  calls.push({
+    to: stakingAddress,
+    value: "0",
+    data: encodeCall(SELECTORS.setRewardParams, [token]),
+    method: "setRewardParams",
+    description: `Start a reward period for ${symbol}`
+  });
+  return calls;
+}
+
+/**
+ * Safe Transaction Builder bundle of a batch (import it in the Safe app's Transaction Builder)
+ * @param {AdminCall[]} calls - Batch calls
+ * @param {Object} params - Bundle metadata
+ * @param {number|string} params.chainId - Chain of the Safe
+ * @param {string} [params.safeAddress] - Safe the bundle is for
+ * @param {string} [params.name] - Bundle name
+ * @param {string} [params.description] - Bundle description (default: the step descriptions)
+ * @param {number} [params.createdAt] - Creation time in milliseconds
+ * @returns {Object} Bundle, ready for JSON.stringify
+ */
+function toSafeTransactionBundle(calls, { chainId, safeAddress = "", name = "B0x reward admin batch", description, createdAt = Date.now() }) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description: description ?? calls.map((call, i) => `${i + 1}. ${call.description}`).join("\n"),
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: "",
+      checksum: ""
+    },
+    transactions: calls.map(call => ({
+      to: call.to,
+      value: call.value,
+      data: call.data,
+      contractMethod: null,
+      contractInputsValues: null
+    }))
+  };
+}
+
+/**
+ * Admin log entries of one call, empty when the call is not an admin call
+ * @param {{to: string, data: string, safe: string|null}} call - Decoded call
+ * @param {string} stakingAddress - LPRewardsStaking address
+ * @param {string} hookAddress - Hook address
+ * @returns {Array<{action: string, contract: string, token: string|null, amount: bigint|null, safe: string|null}>} Actions
+ */
+function classifyAdminCall(call, stakingAddress, hookAddress) {
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  const selector = call.data.slice(0, 10);
+  const address = (index) => "0x" + readWord(call.data, index).slice(24);
+  const number = (index) => BigInt("0x" + (readWord(call.data, index) || "0"));
+  const entry = (action, token = null, amount = null) => [{ action, contract: call.to, token, amount, safe: call.safe }];
+
+  if (same(call.to, stakingAddress) || same(call.to, hookAddress)) {
+    switch (selector) {
+      case SELECTORS.addRewardToken:
+        return entry(ADMIN_ACTIONS.ADD_REWARD_TOKEN, address(0));
+      case SELECTORS.removeRewardToken:
+        return entry(ADMIN_ACTIONS.REMOVE_REWARD_TOKEN, address(0));
+      case SELECTORS.setRewardParams:
+        return entry(ADMIN_ACTIONS.START_REWARD_PERIOD, address(0));
+      case SELECTORS.forceUpdateLPFee:
+        return entry(ADMIN_ACTIONS.SET_LP_FEE, null, number(5)); // PoolKey takes the first five words
+      case SELECTORS.transferOwnership:
+        return entry(ADMIN_ACTIONS.TRANSFER_OWNERSHIP, address(0));
+      case SELECTORS.renounceOwnership:
+        return entry(ADMIN_ACTIONS.RENOUNCE_OWNERSHIP);
+    }
+    return [];
+  }
+  // Token calls in favour of the staking contract
+  if (selector === SELECTORS.transfer && same(address(0), stakingAddress)) {
+    return entry(ADMIN_ACTIONS.FUND, call.to, number(1));
+  }
+  if (selector === SELECTORS.approve && same(address(0), stakingAddress) && call.safe) {
+    // Direct approvals are everyday staking; only count the ones batched through a Safe
+    return entry(ADMIN_ACTIONS.APPROVE, call.to, number(1));
+  }
+  return [];
+}
+
+/**
+ * LP fee of a pool at a block, read from the PoolManager's storage (slot0 keeps it in bits 208-231)
+ * @param {Object} provider - ethers v5 or v6 provider (an archive RPC for past blocks)
+ * @param {string} poolManagerAddress - PoolManager address
+ * @param {string} stateSlot - Storage slot of the pool's state
+ * @param {number} blockTag - Block to read at
+ * @returns {Promise<number>} LP fee in pips
+ */
+async function getLPFeeAt(provider, poolManagerAddress, stateSlot, blockTag) {
+  const getStorage = provider.getStorage ?? provider.getStorageAt; // ethers v6 / v5
+  const word = BigInt(await getStorage.call(provider, poolManagerAddress, stateSlot, blockTag));
+  return Number((word >> 208n) & 0xffffffn);
+}
+
+/**
+ * LP fee updates of the hook's pools
+ *
+ * updateDynamicLPFee emits nothing, so updates are found from the fee each Swap reports: where it changes between two
+ * swaps (or between a range end and the nearest swap), the block of the update is binary searched on the stored fee,
+ * and the transaction calling the hook is picked out of that block (Safe batches included). An update undone before
+ * the next swap leaves no trace.
+ * @param {Object} params - Same provider and range as fetchAdminLog
+ * @param {string} params.poolManagerAddress - PoolManager address
+ * @param {string} params.hookAddress - Hook address
+ * @param {Array<{poolId: string, stateSlot: string}>} params.pools - Pools of the hook, with their state slot
+ * @returns {Promise<AdminLogEntry[]>} One SET_LP_FEE entry per update
+ */
+async function fetchFeeUpdates({ provider, poolManagerAddress, hookAddress, pools, fromBlock, toBlock, blockRange }) {
+  const entries = [];
+  for (const { poolId, stateSlot } of pools) {
+    const feeAt = (blockTag) => getLPFeeAt(provider, poolManagerAddress, stateSlot, blockTag);
+
+    // Fees known to hold at the end of a block: before the range, before every swap, and at the range end
+    const observed = [{ blockNumber: fromBlock - 1, fee: await feeAt(fromBlock - 1) }];
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+      const swaps = (await getPoolLogs(provider, poolManagerAddress, [poolId], start, Math.min(start + blockRange - 1, toBlock)))
+        .filter(poolLog => poolLog.name === "Swap");
+      observed.push(...swaps.map(swap => ({ blockNumber: swap.blockNumber - 1, fee: swap.fee })));
+    }
+    observed.push({ blockNumber: toBlock, fee: await feeAt(toBlock) });
+
+    for (let i = 1; i < observed.length; i++) {
+      const before = observed[i - 1];
+      if (observed[i].fee === before.fee) continue;
+      // First block after `before` whose stored fee differs from it
+      let low = before.blockNumber + 1;
+      let high = Math.max(observed[i].blockNumber, low);
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (await feeAt(middle) !== before.fee) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      const fee = await feeAt(low);
+      if (fee === before.fee) continue; // Swap fee includes a protocol fee, the LP fee did not move
+
+      const block = provider.getBlockWithTransactions ? await provider.getBlockWithTransactions(low) : await provider.getBlock(low, true);
+      const transactions = block.prefetchedTransactions ?? block.transactions; // ethers v6 / v5
+      const update = transactions
+        .map(tx => ({ tx, call: decodeSafeCalls(tx).find(call => call.to.toLowerCase() === hookAddress.toLowerCase()) }))
+        .find(({ call }) => call);
+      entries.push({
+        action: ADMIN_ACTIONS.SET_LP_FEE,
+        contract: hookAddress,
+        token: null,
+        amount: BigInt(fee),
+        safe: update?.call.safe ?? null,
+        blockNumber: low,
+        transactionIndex: update ? Number(update.tx.index ?? update.tx.transactionIndex) : Number.MAX_SAFE_INTEGER, // ethers v6 / v5
+        timestamp: Number(block.timestamp),
+        transactionHash: update?.tx.hash ?? null,
+        from: update?.tx.from ?? null
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Audit log of admin calls to the staking contract and the hook, rebuilt from chain logs
+ *
+ * Ownership changes come from the OwnershipTransferred events of the two contracts. The staking contract's own events
+ * are not in its published ABI, so every transaction that made it or the hook emit an event, or moved tokens into the
+ * staking contract, is fetched and its calls classified by selector (Safe batches included). Hook fee updates emit
+ * nothing and are found from the pools' swaps instead (see fetchFeeUpdates) when pools are given.
+ * @param {Object} params - Fetch parameters
+ * @param {Object} params.provider - ethers v5 or v6 provider
+ * @param {string} params.stakingAddress - LPRewardsStaking address
+ * @param {string} params.hookAddress - Hook address
+ * @param {string} [params.poolManagerAddress] - PoolManager address, needed with pools
+ * @param {Array<{poolId: string, stateSlot: string}>} [params.pools] - Pools of the hook whose fee updates to include
+ *   (reads past blocks, so it needs an archive RPC)
+ * @param {number} [params.fromBlock] - First block (default: the staking contract's deployment block, needs an archive RPC)
+ * @param {number} [params.toBlock] - Last block (default latest)
+ * @param {number} [params.blockRange] - Blocks per eth_getLogs request
+ * @returns {Promise<AdminLogEntry[]>} Entries in chain order: by block, then position in the block, then call order
+ */
+async function fetchAdminLog({ provider, stakingAddress, hookAddress, poolManagerAddress, pools = [], fromBlock, toBlock, blockRange = DEFAULT_LOG_BLOCK_RANGE }) {
+  toBlock ??= await provider.getBlockNumber();
+  fromBlock ??= await findDeploymentBlock(provider, stakingAddress, toBlock);
+  const stakingTopic = "0x" + stakingAddress.toLowerCase().slice(2).padStart(64, "0");
+
+  const transactions = new Map();
+  const ownershipLogs = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const range = { fromBlock: start, toBlock: Math.min(start + blockRange - 1, toBlock) };
+    const contractLogs = [
+      ...await provider.getLogs({ ...range, address: stakingAddress }),
+      ...await provider.getLogs({ ...range, address: hookAddress })
+    ];
+    const logs = [
+      ...contractLogs,
+      // ERC20 transfers into the staking contract (position NFTs have a fourth topic)
+      ...(await provider.getLogs({ ...range, topics: [TRANSFER_TOPIC, null, stakingTopic] })).filter(log => log.topics.length === 3)
+    ];
+    for (const log of logs) {
+      transactions.set(log.transactionHash, { blockNumber: Number(log.blockNumber), transactionIndex: Number(log.transactionIndex) });
+    }
+    ownershipLogs.push(...contractLogs.filter(log => log.topics[0].toLowerCase() === OWNERSHIP_TRANSFERRED_TOPIC));
+  }
+
+  const entries = [];
+  const blocks = new Map();
+  const getBlock = async (blockNumber) => {
+    if (!blocks.has(blockNumber)) blocks.set(blockNumber, await provider.getBlock(blockNumber));
+    return blocks.get(blockNumber);
+  };
+  for (const [transactionHash, { blockNumber, transactionIndex }] of transactions) {
+    const tx = await provider.getTransaction(transactionHash);
+    const calls = decodeSafeCalls(tx);
+    const ownershipEvents = ownershipLogs.filter(log => log.transactionHash === transactionHash);
+    const actions = [
+      ...ownershipEvents.map(log => {
+        const newOwner = "0x" + log.topics[2].slice(26);
+        const safe = calls.find(call => call.to.toLowerCase() === log.address.toLowerCase())?.safe ?? null;
+        return BigInt(newOwner) === 0n
+          ? { action: ADMIN_ACTIONS.RENOUNCE_OWNERSHIP, contract: log.address, token: null, amount: null, safe }
+          : { action: ADMIN_ACTIONS.TRANSFER_OWNERSHIP, contract: log.address, token: newOwner, amount: null, safe };
+      }),
+      // Ownership calls are covered by their events above
+      ...calls.flatMap(call => classifyAdminCall(call, stakingAddress, hookAddress))
+        .filter(action => action.action !== ADMIN_ACTIONS.TRANSFER_OWNERSHIP && action.action !== ADMIN_ACTIONS.RENOUNCE_OWNERSHIP)
+        // Fee updates are read from the pools when they are given
+        .filter(action => action.action !== ADMIN_ACTIONS.SET_LP_FEE || pools.length === 0)
+    ];
+    if (actions.length === 0) continue;
+    const block = await getBlock(blockNumber);
+    for (const action of actions) {
+      entries.push({
+        ...action,
+        blockNumber,
+        transactionIndex,
+        timestamp: Number(block.timestamp),
+        transactionHash,
+        from: tx.from
+      });
+    }
+  }
+
+  if (pools.length > 0) {
+    entries.push(...await fetchFeeUpdates({ provider, poolManagerAddress, hookAddress, pools, fromBlock, toBlock, blockRange }));
+  }
+  return entries.sort((a, b) => a.blockNumber - b.blockNumber || a.transactionIndex - b.transactionIndex);
+}
+
+// Export for use in other modules
+export {
+  getRewardPeriodStatus,
+  buildRewardSetupBatch,
+  toSafeTransactionBundle,
+  classifyAdminCall,
+  fetchAdminLog,
+  fetchFeeUpdates,
+  getLPFeeAt,
+  encodeCall,
+  ADMIN_ACTIONS,
+  PERIOD_STATUS,
+  SELECTORS,
+  DEFAULT_PERIOD_WARNING_SECONDS
+};
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { realpathSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { UniswapV4PoolReader } from './Uniswapv4PoolReader.js';
+import { B0xSdk } from './b0xSdk.js';
+import { getNetwork, getContractAddress, DEFAULT_CHAIN_ID } from './networks.js';
+import { createPriceSources } from './apy.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+const USAGE = `Usage: reward-apy [options]
+
+Prints the LPRewardsStaking APY per reward token and the staking pool's TVL.
+
+Options:
+  --source <name>          Price source, repeat to fall back in order: pool, coingecko, static (default: coingecko then pool)
+  --prices <file>          JSON prices for the static source, keyed by symbol or address, e.g. {"B0x": 0.01}
+  --unit <unit>            Unit of the --prices file (default usd)
+  --quote <symbol>         Quote token of the pool TWAP (default 0xBTC)
+  --window <blocks>        Blocks averaged by the pool TWAP (default 1800, past blocks need an archive RPC)
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint (default: the network's first rpcUrl)
+  --help                   Show this message`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        source: { type: "string", multiple: true },
+        prices: { type: "string" },
+        unit: { type: "string", default: "usd" },
+        quote: { type: "string", default: "0xBTC" },
+        window: { type: "string", default: "1800" },
+        chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        rpc: { type: "string" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let reader;
+  try {
+    const network = getNetwork(values.chain);
+    reader = UniswapV4PoolReader.fromNetwork(values.chain, { rpcUrl: values.rpc });
+    const sdk = new B0xSdk(network, reader.provider);
+
+    const names = values.source ?? ["coingecko", "pool"];
+    const quote = network.tokens[values.quote];
+    if (names.includes("pool") && !quote) throw new Error(`Unknown quote token ${values.quote}`);
+    if (names.includes("static") && !values.prices) throw new Error("--source static needs --prices <file>");
+    const sources = createPriceSources(names, {
+      reader,
+      quoteToken: quote && { ...quote, symbol: values.quote },
+      hook: getContractAddress(network, "hook"),
+      windowBlocks: Number(values.window),
+      staticPrices: values.prices && JSON.parse(readFileSync(values.prices, "utf8")),
+      unit: values.unit
+    });
+
+    const apy = await sdk.getRewardApy({ sources });
+    const unit = Object.entries(network.tokens).find(([, token]) => token.address.toLowerCase() === apy.unit)?.[0] ?? apy.unit.toUpperCase();
+
+    console.log(`\n📈 Staking APY: ${apy.totalApy.toFixed(2)}%`);
+    console.log(`   TVL: ${apy.tvl.toFixed(2)} ${unit}`);
+    for (const token of apy.tokens) {
+      const status = !token.active ? "period ended" : token.apy === null ? "no price" : `${token.apy.toFixed(2)}%`;
+      const value = token.yearlyValue === null ? "" : ` (${token.yearlyValue.toFixed(2)} ${unit})`;
+      console.log(`   ${token.symbol}: ${status}, ${token.yearlyRewards} per year${value}`);
+    }
+    for (const error of apy.errors) {
+      console.warn(`⚠️  ${error}`);
+    }
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+  } finally {
+    reader?.provider.destroy();
+  }
+}
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
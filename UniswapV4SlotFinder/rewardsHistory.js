@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { realpathSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { ethers } from 'ethers';
+import { B0xSdk } from './b0xSdk.js';
+import { getNetwork, DEFAULT_CHAIN_ID } from './networks.js';
+import { summarizeLedger, ledgerToCsv } from './rewardsLedger.js';
+import { fromRawAmount } from './priceMath.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+const ERC20_METADATA_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+const USAGE = `Usage: rewards-history --account <address> [options]
+
+Rebuilds the stake, withdraw, reward claim and early-withdraw penalty history of a staker
+and prints totals per reward token and per position NFT.
+
+Options:
+  --account <address>      Staker (required)
+  --from <block>           First block to scan (default: LPRewardsStaking deployment block)
+  --to <block>             Last block to scan (default latest)
+  --out <file>             Write the ledger to a .csv or .json file
+  --no-penalties           Skip the penalty measurement (it reads past blocks, so it needs an archive RPC)
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint (default: the network's first rpcUrl)
+  --help                   Show this message`;
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        account: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        out: { type: "string" },
+        "no-penalties": { type: "boolean", default: false },
+        chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+        rpc: { type: "string" },
+        help: { type: "boolean", default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.account) {
+    console.error("❌ --account is required");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let provider;
+  try {
+    const network = getNetwork(values.chain);
+    provider = new ethers.JsonRpcProvider(values.rpc ?? network.rpcUrls[0], network.chainId, { staticNetwork: true });
+    const sdk = new B0xSdk(network, provider);
+
+    const entries = await sdk.getRewardsLedger(values.account, {
+      fromBlock: values.from === undefined ? undefined : Number(values.from),
+      toBlock: values.to === undefined ? undefined : Number(values.to),
+      penalties: !values["no-penalties"]
+    });
+
+    // Symbols and decimals: the network's token list, then the staking contract's reward token stats, then the token
+    // contracts of rewards that were removed from the staking contract since
+    const tokens = {};
+    for (const [symbol, token] of Object.entries(network.tokens)) {
+      tokens[token.address.toLowerCase()] = { symbol, decimals: token.decimals };
+    }
+    for (const reward of await sdk.getRewardsOwed(values.account)) {
+      tokens[reward.token.toLowerCase()] = { symbol: reward.symbol, decimals: reward.decimals };
+    }
+    for (const token of new Set(entries.map(entry => entry.token?.toLowerCase()).filter(token => token && !tokens[token]))) {
+      const erc20 = new ethers.Contract(token, ERC20_METADATA_ABI, provider);
+      try {
+        const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+        tokens[token] = { symbol, decimals: Number(decimals) };
+      } catch (error) {
+        console.warn(`⚠️ Could not read the symbol and decimals of ${token}, its amounts stay raw`);
+      }
+    }
+    const format = (token, amount) => {
+      const metadata = tokens[token.toLowerCase()];
+      return metadata ? `${fromRawAmount(amount, metadata.decimals)} ${metadata.symbol}` : `${amount} (raw) ${token}`;
+    };
+
+    const { byToken, byPosition } = summarizeLedger(entries);
+    console.log(`\n📒 ${entries.length} ledger entries for ${values.account}`);
+    console.log("\nPer reward token:");
+    for (const [token, totals] of Object.entries(byToken)) {
+      console.log(`  ${format(token, totals.earned)} earned (${format(token, totals.claimed)} claimed, ` +
+        `${format(token, totals.paidOnWithdraw)} paid on withdraw), ${format(token, totals.penalty)} lost to penalties`);
+    }
+    console.log("\nPer position NFT:");
+    for (const [tokenId, position] of Object.entries(byPosition)) {
+      const staked = position.stakedAt ? new Date(position.stakedAt * 1000).toISOString() : "?";
+      const withdrawn = position.withdrawnAt ? new Date(position.withdrawnAt * 1000).toISOString() : "still staked";
+      const penalties = Object.entries(position.penalties).map(([token, amount]) => format(token, amount));
+      console.log(`  #${tokenId}: staked ${staked}, withdrawn ${withdrawn}` +
+        (penalties.length > 0 ? `, penalty ${penalties.join(" + ")}` : ""));
+    }
+
+    if (values.out) {
+      const extension = path.extname(values.out).slice(1).toLowerCase();
+      if (extension === "json") {
+        writeFileSync(values.out, JSON.stringify(entries, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+      } else {
+        writeFileSync(values.out, ledgerToCsv(entries, tokens));
+      }
+      console.log(`\nWrote ${entries.length} entries to ${values.out}`);
+    }
+  } catch (error) {
+    console.error("Script error:", error.message);
+    process.exitCode = 1;
+  } finally {
+    provider?.destroy();
+  }
+}
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,279 @@
+import { fromRawAmount } from './priceMath.js';
+import { addressTopic, decodeTransferLog, decodeSafeCalls, findDeploymentBlock, TRANSFER_TOPIC } from './chainUtils.js';
+
+// Staking history of one account: stakes, withdrawals, reward claims and early-withdraw penalties.
+// Built from the Transfer logs that move position NFTs and reward tokens in and out of LPRewardsStaking,
+// classified by the staking function each transaction called (inside Safe execTransaction and MultiSend
+// batches too). Only the provider calls shared by
+// ethers v5 and v6 are used, so the dapp and B0xSdk both run it.
+
+const DEFAULT_LOG_BLOCK_RANGE = 10000;
+
+// LPRewardsStaking function selectors
+const STAKING_SELECTORS = {
+  "0xe6c0fe3d": "stake",    // stakeUniswapV3NFT(uint256)
+  "0x2e1a7d4d": "withdraw", // withdraw(uint256)
+  "0x59ae8f7e": "claim"     // getRewardForTokens(address[])
+};
+
+const LEDGER_TYPES = {
+  STAKE: "stake",
+  WITHDRAW: "withdraw",
+  CLAIM: "claim",
+  WITHDRAW_REWARD: "withdrawReward", // Rewards paid out by a withdraw
+  PENALTY: "penalty"                 // Rewards forfeited by an early withdraw
+};
+
+// Columns written by ledgerToCsv, in order
+const LEDGER_COLUMNS = ["date", "blockNumber", "transactionHash", "type", "tokenId", "token", "symbol", "amount", "rawAmount"];
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} type - One of LEDGER_TYPES
+ * @property {number} blockNumber - Block of the transaction
+ * @property {number} timestamp - Block timestamp (seconds)
+ * @property {string} transactionHash - Transaction hash
+ * @property {string|null} tokenId - Position NFT, null for claims (they cover every staked position)
+ * @property {string|null} token - Reward token, null for stakes and withdrawals
+ * @property {bigint} amount - Raw token amount (0 for stakes and withdrawals)
+ */
+
+/**
+ * Fetch Transfer logs of a contract between two accounts, split into blockRange chunks
+ * @param {Object} provider - ethers v5 or v6 provider
+ * @param {string|null} contract - Token or PositionManager address, null for every contract
+ * @param {string} from - Sender
+ * @param {string} to - Recipient
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @param {number} blockRange - Blocks per eth_getLogs request
+ * @returns {Promise<Object[]>} Decoded transfers
+ */
+async function getTransfers(provider, contract, from, to, fromBlock, toBlock, blockRange) {
+  const transfers = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const logs = await provider.getLogs({
+      ...(contract ? { address: contract } : {}),
+      topics: [TRANSFER_TOPIC, addressTopic(from), addressTopic(to)],
+      fromBlock: start,
+      toBlock: Math.min(start + blockRange - 1, toBlock)
+    });
+    transfers.push(...logs.map(decodeTransferLog));
+  }
+  return transfers;
+}
+
+/**
+ * Staking function a transaction called, looking through Safe wrappers
+ * @param {{to: string, data: string}} tx - Transaction (ethers v5 or v6)
+ * @param {string} stakingAddress - LPRewardsStaking address
+ * @returns {string|null} Selector of the first LPRewardsStaking call, null when the staking contract was not called directly
+ *   or through a Safe (other contract wallets)
+ */
+function getStakingSelector(tx, stakingAddress) {
+  const call = decodeSafeCalls(tx).find(call => call.to.toLowerCase() === stakingAddress.toLowerCase());
+  return call ? call.data.slice(0, 10) : null;
+}
+
+/**
+ * Turn transfers into ledger entries
+ * @param {Object} params - Ledger inputs
+ * @param {string} params.account - Staker
+ * @param {string} params.stakingAddress - LPRewardsStaking address
+ * @param {Object[]} params.transfers - Decoded NFT and reward token transfers between the account and the staking contract
+ * @param {Map<string, {selector: string|null, timestamp: number}>} params.transactions - Staking selector called (see getStakingSelector)
+ *   and block time per transaction hash
+ * @param {Array<{transactionHash: string, token: string, amount: bigint}>} [params.penalties] - Rewards forfeited per withdraw
+ * @returns {LedgerEntry[]} Entries in chain order
+ */
+function buildRewardsLedger({ account, stakingAddress, transfers, transactions, penalties = [] }) {
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const sorted = [...transfers].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  // Reward payouts and penalties of a withdraw belong to the NFT it returned
+  const withdrawnTokenIds = new Map();
+  for (const transfer of sorted) {
+    if (transfer.isNft && same(transfer.from, stakingAddress) && same(transfer.to, account)) {
+      withdrawnTokenIds.set(transfer.transactionHash, transfer.value.toString());
+    }
+  }
+
+  const entry = (type, transfer, tokenId, token, amount) => ({
+    type,
+    blockNumber: transfer.blockNumber,
+    timestamp: transactions.get(transfer.transactionHash)?.timestamp ?? 0,
+    transactionHash: transfer.transactionHash,
+    tokenId,
+    token,
+    amount
+  });
+
+  const entries = [];
+  for (const transfer of sorted) {
+    if (transfer.isNft) {
+      const type = same(transfer.to, stakingAddress) ? LEDGER_TYPES.STAKE : LEDGER_TYPES.WITHDRAW;
+      entries.push(entry(type, transfer, transfer.value.toString(), null, 0n));
+      continue;
+    }
+
+    // Reward tokens also leave the contract when staked liquidity is decreased, those are not rewards
+    const call = STAKING_SELECTORS[transactions.get(transfer.transactionHash)?.selector];
+    if (call === "claim") {
+      entries.push(entry(LEDGER_TYPES.CLAIM, transfer, null, transfer.contract, transfer.value));
+    } else if (call === "withdraw") {
+      entries.push(entry(LEDGER_TYPES.WITHDRAW_REWARD, transfer, withdrawnTokenIds.get(transfer.transactionHash) ?? null, transfer.contract, transfer.value));
+    }
+  }
+
+  for (const penalty of penalties) {
+    const withdrawal = entries.find(e => e.type === LEDGER_TYPES.WITHDRAW && e.transactionHash === penalty.transactionHash);
+    if (!withdrawal || penalty.amount <= 0n) continue;
+    entries.push({ ...withdrawal, type: LEDGER_TYPES.PENALTY, token: penalty.token, amount: penalty.amount });
+  }
+
+  return entries.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/**
+ * Rebuild an account's staking ledger from chain logs
+ * @param {Object} params - Fetch parameters
+ * @param {Object} params.provider - ethers v5 or v6 provider (an archive RPC for penalties and the deployment search)
+ * @param {string} params.account - Staker
+ * @param {string} params.stakingAddress - LPRewardsStaking address
+ * @param {string} params.positionManagerAddress - PositionManager (position NFT) address
+ * @param {string[]} [params.rewardTokens] - Only follow these reward tokens (default: every token the contract paid the
+ *   account, so tokens removed with removeRewardToken since keep their claims and penalties)
+ * @param {number} [params.fromBlock] - First block (default: the staking contract's deployment block)
+ * @param {number} [params.toBlock] - Last block (default latest)
+ * @param {number} [params.blockRange] - Blocks per eth_getLogs request
+ * @param {(blockTag: number) => Promise<Array<{token: string, owed: bigint}>>} [params.getRewardsOwedAt] - Rewards owed to the
+ *   account at a block; when given, each withdraw's penalty is measured as owed before - owed after - paid out
+ * @returns {Promise<LedgerEntry[]>} Entries in chain order
+ */
+async function fetchRewardsLedger({
+  provider,
+  account,
+  stakingAddress,
+  positionManagerAddress,
+  rewardTokens,
+  fromBlock,
+  toBlock,
+  blockRange = DEFAULT_LOG_BLOCK_RANGE,
+  getRewardsOwedAt
+}) {
+  toBlock ??= await provider.getBlockNumber();
+  fromBlock ??= await findDeploymentBlock(provider, stakingAddress, toBlock);
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const followsToken = (token) => !rewardTokens || rewardTokens.some(rewardToken => same(rewardToken, token));
+  const followed = (transfer) => (transfer.isNft ? same(transfer.contract, positionManagerAddress) : followsToken(transfer.contract));
+
+  // Everything the contract sent the account, whatever the token: the reward token list only holds today's tokens
+  const transfers = [
+    ...await getTransfers(provider, positionManagerAddress, account, stakingAddress, fromBlock, toBlock, blockRange),
+    ...(await getTransfers(provider, null, stakingAddress, account, fromBlock, toBlock, blockRange)).filter(followed)
+  ];
+
+  const transactions = new Map();
+  for (const transfer of transfers) {
+    if (transactions.has(transfer.transactionHash)) continue;
+    const [tx, block] = await Promise.all([
+      provider.getTransaction(transfer.transactionHash),
+      provider.getBlock(transfer.blockNumber)
+    ]);
+    transactions.set(transfer.transactionHash, { selector: getStakingSelector(tx, stakingAddress), timestamp: Number(block.timestamp) });
+  }
+
+  const penalties = [];
+  if (getRewardsOwedAt) {
+    const withdrawals = transfers.filter(transfer => transfer.isNft && same(transfer.to, account));
+    for (const withdrawal of withdrawals) {
+      const [owedBefore, owedAfter] = await Promise.all([
+        getRewardsOwedAt(withdrawal.blockNumber - 1),
+        getRewardsOwedAt(withdrawal.blockNumber)
+      ]);
+      for (const { token, owed } of owedBefore.filter(reward => followsToken(reward.token))) {
+        const after = owedAfter.find(reward => same(reward.token, token))?.owed ?? 0n;
+        const paid = transfers
+          .filter(t => !t.isNft && t.transactionHash === withdrawal.transactionHash && same(t.contract, token))
+          .reduce((sum, t) => sum + t.value, 0n);
+        penalties.push({ transactionHash: withdrawal.transactionHash, token, amount: BigInt(owed) - BigInt(after) - paid });
+      }
+    }
+  }
+
+  return buildRewardsLedger({ account, stakingAddress, transfers, transactions, penalties });
+}
+
+/**
+ * Totals per reward token and per position NFT
+ * @param {LedgerEntry[]} entries - Ledger entries
+ * @returns {{byToken: Object<string, {claimed: bigint, paidOnWithdraw: bigint, earned: bigint, penalty: bigint}>,
+ *   byPosition: Object<string, {stakedAt: number|null, withdrawnAt: number|null, rewards: Object<string, bigint>, penalties: Object<string, bigint>}>}} Totals
+ */
+function summarizeLedger(entries) {
+  const byToken = {};
+  const byPosition = {};
+  const tokenTotals = (token) => (byToken[token] ??= { claimed: 0n, paidOnWithdraw: 0n, earned: 0n, penalty: 0n });
+  const position = (tokenId) => (byPosition[tokenId] ??= { stakedAt: null, withdrawnAt: null, rewards: {}, penalties: {} });
+
+  for (const entry of entries) {
+    switch (entry.type) {
+      case LEDGER_TYPES.STAKE:
+        position(entry.tokenId).stakedAt = entry.timestamp;
+        position(entry.tokenId).withdrawnAt = null; // Staked again after a withdraw
+        break;
+      case LEDGER_TYPES.WITHDRAW:
+        position(entry.tokenId).withdrawnAt = entry.timestamp;
+        break;
+      case LEDGER_TYPES.CLAIM:
+        tokenTotals(entry.token).claimed += entry.amount;
+        tokenTotals(entry.token).earned += entry.amount;
+        break;
+      case LEDGER_TYPES.WITHDRAW_REWARD: {
+        tokenTotals(entry.token).paidOnWithdraw += entry.amount;
+        tokenTotals(entry.token).earned += entry.amount;
+        const rewards = position(entry.tokenId).rewards;
+        rewards[entry.token] = (rewards[entry.token] ?? 0n) + entry.amount;
+        break;
+      }
+      case LEDGER_TYPES.PENALTY: {
+        tokenTotals(entry.token).penalty += entry.amount;
+        const penalties = position(entry.tokenId).penalties;
+        penalties[entry.token] = (penalties[entry.token] ?? 0n) + entry.amount;
+        break;
+      }
+    }
+  }
+  return { byToken, byPosition };
+}
+
+/**
+ * Convert ledger entries to CSV (one row per entry, amounts in token units and raw)
+ * @param {LedgerEntry[]} entries - Ledger entries
+ * @param {Object<string, {symbol: string, decimals: number}>} tokens - Token metadata keyed by lowercase address
+ * @returns {string} CSV text with a header row
+ */
+function ledgerToCsv(entries, tokens = {}) {
+  const rows = entries.map(entry => {
+    const metadata = entry.token ? tokens[entry.token.toLowerCase()] : null;
+    const row = {
+      ...entry,
+      date: entry.timestamp ? new Date(entry.timestamp * 1000).toISOString() : "",
+      symbol: metadata?.symbol ?? "",
+      amount: entry.token && metadata ? fromRawAmount(entry.amount, metadata.decimals) : "",
+      rawAmount: entry.token ? entry.amount.toString() : ""
+    };
+    return LEDGER_COLUMNS.map(column => row[column] ?? "").join(",");
+  });
+  return [LEDGER_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+// Export for use in other modules
+export {
+  fetchRewardsLedger,
+  buildRewardsLedger,
+  summarizeLedger,
+  ledgerToCsv,
+  getStakingSelector,
+  LEDGER_TYPES
+};
@@ -0,0 +1,151 @@
+import { getSpotAmountOut } from './priceMath.js';
+
+// Best-path search over the hooked V4 pools of a token list (direct or through one intermediate token).
+// Quotes come from callbacks, so the module has no dependencies and runs in the dapp (ethers v5) and
+// in Node (B0xSdk, ethers v6) alike.
+
+const NATIVE_ADDRESS = "0x0000000000000000000000000000000000000000";
+const DEFAULT_MAX_HOPS = 2;
+
+/**
+ * @typedef {Object} RouteHop
+ * @property {string} tokenIn - Token sold in this hop
+ * @property {string} tokenOut - Token bought in this hop
+ * @property {bigint} amountIn - Raw amount sold
+ * @property {bigint} amountOut - Raw amount bought, as quoted by the pool
+ * @property {bigint} spotAmountOut - Raw amount bought at the pool price before the trade
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {string[]} path - Tokens from tokenIn to tokenOut
+ * @property {RouteHop[]} hops - One entry per pool crossed
+ * @property {bigint} amountIn - Raw amount sold
+ * @property {bigint} amountOut - Raw amount received at the end of the path
+ * @property {number} priceImpactBps - Shortfall against the pre-trade prices, LP fees included (basis points)
+ */
+
+/**
+ * @typedef {Object} RouteQuoter
+ * @property {(tokenIn: string, tokenOut: string, amountIn: bigint) => Promise<bigint>} quoteExactIn - Pool output for an input (throws when there is no pool)
+ * @property {(tokenA: string, tokenB: string) => Promise<bigint>} getSqrtPriceX96 - Current sqrt price of a pool
+ */
+
+/**
+ * Candidate paths between two tokens, direct first
+ * @param {string} tokenIn - Token sold
+ * @param {string} tokenOut - Token bought
+ * @param {string[]} tokens - Tokens that may be used as intermediate hops
+ * @param {number} maxHops - 1 for direct only, 2 to also route through one other token
+ * @returns {string[][]} Paths, each from tokenIn to tokenOut
+ */
+function getCandidatePaths(tokenIn, tokenOut, tokens, maxHops = DEFAULT_MAX_HOPS) {
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const paths = [[tokenIn, tokenOut]];
+  if (maxHops < 2) return paths;
+
+  // Native ETH is not used in the middle: the amount received would have to be measured net of gas
+  for (const middle of tokens) {
+    if (same(middle, tokenIn) || same(middle, tokenOut) || same(middle, NATIVE_ADDRESS)) continue;
+    if (paths.some(path => path.length === 3 && same(path[1], middle))) continue;
+    paths.push([tokenIn, middle, tokenOut]);
+  }
+  return paths;
+}
+
+/**
+ * Quote an amount along a path, hop by hop
+ * @param {string[]} path - Tokens from tokenIn to tokenOut
+ * @param {bigint} amountIn - Raw amount sold
+ * @param {RouteQuoter} quoter - Quote callbacks
+ * @returns {Promise<Route|null>} The quoted route, or null when a hop has no pool or no output
+ */
+async function quotePath(path, amountIn, quoter) {
+  const hops = [];
+  let hopAmountIn = BigInt(amountIn);
+  let spotAmount = BigInt(amountIn);
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const tokenIn = path[i];
+    const tokenOut = path[i + 1];
+    let amountOut;
+    let sqrtPriceX96;
+    try {
+      [amountOut, sqrtPriceX96] = await Promise.all([
+        quoter.quoteExactIn(tokenIn, tokenOut, hopAmountIn),
+        quoter.getSqrtPriceX96(tokenIn, tokenOut)
+      ]);
+    } catch (error) {
+      return null;
+    }
+    amountOut = BigInt(amountOut);
+    if (amountOut === 0n || BigInt(sqrtPriceX96) === 0n) return null;
+
+    const zeroForOne = BigInt(tokenIn) < BigInt(tokenOut);
+    hops.push({
+      tokenIn,
+      tokenOut,
+      amountIn: hopAmountIn,
+      amountOut,
+      spotAmountOut: getSpotAmountOut(hopAmountIn, sqrtPriceX96, zeroForOne)
+    });
+    spotAmount = getSpotAmountOut(spotAmount, sqrtPriceX96, zeroForOne);
+    hopAmountIn = amountOut;
+  }
+
+  // Hundredths of a basis point, so small impacts do not round to zero
+  const shortfall = spotAmount > hopAmountIn ? spotAmount - hopAmountIn : 0n;
+  const priceImpactBps = spotAmount > 0n ? Number(shortfall * 1000000n / spotAmount) / 100 : 0;
+
+  return { path, hops, amountIn: BigInt(amountIn), amountOut: hopAmountIn, priceImpactBps };
+}
+
+/**
+ * Quote every candidate path, best output first
+ * @param {Object} params - Route parameters
+ * @param {string} params.tokenIn - Token sold
+ * @param {string} params.tokenOut - Token bought
+ * @param {bigint} params.amountIn - Raw amount sold
+ * @param {string[]} params.tokens - Token list to route through (e.g. the dapp's tokenAddresses)
+ * @param {RouteQuoter} params.quoter - Quote callbacks
+ * @param {number} [params.maxHops] - 1 or 2
+ * @returns {Promise<Route[]>} Routes that have a pool on every hop
+ */
+async function findRoutes({ tokenIn, tokenOut, amountIn, tokens, quoter, maxHops = DEFAULT_MAX_HOPS }) {
+  // The same pool is read by several paths, cache its price for this search
+  const priceCache = new Map();
+  const cachedQuoter = {
+    quoteExactIn: quoter.quoteExactIn,
+    getSqrtPriceX96: (tokenA, tokenB) => {
+      const key = [tokenA, tokenB].map(token => token.toLowerCase()).sort().join("-");
+      if (!priceCache.has(key)) {
+        priceCache.set(key, quoter.getSqrtPriceX96(tokenA, tokenB));
+      }
+      return priceCache.get(key);
+    }
+  };
+
+  const paths = getCandidatePaths(tokenIn, tokenOut, tokens, maxHops);
+  const routes = [];
+  for (const path of paths) {
+    const route = await quotePath(path, amountIn, cachedQuoter);
+    if (route) routes.push(route);
+  }
+  return routes.sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : a.hops.length - b.hops.length));
+}
+
+/**
+ * Best direct or two-hop route between two tokens
+ * @param {Object} params - Same as findRoutes
+ * @returns {Promise<Route>} Route with the largest output
+ */
+async function findBestRoute(params) {
+  const routes = await findRoutes(params);
+  if (routes.length === 0) {
+    throw new Error(`No pool route from ${params.tokenIn} to ${params.tokenOut}`);
+  }
+  return routes[0];
+}
+
+// Export for use in other modules
+export { getCandidatePaths, quotePath, findRoutes, findBestRoute, DEFAULT_MAX_HOPS };
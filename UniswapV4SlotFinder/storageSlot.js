@@ -1,184 +1,336 @@
-import { ethers } from 'ethers';
-
-// Configuration
-const POOL_MANAGER_ADDRESS = "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408";
-const RPC_URL = "https://sepolia.base.org";
-const KNOWN_POOL_ID = "0x2b12523c52f9376439968e70e1f10ccc106ac80781bf40b0c8eeb2c19a22382e";
-
-// Expected data from your working script
-const EXPECTED_RAW_DATA = "0x000000004e20000000fd435c000000000000000000085a6afa601db20218ff54";
-
-class StorageSlotFinder {
-  constructor(rpcUrl, poolManagerAddress) {
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
-  }
-
-  calculateStorageSlot(poolId, slotNumber) {
-    const encodedSlot = ethers.AbiCoder.defaultAbiCoder().encode(
-      ["bytes32", "uint256"],
-      [poolId, slotNumber]
-    );
-    return ethers.keccak256(encodedSlot);
-  }
-
-  async readStorageSlot(storageSlot) {
-    try {
-      const data = await this.provider.getStorage(POOL_MANAGER_ADDRESS, storageSlot);
-      return data;
-    } catch (error) {
-      console.error(`Error reading slot ${storageSlot}:`, error.message);
-      return null;
-    }
-  }
-
-  async findCorrectPoolsSlot() {
-    console.log("=== FINDING CORRECT STORAGE SLOT FOR _pools MAPPING ===");
-    console.log(`Pool Manager: ${POOL_MANAGER_ADDRESS}`);
-    console.log(`Pool ID: ${KNOWN_POOL_ID}`);
-    console.log(`Expected Data: ${EXPECTED_RAW_DATA}`);
-    console.log("");
-
-    // Test slots 0-20 (most mappings are in early slots)
-    for (let slotNumber = 0; slotNumber <= 20; slotNumber++) {
-      console.log(`\n--- Testing Slot ${slotNumber} ---`);
-      
-      const storageSlot = this.calculateStorageSlot(KNOWN_POOL_ID, slotNumber);
-      console.log(`Calculated storage slot: ${storageSlot}`);
-      
-      const data = await this.readStorageSlot(storageSlot);
-      
-      if (data) {
-        console.log(`Raw data: ${data}`);
-        
-        if (data === EXPECTED_RAW_DATA) {
-          console.log(`🎉 FOUND CORRECT SLOT! The _pools mapping is at slot ${slotNumber}`);
-          return slotNumber;
-        } else if (data !== "0x0000000000000000000000000000000000000000000000000000000000000000") {
-          console.log(`❓ Non-zero data found, but doesn't match expected`);
-        } else {
-          console.log(`❌ Empty slot`);
-        }
-      }
-      
-      // Add small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    console.log("\n❌ Could not find the correct slot in range 0-20");
-    return null;
-  }
-
-  async testSpecificSlots() {
-    console.log("\n=== TESTING SPECIFIC SLOTS BASED ON INHERITANCE ===");
-    
-    // Based on PoolManager inheritance structure, test likely slots
-    const likelySlots = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
-    
-    for (const slot of likelySlots) {
-      console.log(`\nTesting specific slot ${slot}:`);
-      
-      const storageSlot = this.calculateStorageSlot(KNOWN_POOL_ID, slot);
-      const data = await this.readStorageSlot(storageSlot);
-      
-      if (data && data !== "0x0000000000000000000000000000000000000000000000000000000000000000") {
-        console.log(`Slot ${slot}: ${data}`);
-        
-        // Try to decode the data to see if it makes sense
-        try {
-          const bigIntData = BigInt(data);
-          const sqrtPriceX96 = bigIntData & ((1n << 160n) - 1n);
-          const tick = (bigIntData >> 160n) & ((1n << 24n) - 1n);
-          
-          console.log(`  Decoded sqrtPriceX96: ${sqrtPriceX96.toString()}`);
-          console.log(`  Decoded tick: ${tick.toString()}`);
-          
-          if (sqrtPriceX96 > 0n && tick > 0n) {
-            console.log(`  ✅ This looks like valid pool data!`);
-          }
-        } catch (e) {
-          console.log(`  ❌ Could not decode as pool data`);
-        }
-      } else {
-        console.log(`Slot ${slot}: Empty`);
-      }
-    }
-  }
-
-  async readDirectStorageSlots() {
-    console.log("\n=== READING DIRECT STORAGE SLOTS ===");
-    
-    // Read the first few storage slots directly to understand the contract layout
-    for (let i = 0; i <= 10; i++) {
-      const slot = ethers.zeroPadValue(ethers.toBeHex(i), 32);
-      const data = await this.readStorageSlot(slot);
-      console.log(`Direct slot ${i}: ${data}`);
-    }
-  }
-
-  async testUsingExtsload() {
-    console.log("\n=== TESTING USING EXTSLOAD FUNCTION ===");
-    
-    const poolManagerABI = [
-      "function extsload(bytes32 slot) external view returns (bytes32)"
-    ];
-    
-    const poolManager = new ethers.Contract(
-      POOL_MANAGER_ADDRESS,
-      poolManagerABI,
-      this.provider
-    );
-
-    // Test the slot that worked in your original script
-    const workingSlot = this.calculateStorageSlot(KNOWN_POOL_ID, 6);
-    
-    try {
-      console.log(`Testing extsload with slot 6: ${workingSlot}`);
-      const result = await poolManager.extsload(workingSlot);
-      console.log(`Extsload result: ${result}`);
-      
-      if (result === EXPECTED_RAW_DATA) {
-        console.log("✅ Extsload confirms slot 6 is correct!");
-      }
-    } catch (error) {
-      console.error("Extsload error:", error.message);
-    }
-  }
-}
-
-async function main() {
-  const finder = new StorageSlotFinder(RPC_URL, POOL_MANAGER_ADDRESS);
-  
-  try {
-    // First, verify extsload is working
-    await finder.testUsingExtsload();
-    
-    // Read direct storage slots to understand layout
-    await finder.readDirectStorageSlots();
-    
-    // Test specific slots that are likely candidates
-    await finder.testSpecificSlots();
-    
-    // Do comprehensive search
-    const correctSlot = await finder.findCorrectPoolsSlot();
-    
-    if (correctSlot !== null) {
-      console.log(`\n🎉 SUCCESS! The _pools mapping is at storage slot ${correctSlot}`);
-      console.log(`Use this slot number in Alchemy: ${correctSlot}`);
-      
-      // Generate the correct storage slot for Alchemy
-      const alchemySlot = finder.calculateStorageSlot(KNOWN_POOL_ID, correctSlot);
-      console.log(`\nFor Alchemy, use this calculated storage slot:`);
-      console.log(`With 0x: ${alchemySlot}`);
-      console.log(`Without 0x: ${alchemySlot.slice(2)}`);
-    } else {
-      console.log("\n❌ Could not determine the correct storage slot");
-      console.log("The _pools mapping might be at a slot > 20, or there might be a different issue");
-    }
-    
-  } catch (error) {
-    console.error("Script error:", error);
-  }
-}
-
-// Run the finder
-main();
\ No newline at end of file
+#!/usr/bin/env node
+import { ethers } from 'ethers';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { realpathSync } from 'fs';
+import { getNetwork, getContractAddress, DEFAULT_CHAIN_ID } from './networks.js';
+
+// Get current file path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Defaults
+const DEFAULT_MAX_SLOT = 20; // Most mappings are in early slots
+const DEFAULT_DELAY_MS = 100; // Delay between reads to avoid rate limiting
+const ZERO_WORD = ethers.ZeroHash;
+
+const USAGE = `Usage: slot-finder --address <contract> [options]
+
+Scans base slots for a storage variable and reports the slot whose value matches.
+Path steps are applied in the order given, so they can be nested:
+
+  --key <[type:]value>     Mapping lookup. Type is inferred (address, bytes32, uint256,
+                           int256, string) unless given, e.g. int24:-60 or string:abc
+  --offset <n>             Struct member offset, in words
+  --index <n>              Dynamic array element (keccak256(slot) + n * element size)
+
+Options:
+  --address <address|name> Contract to read (required), or a contract name from networks.json, e.g. poolManager
+  --expected-value <hex>   Raw 32-byte word to look for; without it every non-zero slot is listed
+  --min-slot <n>           First base slot to try (default 0)
+  --max-slot <n>           Last base slot to try (default ${DEFAULT_MAX_SLOT})
+  --slot <n>               Only try this base slot
+  --element-size <n>       Words per dynamic array element (default 1)
+  --chain <chainId>        Network from networks.json (default ${DEFAULT_CHAIN_ID}, Base Sepolia)
+  --rpc <url>              JSON-RPC endpoint (default: the network's first rpcUrl)
+  --block <n|tag>          Block to read at (default latest, past blocks need an archive node)
+  --delay <ms>             Delay between reads (default ${DEFAULT_DELAY_MS})
+  --all                    Keep scanning after the first match
+  --help                   Show this message
+
+Example (_pools[poolId] of the Base Sepolia PoolManager):
+  slot-finder --address poolManager \\
+    --key bytes32:0x2b12523c52f9376439968e70e1f10ccc106ac80781bf40b0c8eeb2c19a22382e \\
+    --expected-value 0x000000004e20000000fd435c000000000000000000085a6afa601db20218ff54`;
+
+/**
+ * Parse a mapping key given as "type:value", inferring the type when omitted
+ * @param {string} raw - Key as passed on the command line
+ * @returns {{type: string, value: string}} Solidity key type and value
+ */
+function parseKey(raw) {
+  const separator = raw.indexOf(":");
+  if (separator > 0) {
+    const type = raw.slice(0, separator);
+    if (/^(address|bool|string|bytes([1-9]|[12][0-9]|3[0-2])?|u?int(8|16|24|32|40|48|56|64|72|80|88|96|104|112|120|128|136|144|152|160|168|176|184|192|200|208|216|224|232|240|248|256)?)$/.test(type)) {
+      return { type, value: raw.slice(separator + 1) };
+    }
+  }
+
+  if (/^0x[0-9a-fA-F]{40}$/.test(raw)) return { type: "address", value: raw };
+  if (/^0x[0-9a-fA-F]{64}$/.test(raw)) return { type: "bytes32", value: raw };
+  if (/^-\d+$/.test(raw)) return { type: "int256", value: raw };
+  if (/^\d+$/.test(raw)) return { type: "uint256", value: raw };
+  return { type: "string", value: raw };
+}
+
+/**
+ * Every representation of a storage slot that RPC providers and explorers accept
+ * @param {string} slot - Storage slot (bytes32)
+ * @returns {Object} Named slot formats
+ */
+function formatSlot(slot) {
+  const hexPart = slot.slice(2);
+  return {
+    "With 0x": slot,
+    "Without 0x": hexPart,
+    "Uppercase": slot.toUpperCase(),
+    "Lowercase no 0x": hexPart.toLowerCase(),
+    "Decimal": BigInt(slot).toString(),
+    "Zero-padded": "0x" + hexPart.padStart(64, '0')
+  };
+}
+
+class StorageSlotFinder {
+  constructor(rpcUrl, contractAddress) {
+    this.provider = new ethers.JsonRpcProvider(rpcUrl);
+    this.contractAddress = contractAddress;
+  }
+
+  /**
+   * Calculate the slot of mapping[key] for a mapping stored at `slot`
+   * @param {string|number|bigint} slot - Slot of the mapping
+   * @param {{type: string, value: string}} key - Mapping key
+   * @returns {string} The calculated storage slot
+   */
+  calculateMappingSlot(slot, key) {
+    const slotWord = ethers.zeroPadValue(ethers.toBeHex(BigInt(slot)), 32);
+
+    // string and bytes keys are hashed unpadded: keccak256(key . slot)
+    if (key.type === "string") {
+      return ethers.keccak256(ethers.concat([ethers.toUtf8Bytes(key.value), slotWord]));
+    }
+    if (key.type === "bytes") {
+      return ethers.keccak256(ethers.concat([key.value, slotWord]));
+    }
+
+    const encodedSlot = ethers.AbiCoder.defaultAbiCoder().encode(
+      [key.type, "bytes32"],
+      [key.value, slotWord]
+    );
+    return ethers.keccak256(encodedSlot);
+  }
+
+  /**
+   * Calculate the slot of array[index] for a dynamic array stored at `slot`
+   * @param {string|number|bigint} slot - Slot of the array (holds its length)
+   * @param {number|bigint} index - Element index
+   * @param {number|bigint} elementSize - Words per element
+   * @returns {string} The calculated storage slot
+   */
+  calculateArraySlot(slot, index, elementSize = 1) {
+    const dataStart = BigInt(ethers.keccak256(ethers.zeroPadValue(ethers.toBeHex(BigInt(slot)), 32)));
+    return this.offsetSlot(dataStart, BigInt(index) * BigInt(elementSize));
+  }
+
+  /**
+   * Offset a storage slot by a number of words (struct member access)
+   * @param {string|number|bigint} slot - Base storage slot
+   * @param {number|bigint} offset - Number of words to add
+   * @returns {string} The offset storage slot (bytes32)
+   */
+  offsetSlot(slot, offset) {
+    const value = (BigInt(slot) + BigInt(offset)) % (1n << 256n);
+    return ethers.zeroPadValue(ethers.toBeHex(value), 32);
+  }
+
+  /**
+   * Resolve a path of mapping, struct and array steps starting at a base slot
+   * @param {number|bigint} baseSlot - Slot of the top-level variable
+   * @param {Object[]} steps - Steps of { kind: "key" | "offset" | "index", ... }
+   * @returns {string} The resolved storage slot (bytes32)
+   */
+  resolveSlot(baseSlot, steps) {
+    let slot = this.offsetSlot(baseSlot, 0);
+    for (const step of steps) {
+      if (step.kind === "key") {
+        slot = this.calculateMappingSlot(slot, step.key);
+      } else if (step.kind === "offset") {
+        slot = this.offsetSlot(slot, step.offset);
+      } else if (step.kind === "index") {
+        slot = this.calculateArraySlot(slot, step.index, step.elementSize);
+      } else {
+        throw new Error(`Unknown path step: ${step.kind}`);
+      }
+    }
+    return slot;
+  }
+
+  /**
+   * Read a storage slot of the contract
+   * @param {string} storageSlot - Storage slot (bytes32)
+   * @param {string|number} blockTag - Block number or tag to read at
+   * @returns {Promise<string|null>} Raw storage word, or null when the read failed
+   */
+  async readStorageSlot(storageSlot, blockTag = "latest") {
+    try {
+      const data = await this.provider.getStorage(this.contractAddress, storageSlot, blockTag);
+      return data;
+    } catch (error) {
+      console.error(`Error reading slot ${storageSlot}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Try every base slot in a range and report the ones whose resolved slot matches
+   * @param {Object[]} steps - Path steps, see resolveSlot
+   * @param {Object} options - { minSlot, maxSlot, expectedValue, delayMs, all, blockTag }
+   * @returns {Promise<Object[]>} Matches of { baseSlot, storageSlot, data }
+   */
+  async findSlot(steps, { minSlot = 0, maxSlot = DEFAULT_MAX_SLOT, expectedValue = null, delayMs = DEFAULT_DELAY_MS, all = false, blockTag = "latest" } = {}) {
+    const expected = expectedValue ? ethers.zeroPadValue(expectedValue, 32).toLowerCase() : null;
+    const matches = [];
+
+    console.log("=== FINDING STORAGE SLOT ===");
+    console.log(`Contract: ${this.contractAddress}`);
+    console.log(`Base slots: ${minSlot}-${maxSlot}`);
+    console.log(`Expected Data: ${expected ?? "(any non-zero value)"}`);
+    console.log(`Block: ${blockTag}`);
+
+    for (let baseSlot = minSlot; baseSlot <= maxSlot; baseSlot++) {
+      console.log(`\n--- Testing Slot ${baseSlot} ---`);
+
+      const storageSlot = this.resolveSlot(baseSlot, steps);
+      console.log(`Calculated storage slot: ${storageSlot}`);
+
+      const data = await this.readStorageSlot(storageSlot, blockTag);
+
+      if (data) {
+        console.log(`Raw data: ${data}`);
+
+        const isMatch = expected ? data.toLowerCase() === expected : data !== ZERO_WORD;
+        if (isMatch) {
+          console.log(`🎉 FOUND MATCHING SLOT! Base slot ${baseSlot}`);
+          matches.push({ baseSlot, storageSlot, data });
+          if (!all) break;
+        } else if (data !== ZERO_WORD) {
+          console.log(`❓ Non-zero data found, but doesn't match expected`);
+        } else {
+          console.log(`❌ Empty slot`);
+        }
+      }
+
+      // Add small delay to avoid rate limiting
+      if (delayMs > 0 && baseSlot < maxSlot) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * Parse command line arguments into finder options and ordered path steps
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Parsed CLI options
+ */
+function parseCliArgs(args) {
+  const { values, tokens } = parseArgs({
+    args,
+    tokens: true,
+    options: {
+      address: { type: "string" },
+      key: { type: "string", multiple: true },
+      offset: { type: "string", multiple: true },
+      index: { type: "string", multiple: true },
+      "element-size": { type: "string", default: "1" },
+      "expected-value": { type: "string" },
+      "min-slot": { type: "string", default: "0" },
+      "max-slot": { type: "string", default: String(DEFAULT_MAX_SLOT) },
+      slot: { type: "string" },
+      chain: { type: "string", default: String(DEFAULT_CHAIN_ID) },
+      rpc: { type: "string" },
+      block: { type: "string", default: "latest" },
+      delay: { type: "string", default: String(DEFAULT_DELAY_MS) },
+      all: { type: "boolean", default: false },
+      help: { type: "boolean", default: false }
+    }
+  });
+
+  const elementSize = BigInt(values["element-size"]);
+  const steps = tokens
+    .filter(token => token.kind === "option" && ["key", "offset", "index"].includes(token.name))
+    .map(token => {
+      if (token.name === "key") return { kind: "key", key: parseKey(token.value) };
+      if (token.name === "offset") return { kind: "offset", offset: BigInt(token.value) };
+      return { kind: "index", index: BigInt(token.value), elementSize };
+    });
+
+  const minSlot = values.slot !== undefined ? Number(values.slot) : Number(values["min-slot"]);
+  const maxSlot = values.slot !== undefined ? Number(values.slot) : Number(values["max-slot"]);
+
+  // Contract names and the default RPC come from the network registry
+  const network = getNetwork(values.chain);
+  const address = values.address && !ethers.isAddress(values.address)
+    ? getContractAddress(network, values.address)
+    : values.address;
+
+  return {
+    help: values.help,
+    address,
+    rpc: values.rpc ?? network.rpcUrls[0],
+    steps,
+    minSlot,
+    maxSlot,
+    expectedValue: values["expected-value"] ?? null,
+    delayMs: Number(values.delay),
+    blockTag: /^\d+$/.test(values.block) ? Number(values.block) : values.block,
+    all: values.all
+  };
+}
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (cli.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!cli.address || !ethers.isAddress(cli.address)) {
+    console.error("❌ --address must be a contract address");
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const finder = new StorageSlotFinder(cli.rpc, cli.address);
+
+  try {
+    const matches = await finder.findSlot(cli.steps, cli);
+
+    if (matches.length === 0) {
+      console.log(`\n❌ Could not find a matching slot in range ${cli.minSlot}-${cli.maxSlot}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    for (const match of matches) {
+      console.log(`\n🎉 SUCCESS! The variable is at base storage slot ${match.baseSlot}`);
+      console.log(`Value: ${match.data}`);
+      console.log(`\n=== COPY THESE VALUES TO USE WITH getStorageAt ===`);
+      for (const [format, value] of Object.entries(formatSlot(match.storageSlot))) {
+        console.log(`${format}: ${value}`);
+      }
+    }
+  } catch (error) {
+    console.error("Script error:", error);
+    process.exitCode = 1;
+  }
+}
+
+// Export for use in other modules
+export { StorageSlotFinder, parseKey, formatSlot, parseCliArgs };
+
+// Only run main function when this file is executed directly (or through the bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeRewardApy,
+  getTokenPrices,
+  createPoolTwapPriceSource,
+  createStaticPriceSource,
+  SECONDS_PER_YEAR
+} from '../apy.js';
+import { getSqrtPriceAtTick } from '../priceMath.js';
+
+const B0X = { address: "0x77933D339C88458450676156820D6e28bCc98BF5", symbol: "B0x", decimals: 18 };
+const ZEROXBTC = { address: "0xfb4cCCd1485FD56C1E6BF93274778d2F7aBe546D", symbol: "0xBTC", decimals: 8 };
+const USDC = { address: "0x036CbD53842c5426634e7929541eC2318f3dCF7e", symbol: "USDC", decimals: 6 };
+const NOW = 1700000000;
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `${message}: ${actual} vs ${expected}`);
+// Raw tokens per second that pay `perYear` whole tokens a year
+const ratePerYear = (perYear, decimals) => BigInt(perYear) * 10n ** BigInt(decimals) / BigInt(SECONDS_PER_YEAR);
+
+test("computeRewardApy adds up every active reward token over the staked TVL", async () => {
+  const result = await computeRewardApy({
+    rewardTokens: [
+      { ...B0X, rewardRate: ratePerYear(31536000, 18), periodEndsAt: NOW + 3600 },
+      { ...USDC, rewardRate: ratePerYear(31536000, 6), periodEndsAt: NOW + 3600 },
+      // Ended periods pay nothing, whatever their last rate
+      { ...ZEROXBTC, rewardRate: ratePerYear(31536000, 8), periodEndsAt: NOW - 1 }
+    ],
+    stakedTokens: [
+      { ...B0X, amount: 1000n * 10n ** 18n },
+      { ...ZEROXBTC, amount: 2n * 10n ** 8n }
+    ],
+    sources: [createStaticPriceSource({ B0x: 0.5, "0xBTC": 250, USDC: 1 })],
+    now: NOW
+  });
+
+  assert.equal(result.unit, "usd");
+  assert.equal(result.tvl, 1000 * 0.5 + 2 * 250);
+  const [b0x, usdc, zeroXBTC] = result.tokens;
+  close(b0x.apy, 31536000 * 0.5 / 1000 * 100, "B0x");
+  close(usdc.apy, 31536000 / 1000 * 100, "USDC");
+  assert.deepEqual([zeroXBTC.active, zeroXBTC.yearlyRewards, zeroXBTC.apy], [false, 0, 0]);
+  close(result.totalApy, b0x.apy + usdc.apy, "total");
+  assert.deepEqual(result.unpriced, []);
+});
+
+test("computeRewardApy has no APY but no error when nothing is staked", async () => {
+  const result = await computeRewardApy({
+    rewardTokens: [{ ...B0X, rewardRate: 10n ** 18n, periodEndsAt: NOW + 3600 }],
+    stakedTokens: [{ ...B0X, amount: 0n }, { ...ZEROXBTC, amount: 0n }],
+    sources: [createStaticPriceSource({ B0x: 0.5, "0xBTC": 250 })],
+    now: NOW
+  });
+  assert.equal(result.tvl, 0);
+  assert.equal(result.tokens[0].apy, null);
+  assert.equal(result.totalApy, 0);
+});
+
+test("computeRewardApy lists active reward tokens no source prices, and fails without staked token prices", async () => {
+  const sources = [createStaticPriceSource({ B0x: 0.5, "0xBTC": 250 })];
+  const stakedTokens = [{ ...B0X, amount: 10n ** 18n }, { ...ZEROXBTC, amount: 10n ** 8n }];
+  const result = await computeRewardApy({
+    rewardTokens: [{ ...USDC, rewardRate: 1n, periodEndsAt: NOW + 3600 }],
+    stakedTokens,
+    sources,
+    now: NOW
+  });
+  assert.deepEqual(result.unpriced, ["USDC"]);
+  assert.equal(result.tokens[0].apy, null);
+
+  await assert.rejects(computeRewardApy({
+    rewardTokens: [],
+    stakedTokens: [...stakedTokens, { ...USDC, amount: 1n }],
+    sources: [createStaticPriceSource({ B0x: 0.5 })],
+    now: NOW
+  }), /No price for staked token 0xBTC/);
+});
+
+test("getTokenPrices converts a token-quoted source through the first source's price of that token", async () => {
+  const failing = { name: "down", unit: "usd", getPrices: async () => { throw new Error("rate limited"); } };
+  const usd = createStaticPriceSource({ "0xBTC": 250 });
+  const inZeroXBTC = createStaticPriceSource({ B0x: 0.002 }, { unit: ZEROXBTC.address, name: "pool" });
+  const { unit, prices, errors } = await getTokenPrices([B0X, ZEROXBTC], [failing, usd, inZeroXBTC]);
+
+  assert.equal(unit, "usd");
+  assert.equal(prices[ZEROXBTC.address.toLowerCase()], 250);
+  close(prices[B0X.address.toLowerCase()], 0.5, "B0x in USD");
+  assert.deepEqual(errors, ["down: rate limited"]);
+});
+
+test("getTokenPrices reports a token-quoted source whose quote token has no price", async () => {
+  const inZeroXBTC = createStaticPriceSource({ B0x: 0.002 }, { unit: ZEROXBTC.address, name: "pool" });
+  const { prices, errors } = await getTokenPrices([B0X], [createStaticPriceSource({}), inZeroXBTC]);
+  assert.deepEqual(prices, {});
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^pool: prices are in 0xfb4c/);
+});
+
+test("createPoolTwapPriceSource averages ticks over the window and skips samples it cannot read", async () => {
+  const reads = [];
+  // token0 B0x (18) and token1 0xBTC (8) at ticks -100 and +100 around tick 0, one block pruned
+  const ticksByBlock = { 1000: 100, 900: -100, 800: 100, 700: -100 };
+  const source = createPoolTwapPriceSource({
+    quoteToken: ZEROXBTC,
+    windowBlocks: 400,
+    samples: 5,
+    getBlockNumber: async () => 1000,
+    getSqrtPriceX96: async (token, quoteToken, blockTag) => {
+      reads.push(blockTag);
+      if (ticksByBlock[blockTag] === undefined) throw new Error("missing trie node");
+      return getSqrtPriceAtTick(ticksByBlock[blockTag]);
+    }
+  });
+
+  const prices = await source.getPrices([B0X, ZEROXBTC]);
+  assert.deepEqual(reads.sort((a, b) => a - b), [600, 700, 800, 900, 1000]);
+  assert.equal(prices[ZEROXBTC.address.toLowerCase()], 1);
+  // The mean tick is 0: one raw B0x unit for one raw 0xBTC unit, so 1 B0x = 10^10 0xBTC
+  close(prices[B0X.address.toLowerCase()], 1e10, "B0x in 0xBTC");
+});
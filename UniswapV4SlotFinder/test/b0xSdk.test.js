@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { B0xSdk, POSITION_ACTIONS, POSITION_FINDER_ABI } from '../b0xSdk.js';
+import { getNetwork } from '../networks.js';
+
+const network = getNetwork(84532);
+const { B0x, "0xBTC": zeroXBTC, ETH } = network.tokens;
+const ACCOUNT = "0x1111111111111111111111111111111111111111";
+
+// The contracts are replaced by recorders: no RPC is involved, only the calls the SDK makes and what it derives
+function createSdk() {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push({ name, args });
+    return typeof result === "function" ? result(...args) : result;
+  };
+  const sent = (name) => record(name, () => ({ wait: async () => ({ status: 1, name }) }));
+
+  const sdk = new B0xSdk(network, { provider: null, getAddress: async () => ACCOUNT });
+  sdk.swapper = {
+    target: network.contracts.swapper,
+    getOutput: record("getOutput", 1000000n),
+    getsqrtPricex96: record("getsqrtPricex96", 1n << 96n),
+    swapTokenTWOTOKENS: sent("swapTokenTWOTOKENS"),
+    createPositionWith2Tokens: sent("createPositionWith2Tokens"),
+    getAmount0andAmount1forLiquidityPercentage: record("getAmount0andAmount1forLiquidityPercentage", { amount0: 5000n, amount1: 8000n })
+  };
+  sdk.staking = {
+    target: network.contracts.lpRewardsStaking,
+    getTokenAmountForPercentageLiquidity: record("getTokenAmountForPercentageLiquidity", { amount0: 2000n, amount1: 4000n }),
+    decreaseLiquidityOfPosition: sent("decreaseLiquidityOfPosition")
+  };
+  sdk.positionManager = {
+    target: network.contracts.positionManager,
+    modifyLiquidities: sent("modifyLiquidities"),
+    getPositionLiquidity: record("getPositionLiquidity", 10000n)
+  };
+  sdk.approveIfNeeded = record("approveIfNeeded", null);
+  sdk.approveViaPermit2 = record("approveViaPermit2", undefined);
+  const named = (name) => calls.filter(call => call.name === name);
+  return { sdk, calls, named };
+}
+
+// Action codes and params of a modifyLiquidities call
+function decodeUnlockData(unlockData) {
+  const [actions, params] = ethers.AbiCoder.defaultAbiCoder().decode(["bytes", "bytes[]"], unlockData);
+  return { actions: [...ethers.getBytes(actions)], params };
+}
+
+test("the constructor names the contracts missing on a network", () => {
+  assert.throws(() => new B0xSdk(getNetwork(8453), { provider: null }), /swapper, lpRewardsStaking, hook, positionFinderPro not deployed on Base/);
+});
+
+test("getPoolKey sorts the currencies and uses the hooked dynamic-fee pool", () => {
+  const { sdk } = createSdk();
+  const key = sdk.getPoolKey(zeroXBTC.address, B0x.address);
+  assert.deepEqual(key, sdk.getPoolKey(B0x.address, zeroXBTC.address));
+  assert.ok(BigInt(key.currency0) < BigInt(key.currency1));
+  assert.equal(key.fee, 0x800000);
+  assert.equal(key.tickSpacing, 60);
+  assert.equal(key.hooks, network.contracts.hook);
+});
+
+test("quote applies the slippage tolerance to the Swapper's output", async () => {
+  const { sdk, named } = createSdk();
+  const quote = await sdk.quote({ tokenIn: B0x.address, tokenOut: zeroXBTC.address, amountIn: 10n ** 18n, slippageBps: 50 });
+  assert.equal(quote.amountOut, 1000000n);
+  assert.equal(quote.minAmountOut, 995000n);
+  const [currency0, currency1, tokenIn] = named("getOutput")[0].args;
+  assert.ok(BigInt(currency0) < BigInt(currency1));
+  assert.equal(tokenIn, B0x.address);
+});
+
+test("swap approves the Swapper before swapping at the quoted minimum", async () => {
+  const { sdk, calls } = createSdk();
+  await sdk.swap({ tokenIn: B0x.address, tokenOut: zeroXBTC.address, amountIn: 10n ** 18n });
+  assert.deepEqual(calls.map(call => call.name), ["getOutput", "approveIfNeeded", "swapTokenTWOTOKENS"]);
+  const swapArgs = calls[2].args;
+  assert.equal(swapArgs[5], 990000n); // default 1% slippage
+  assert.equal(swapArgs[7], ACCOUNT);
+});
+
+test("createPosition sends full range through the Swapper with ETH as value", async () => {
+  const { sdk, named } = createSdk();
+  await sdk.createPosition({ tokenA: ETH.address, tokenB: B0x.address, amountA: 7n, amountB: 9n });
+  const [mint] = named("createPositionWith2Tokens");
+  assert.deepEqual(mint.args.at(-1), { value: 7n });
+  assert.equal(named("modifyLiquidities").length, 0);
+});
+
+test("createPosition mints a custom range on the PositionManager with slippage maximums", async () => {
+  const { sdk, named } = createSdk();
+  await sdk.createPosition({
+    tokenA: B0x.address, tokenB: zeroXBTC.address, amountA: 10n ** 18n, amountB: 10n ** 8n, slippageBps: 100,
+    sqrtPriceX96: 1n << 96n, tickLower: -600, tickUpper: 600
+  });
+  assert.equal(named("createPositionWith2Tokens").length, 0);
+  const { actions, params } = decodeUnlockData(named("modifyLiquidities")[0].args[0]);
+  assert.deepEqual(actions, [POSITION_ACTIONS.MINT_POSITION, POSITION_ACTIONS.SETTLE_PAIR]);
+  const mint = ethers.AbiCoder.defaultAbiCoder().decode(
+    ["(address,address,uint24,int24,address)", "int24", "int24", "uint256", "uint128", "uint128", "address", "bytes"],
+    params[0]
+  );
+  assert.equal(mint[1], -600n);
+  assert.equal(mint[2], 600n);
+  assert.ok(mint[3] > 0n);
+  // Maximums are the deposits plus 1%, and Permit2 is approved for exactly those
+  const approved = named("approveViaPermit2").map(call => call.args[2]);
+  assert.deepEqual(approved, [mint[4], mint[5]]);
+  assert.equal(mint[6], ACCOUNT);
+});
+
+test("custom ranges reject ticks off the spacing, inverted ranges and ETH", async () => {
+  const { sdk } = createSdk();
+  const base = { tokenA: B0x.address, tokenB: zeroXBTC.address, amountA: 1n, amountB: 1n, sqrtPriceX96: 1n << 96n };
+  await assert.rejects(sdk.createPosition({ ...base, tickLower: -610, tickUpper: 600 }), /multiples of 60/);
+  await assert.rejects(sdk.createPosition({ ...base, tickLower: 600, tickUpper: -600 }), /multiples of 60, lower first/);
+  await assert.rejects(sdk.createPosition({ ...base, tokenA: ETH.address, tickLower: -600, tickUpper: 600 }), /wrap ETH/);
+});
+
+test("decreaseLiquidity checks the percentage and scales it for staked positions", async () => {
+  const { sdk, named } = createSdk();
+  await assert.rejects(sdk.decreaseLiquidity({ tokenId: 1, percentageBps: 0 }), /percentageBps must be in/);
+  await assert.rejects(sdk.decreaseLiquidity({ tokenId: 1, percentageBps: 10001 }), /percentageBps must be in/);
+
+  await sdk.decreaseLiquidity({ tokenId: 5, percentageBps: 2500, staked: true, slippageBps: 100 });
+  const [, percentage, min0, min1] = named("decreaseLiquidityOfPosition")[0].args;
+  assert.equal(percentage, 2500000000000n); // 25% of 1e13
+  assert.equal(min0, 1980n);
+  assert.equal(min1, 3960n);
+});
+
+test("decreaseLiquidity takes a share of the position's liquidity for wallet positions", async () => {
+  const { sdk, named } = createSdk();
+  await sdk.decreaseLiquidity({ tokenId: 5, tokenA: B0x.address, tokenB: zeroXBTC.address, percentageBps: 2500, slippageBps: 0 });
+  const { actions, params } = decodeUnlockData(named("modifyLiquidities")[0].args[0]);
+  assert.deepEqual(actions, [POSITION_ACTIONS.DECREASE_LIQUIDITY, POSITION_ACTIONS.TAKE_PAIR]);
+  const [tokenId, liquidity, min0, min1] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256", "int128", "uint256", "uint256", "bytes"], params[0]);
+  assert.equal(tokenId, 5n);
+  assert.equal(liquidity, 2500n);
+  assert.equal(min0, 5000n);
+  assert.equal(min1, 8000n);
+});
+
+test("swapRoute sells what each hop delivered and sends only the last hop to the recipient", async () => {
+  const { sdk } = createSdk();
+  const swaps = [];
+  sdk.swap = async (params) => {
+    swaps.push(params);
+    return { status: 1 };
+  };
+  const balances = [100n, 150n]; // before and after the first hop
+  sdk.getBalance = async () => balances.shift();
+
+  const recipient = "0x2222222222222222222222222222222222222222";
+  await sdk.swapRoute({
+    amountIn: 1000n,
+    hops: [
+      { tokenIn: B0x.address, tokenOut: ETH.address, amountIn: 1000n, amountOut: 60n },
+      { tokenIn: ETH.address, tokenOut: zeroXBTC.address, amountIn: 60n, amountOut: 600n }
+    ]
+  }, { slippageBps: 100, recipient });
+
+  assert.equal(swaps[0].recipient, ACCOUNT);
+  assert.equal(swaps[0].minAmountOut, 59n);
+  assert.equal(swaps[1].amountIn, 50n); // delivered 50, not the quoted 60
+  assert.equal(swaps[1].minAmountOut, 495n); // 600 scaled to 500, less 1%
+  assert.equal(swaps[1].recipient, recipient);
+});
+
+// PositionFinderPro results as the contract returns them, decoded from the ABI
+const finder = new ethers.Interface(POSITION_FINDER_ABI);
+const finderResult = (method, values) => finder.decodeFunctionResult(method, finder.encodeFunctionResult(method, values));
+
+test("getPositions scans every minted ID in batches and keeps the fees, pool key and position info", async () => {
+  const { sdk } = createSdk();
+  const poolKey = sdk.getPoolKey(B0x.address, zeroXBTC.address);
+  const scanned = [];
+  sdk.positionFinder = {
+    getMaxUniswapIDPossible: async () => 2500n,
+    findUserTokenIdswithMinimum: async (owner, startId, endId) => {
+      scanned.push([startId, endId]);
+      return startId === 1000
+        ? finderResult("findUserTokenIdswithMinimum", [[1234n], [10n], [20n], [30n], [1n], [-2n], [poolKey], [77n]])
+        : finderResult("findUserTokenIdswithMinimum", [[], [], [], [], [], [], [], []]);
+    }
+  };
+
+  const positions = await sdk.getPositions(ACCOUNT, { tokenA: B0x.address, tokenB: zeroXBTC.address });
+  assert.deepEqual(scanned, [[0, 999], [1000, 1999], [2000, 2499]]);
+  assert.deepEqual(positions, [{
+    tokenId: 1234n, amountA: 10n, amountB: 20n, liquidity: 30n, feesOwedA: 1n, feesOwedB: -2n, poolKey, poolInfo: 77n
+  }]);
+});
+
+test("getStakedPositions reads the stakes in batches with their pool currencies", async () => {
+  const { sdk } = createSdk();
+  const batches = [];
+  sdk.positionFinder = {
+    getMaxStakedIDforUser: async () => 150n,
+    getIDSofStakedTokensForUserwithMinimum: async (owner, tokenA, tokenB, minAmount, startIndex, count) => {
+      batches.push([startIndex, count]);
+      return startIndex === 0
+        ? finderResult("getIDSofStakedTokensForUserwithMinimum", [[7n], [10n], [20n], [30n], [1700000000n], [5n], [zeroXBTC.address], [B0x.address], [77n]])
+        : finderResult("getIDSofStakedTokensForUserwithMinimum", [[], [], [], [], [], [], [], [], []]);
+    }
+  };
+
+  const positions = await sdk.getStakedPositions(ACCOUNT, { tokenA: B0x.address, tokenB: zeroXBTC.address });
+  assert.deepEqual(batches, [[0, 100], [100, 50]]);
+  assert.deepEqual(positions, [{
+    tokenId: 7n, amountA: 10n, amountB: 20n, liquidity: 30n, stakedAt: 1700000000, multiplierPenalty: 5n,
+    currency0: zeroXBTC.address, currency1: B0x.address, poolInfo: 77n
+  }]);
+});
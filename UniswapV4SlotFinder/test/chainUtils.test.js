@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { decodeSafeCalls, decodeTransferLog, findDeploymentBlock, TRANSFER_TOPIC } from '../chainUtils.js';
+
+const STAKING = "0x5555555555555555555555555555555555555555";
+const ACCOUNT = "0x1111111111111111111111111111111111111111";
+const SAFE = "0x2222222222222222222222222222222222222222";
+const TOKEN = "0x3333333333333333333333333333333333333333";
+const POSITION_MANAGER = "0x4444444444444444444444444444444444444444";
+
+const safe = new ethers.Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+const multiSend = new ethers.Interface(["function multiSend(bytes transactions)"]);
+const claimData = new ethers.Interface(["function getRewardForTokens(address[] rewardTokens)"]).encodeFunctionData("getRewardForTokens", [[TOKEN]]);
+
+// The Safe calls `data` on `to`, signatures are not decoded
+function execTransaction(to, data) {
+  return { to: SAFE, data: safe.encodeFunctionData("execTransaction", [to, 0, data, 0, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x"]) };
+}
+
+function packMultiSend(calls) {
+  return multiSend.encodeFunctionData("multiSend", [ethers.concat(calls.map(({ to, data }) =>
+    ethers.solidityPacked(["uint8", "address", "uint256", "uint256", "bytes"], [0, to, 0, ethers.dataLength(data), data])))]);
+}
+
+test("decodeSafeCalls returns a direct call unchanged", () => {
+  assert.deepEqual(decodeSafeCalls({ to: STAKING, data: claimData }), [{ to: STAKING, data: claimData, safe: null }]);
+});
+
+test("decodeSafeCalls unwraps execTransaction and MultiSend batches", () => {
+  const [call] = decodeSafeCalls(execTransaction(STAKING, claimData));
+  assert.equal(call.to, STAKING);
+  assert.equal(call.data, claimData);
+  assert.equal(call.safe, SAFE);
+
+  const approveData = "0x095ea7b3" + "00".repeat(64);
+  const batch = decodeSafeCalls(execTransaction(POSITION_MANAGER, packMultiSend([
+    { to: TOKEN, data: approveData },
+    { to: STAKING, data: claimData }
+  ])));
+  assert.deepEqual(batch.map(call => [call.to, call.data]), [[TOKEN, approveData], [STAKING, claimData]]);
+});
+
+test("decodeTransferLog tells ERC721 transfers from ERC20 ones by the indexed tokenId", () => {
+  const topic = (address) => ethers.zeroPadValue(address, 32);
+  const erc20 = decodeTransferLog({
+    address: TOKEN, topics: [TRANSFER_TOPIC, topic(STAKING), topic(ACCOUNT)], data: ethers.toBeHex(50, 32), blockNumber: 10, transactionHash: "0x1", index: 3
+  });
+  assert.deepEqual([erc20.isNft, erc20.value, erc20.from, erc20.to, erc20.logIndex], [false, 50n, STAKING, ACCOUNT, 3]);
+  const nft = decodeTransferLog({
+    address: POSITION_MANAGER, topics: [TRANSFER_TOPIC, topic(ACCOUNT), topic(STAKING), ethers.toBeHex(7, 32)], data: "0x", blockNumber: 10, transactionHash: "0x2", logIndex: 1
+  });
+  assert.deepEqual([nft.isNft, nft.value, nft.logIndex], [true, 7n, 1]);
+});
+
+test("findDeploymentBlock binary-searches the first block with code", async () => {
+  const calls = [];
+  const provider = {
+    getCode: async (address, blockTag) => {
+      calls.push(blockTag);
+      return blockTag >= 1234 ? "0x6080" : "0x";
+    }
+  };
+  assert.equal(await findDeploymentBlock(provider, STAKING, 5000), 1234);
+  assert.ok(calls.length <= 15, `${calls.length} getCode calls`);
+});
+
+test("findDeploymentBlock fails loudly when the RPC cannot serve past state or the contract is missing", async () => {
+  const pruned = { getCode: async (address, blockTag) => { if (blockTag < 4900) throw new Error("missing trie node"); return "0x6080"; } };
+  await assert.rejects(findDeploymentBlock(pruned, STAKING, 5000), /needs an archive RPC.*missing trie node/);
+  const empty = { getCode: async () => "0x" };
+  await assert.rejects(findDeploymentBlock(empty, STAKING, 5000), /has no code at block 5000/);
+});
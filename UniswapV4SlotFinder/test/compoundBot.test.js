@@ -0,0 +1,50 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CompoundBot, saveRebalancedPosition } from '../compoundBot.js';
+import { UniswapV4PoolReader } from '../Uniswapv4PoolReader.js';
+import { getNetwork } from '../networks.js';
+
+// Price sources are built but never asked: the failures come before any price is read
+const reader = new UniswapV4PoolReader("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+after(() => reader.provider.destroy());
+
+function createBot() {
+  const sdk = { network: getNetwork(84532), getAccount: async () => { throw new Error("no signer"); } };
+  return new CompoundBot(sdk, reader, { positions: [{ tokenId: 1n, staked: false }] });
+}
+
+test("a failed cycle is logged when nothing listens for errors", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+  const bot = createBot();
+  bot.config.intervalSeconds = 3600;
+  await bot.start();
+  await bot.stop();
+  assert.equal(logged.mock.callCount(), 1);
+  assert.deepEqual(logged.mock.calls[0].arguments, ["Bot cycle failed:", "no signer"]);
+});
+
+test("a failed cycle is emitted once, with its context, when something listens", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+  const bot = createBot();
+  bot.config.intervalSeconds = 3600;
+  const errors = [];
+  bot.on("error", error => errors.push(error));
+  await bot.start();
+  await bot.stop();
+  assert.equal(logged.mock.callCount(), 0);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].message, "Bot cycle failed: no signer");
+  assert.equal(errors[0].cause.message, "no signer");
+});
+
+test("saveRebalancedPosition replaces only the re-minted position in the config file", () => {
+  const file = join(mkdtempSync(join(tmpdir(), "compound-bot-")), "config.json");
+  writeFileSync(file, JSON.stringify({ dryRun: false, positions: [{ tokenId: 12, staked: false }, { tokenId: "34", staked: true }] }));
+
+  assert.equal(saveRebalancedPosition(file, 12n, 56n), true);
+  assert.deepEqual(JSON.parse(readFileSync(file, "utf8")), { dryRun: false, positions: [{ tokenId: 56, staked: false }, { tokenId: "34", staked: true }] });
+  assert.equal(saveRebalancedPosition(file, 12n, 78n), false);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interface } from 'ethers';
+import { SWAP_TOPIC, MODIFY_LIQUIDITY_TOPIC, decodePoolLog, applyPoolLog, watchPoolLogs } from '../poolEvents.js';
+
+const poolManager = new Interface([
+  "event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)",
+  "event ModifyLiquidity(bytes32 indexed id, address indexed sender, int24 tickLower, int24 tickUpper, int256 liquidityDelta, bytes32 salt)"
+]);
+const POOL_ID = "0x" + "ab".repeat(32);
+const SENDER = "0x0fAD801ae719dF8D8f8C050c2d1b1646a0a89AD2";
+
+// A raw log as ethers v6 returns it, encoded by the PoolManager ABI rather than by hand
+function encodeLog(name, values, blockNumber = 100, index = 0) {
+  const { topics, data } = poolManager.encodeEventLog(name, [POOL_ID, SENDER, ...values]);
+  return { topics, data, blockNumber, index, transactionHash: "0x" + "01".repeat(32) };
+}
+
+test("the topics match the PoolManager events", () => {
+  assert.equal(poolManager.getEvent("Swap").topicHash, SWAP_TOPIC);
+  assert.equal(poolManager.getEvent("ModifyLiquidity").topicHash, MODIFY_LIQUIDITY_TOPIC);
+});
+
+test("decodePoolLog reads a Swap with negative amounts and tick", () => {
+  const poolLog = decodePoolLog(encodeLog("Swap", [-5000n, 123456789n, 10098392936699872302137172n, 4503599627370496n, -179364, 20000]));
+  assert.deepEqual(poolLog, {
+    name: "Swap",
+    poolId: POOL_ID,
+    sender: SENDER.toLowerCase(),
+    blockNumber: 100,
+    transactionHash: "0x" + "01".repeat(32),
+    logIndex: 0,
+    amount0: -5000n,
+    amount1: 123456789n,
+    sqrtPriceX96: 10098392936699872302137172n,
+    liquidity: 4503599627370496n,
+    tick: -179364,
+    fee: 20000
+  });
+});
+
+test("decodePoolLog reads a ModifyLiquidity removal and ignores other events", () => {
+  const poolLog = decodePoolLog(encodeLog("ModifyLiquidity", [-887220, 887220, -1000n, "0x" + "00".repeat(31) + "07"]));
+  assert.equal(poolLog.name, "ModifyLiquidity");
+  assert.equal(poolLog.tickLower, -887220);
+  assert.equal(poolLog.tickUpper, 887220);
+  assert.equal(poolLog.liquidityDelta, -1000n);
+  assert.equal(poolLog.salt, "0x" + "00".repeat(31) + "07");
+  assert.equal(decodePoolLog({ topics: ["0x" + "00".repeat(32)], data: "0x" }), null);
+});
+
+test("applyPoolLog only moves active liquidity for ranges around the tick", () => {
+  const state = { poolId: POOL_ID, sqrtPriceX96: "1", tick: 0, liquidity: "5000", blockNumber: 1 };
+  const inside = applyPoolLog(state, { name: "ModifyLiquidity", tickLower: -60, tickUpper: 60, liquidityDelta: -1000n, blockNumber: 2 });
+  assert.equal(inside.activeLiquidityChanged, true);
+  assert.equal(inside.state.liquidity, "4000");
+  // The upper tick is exclusive
+  const above = applyPoolLog(state, { name: "ModifyLiquidity", tickLower: -60, tickUpper: 0, liquidityDelta: 1000n, blockNumber: 2 });
+  assert.equal(above.activeLiquidityChanged, false);
+  assert.equal(above.state.liquidity, "5000");
+  assert.equal(above.state.blockNumber, 2);
+});
+
+test("watchPoolLogs reports each new block range once, in order", async () => {
+  let head = 10;
+  const requests = [];
+  const provider = {
+    getBlockNumber: async () => head,
+    getLogs: async (filter) => {
+      requests.push([filter.fromBlock, filter.toBlock]);
+      return [encodeLog("Swap", [1n, -1n, 2n, 3n, 4, 500], filter.toBlock, 1), encodeLog("Swap", [1n, -1n, 2n, 3n, 5, 500], filter.toBlock, 0)];
+    }
+  };
+  const seen = [];
+  const stop = watchPoolLogs(provider, "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408", [POOL_ID], {
+    intervalMs: 5,
+    onLogs: (poolLogs) => { seen.push(poolLogs.map(poolLog => poolLog.tick)); }
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  head = 12;
+  await new Promise(resolve => setTimeout(resolve, 40));
+  stop();
+
+  assert.deepEqual(requests, [[11, 12]]);
+  assert.deepEqual(seen, [[5, 4]]); // sorted by log index
+});
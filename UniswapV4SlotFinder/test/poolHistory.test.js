@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { UniswapV4PoolReader, poolHistoryToCsv } from '../Uniswapv4PoolReader.js';
+
+// The README pool: _pools[poolId] of the Base Sepolia PoolManager, _pools at slot 6
+const POOL_ID = "0x2b12523c52f9376439968e70e1f10ccc106ac80781bf40b0c8eeb2c19a22382e";
+const POOL_SLOT = "0x07a15d88d76a5ae87ddf9e02240e8145ff900e34f2115ed26c6c7e36c84dbb2b";
+const SLOT0_WORD = "0x000000004e20000000fd435c000000000000000000085a6afa601db20218ff54";
+
+const word = (value) => "0x" + BigInt.asUintN(256, value).toString(16).padStart(64, "0");
+
+// Pool state words at each block: the liquidity is the block number, so every sample shows where it was read
+function createReader() {
+  const reader = new UniswapV4PoolReader("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+  after(() => reader.provider.destroy());
+  reader.reads = [];
+  reader.readSlotRanges = async (ranges, { blockTag } = {}) => {
+    reader.reads.push({ ranges, blockTag });
+    return [[SLOT0_WORD, word(0n), word(0n), word(BigInt(blockTag))]];
+  };
+  reader.provider.getBlock = async (blockNumber) => (blockNumber === 1050 ? null : { timestamp: 1700000000 + blockNumber * 2 });
+  return reader;
+}
+
+test("getPoolHistory samples every step and always the last block", async () => {
+  const reader = createReader();
+  const samples = await reader.getPoolHistory(POOL_ID, 1000, 1050, 20);
+
+  assert.deepEqual(samples.map(sample => sample.blockNumber), [1000, 1020, 1040, 1050]);
+  assert.deepEqual(reader.reads.map(read => read.blockTag), [1000, 1020, 1040, 1050]);
+  for (const { ranges } of reader.reads) {
+    assert.deepEqual(ranges, [{ startSlot: POOL_SLOT, nSlots: 4 }]);
+  }
+
+  assert.deepEqual(samples[0], {
+    blockNumber: 1000,
+    timestamp: 1700002000,
+    sqrtPriceX96: "10098392936699872302137172",
+    tick: "-179364",
+    liquidity: "1000",
+    calculatedPrice: samples[0].sqrtPrice ** 2,
+    sqrtPrice: 10098392936699872302137172 / 2 ** 96
+  });
+  assert.equal(samples[2].liquidity, "1040");
+  // A block the RPC no longer returns keeps its state, without a timestamp
+  assert.equal(samples[3].timestamp, null);
+});
+
+test("getPoolHistory reads a single block when the range is one block", async () => {
+  const reader = createReader();
+  const samples = await reader.getPoolHistory(POOL_ID, 1000, 1000, 100);
+  assert.deepEqual(samples.map(sample => sample.blockNumber), [1000]);
+});
+
+test("getPoolHistory rejects a reversed range and a step below one", async () => {
+  const reader = createReader();
+  await assert.rejects(reader.getPoolHistory(POOL_ID, 1050, 1000), /Invalid block range: 1050 > 1000/);
+  await assert.rejects(reader.getPoolHistory(POOL_ID, 1000, 1050, 0), /Invalid step: 0/);
+  assert.deepEqual(reader.reads, []);
+});
+
+test("poolHistoryToCsv writes one row per sample and leaves missing timestamps empty", async () => {
+  const reader = createReader();
+  const samples = await reader.getPoolHistory(POOL_ID, 1040, 1050, 10);
+  const [header, first, second, end] = poolHistoryToCsv(samples).split("\n");
+
+  assert.equal(header, "blockNumber,timestamp,sqrtPriceX96,tick,liquidity,calculatedPrice");
+  assert.equal(first, `1040,1700002080,10098392936699872302137172,-179364,1040,${samples[0].calculatedPrice}`);
+  assert.equal(second, `1050,,10098392936699872302137172,-179364,1050,${samples[1].calculatedPrice}`);
+  assert.equal(end, "");
+});
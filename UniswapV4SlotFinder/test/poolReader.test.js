@@ -0,0 +1,131 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { UniswapV4PoolReader } from '../Uniswapv4PoolReader.js';
+
+// Decoders only: the provider is never asked for anything
+const reader = new UniswapV4PoolReader("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+after(() => reader.provider.destroy());
+
+// slot0 of the B0x/0xBTC pool on Base Sepolia (the EXPECTED_RAW_DATA storageSlot.js used to compare against)
+const SLOT0_WORD = "0x000000004e20000000fd435c000000000000000000085a6afa601db20218ff54";
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const word = (value) => "0x" + BigInt.asUintN(256, value).toString(16).padStart(64, "0");
+
+test("decodePoolState unpacks sqrtPriceX96, a negative tick and the fees", () => {
+  const state = reader.decodePoolState(SLOT0_WORD);
+  assert.equal(state.sqrtPriceX96, "10098392936699872302137172");
+  assert.equal(state.tick, "-179364");
+  assert.equal(state.protocolFee, "0");
+  assert.equal(state.lpFee, "20000");
+  assert.equal(state.rawData, SLOT0_WORD);
+});
+
+test("decodePoolState reads each field from its own bits", () => {
+  const sqrtPriceX96 = (1n << 160n) - 1n;
+  const packed = sqrtPriceX96 | (BigInt.asUintN(24, 887271n) << 160n) | (0x123n << 184n) | (0x800000n << 208n);
+  const state = reader.decodePoolState(word(packed));
+  assert.equal(state.sqrtPriceX96, sqrtPriceX96.toString());
+  assert.equal(state.tick, "887271");
+  assert.equal(state.protocolFee, String(0x123));
+  assert.equal(state.lpFee, String(0x800000));
+});
+
+test("decodeFullPoolState adds fee growth and the low 128 bits of liquidity", () => {
+  const feeGrowth0 = (1n << 255n) + 12345n;
+  const feeGrowth1 = 340282366920938463463374607431768211456n; // 2^128
+  const liquidity = 4503599627370496n;
+  const dirtyLiquidityWord = (0xdeadn << 128n) | liquidity; // the unused high half must not leak into the value
+  const state = reader.decodeFullPoolState([SLOT0_WORD, word(feeGrowth0), word(feeGrowth1), word(dirtyLiquidityWord)]);
+  assert.equal(state.tick, "-179364");
+  assert.equal(state.feeGrowthGlobal0X128, feeGrowth0.toString());
+  assert.equal(state.feeGrowthGlobal1X128, feeGrowth1.toString());
+  assert.equal(state.liquidity, liquidity.toString());
+});
+
+test("decodeFullPoolState rejects a short read", () => {
+  assert.throws(() => reader.decodeFullPoolState([SLOT0_WORD, word(0n)]), /Expected 4 storage words/);
+});
+
+test("decodeTickInfo splits liquidityGross and a negative liquidityNet", () => {
+  const gross = 1000000n;
+  const net = -1000000n;
+  const info = reader.decodeTickInfo([word((BigInt.asUintN(128, net) << 128n) | gross), word(7n), word(MAX_UINT256)]);
+  assert.equal(info.liquidityGross, "1000000");
+  assert.equal(info.liquidityNet, "-1000000");
+  assert.equal(info.feeGrowthOutside0X128, "7");
+  assert.equal(info.feeGrowthOutside1X128, MAX_UINT256.toString());
+  assert.equal(info.initialized, true);
+});
+
+test("decodeTickInfo marks an empty tick uninitialized", () => {
+  const info = reader.decodeTickInfo([word(0n), word(0n), word(0n)]);
+  assert.equal(info.liquidityNet, "0");
+  assert.equal(info.initialized, false);
+});
+
+test("decodePositionState reads liquidity and the fee growth snapshot", () => {
+  const state = reader.decodePositionState([word(987654321n), word(1n << 200n), word(3n)]);
+  assert.deepEqual(state, {
+    liquidity: "987654321",
+    feeGrowthInside0LastX128: (1n << 200n).toString(),
+    feeGrowthInside1LastX128: "3"
+  });
+});
+
+test("fees owed wrap modulo 2^256 like the unchecked Solidity math", () => {
+  const q128 = 1n << 128n;
+  const pool = { tick: "0", feeGrowthGlobal0X128: (5n * q128).toString(), feeGrowthGlobal1X128: "0" };
+  const lower = { feeGrowthOutside0X128: (2n * q128).toString(), feeGrowthOutside1X128: "0" };
+  const upper = { feeGrowthOutside0X128: q128.toString(), feeGrowthOutside1X128: "1" };
+  const inside = reader.calculateFeeGrowthInside(pool, -60, 60, lower, upper);
+  assert.equal(inside.feeGrowthInside0X128, 2n * q128);
+  assert.equal(inside.feeGrowthInside1X128, MAX_UINT256); // 0 - 0 - 1 wraps
+
+  const fees = reader.calculateFeesOwed(
+    { liquidity: "1000", feeGrowthInside0LastX128: q128.toString(), feeGrowthInside1LastX128: MAX_UINT256.toString() },
+    inside
+  );
+  assert.equal(fees.feesOwed0, 1000n);
+  assert.equal(fees.feesOwed1, 0n);
+});
+
+test("getPositionInfo reads pool, ticks and position in one batched read", async () => {
+  const batched = new UniswapV4PoolReader("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+  after(() => batched.provider.destroy());
+  const q128 = 1n << 128n;
+  const calls = [];
+  batched.readSlotRanges = async (ranges) => {
+    calls.push(ranges);
+    return [
+      [SLOT0_WORD, word(10n * q128), word(0n), word(5000n)],
+      [word(1n), word(2n * q128), word(0n)],
+      [word(1n), word(3n * q128), word(0n)],
+      [word(100n), word(q128), word(0n)]
+    ];
+  };
+
+  const position = await batched.getPositionInfo(SLOT0_WORD, "0x4B2C77d209D3405F41a037Ec6c77F7F5b8e2ca80", -887220, 887220);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].map(range => range.nSlots), [4, 3, 3, 3]);
+  assert.equal(position.liquidity, "100");
+  assert.equal(position.feeGrowthInside0X128, (5n * q128).toString()); // 10 - 2 - 3
+  assert.equal(position.feesOwed0, "400"); // (5 - 1) * 100
+  assert.equal(position.inRange, true);
+});
+
+test("discoverPools starts at the PoolManager deployment block by default", async () => {
+  const scanner = new UniswapV4PoolReader("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408", { logBlockRange: 1000 });
+  after(() => scanner.provider.destroy());
+  const deployedAt = 25000;
+  const ranges = [];
+  scanner.provider.getBlockNumber = async () => 27500;
+  scanner.provider.getCode = async (address, blockTag) => (blockTag >= deployedAt ? "0x6080" : "0x");
+  scanner.provider.getLogs = async ({ fromBlock, toBlock }) => {
+    ranges.push([fromBlock, toBlock]);
+    return [];
+  };
+
+  assert.deepEqual(await scanner.discoverPools(), []);
+  assert.deepEqual(ranges, [[25000, 25999], [26000, 26999], [27000, 27500]]);
+});
@@ -0,0 +1,52 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { UniswapV4PoolReader } from '../Uniswapv4PoolReader.js';
+import { PoolWatcher } from '../poolWatcher.js';
+
+const POOL_ID = "0x" + "ab".repeat(32);
+
+const reader = new UniswapV4PoolReader("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+after(() => reader.provider.destroy());
+
+function failingWatcher() {
+  const watcher = new PoolWatcher(reader, [POOL_ID]);
+  watcher.lastBlock = 100;
+  watcher.handleReorg = async () => {
+    throw new Error("RPC down");
+  };
+  return watcher;
+}
+
+test("a failed sync without an error listener is logged, not thrown", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+  const watcher = failingWatcher();
+  await watcher.sync();
+  assert.equal(logged.mock.callCount(), 1);
+  assert.match(logged.mock.calls[0].arguments[1], /RPC down/);
+  assert.equal(watcher.syncing, false);
+});
+
+test("a failed sync goes to the error listener when there is one", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+  const watcher = failingWatcher();
+  const errors = [];
+  watcher.on("error", error => errors.push(error.message));
+  await watcher.sync();
+  assert.deepEqual(errors, ["RPC down"]);
+  assert.equal(logged.mock.callCount(), 0);
+});
+
+test("applyLog emits the swap and stores the new state", () => {
+  const watcher = new PoolWatcher(reader, [POOL_ID]);
+  watcher.states.set(POOL_ID, { poolId: POOL_ID, sqrtPriceX96: "1", tick: 0, liquidity: "5000", blockNumber: 1 });
+  const log = reader.poolManager.interface.encodeEventLog("Swap", [POOL_ID, reader.poolManager.target, -5n, 7n, 99n, 4000n, -3, 500]);
+  const swaps = [];
+  watcher.on("swap", change => swaps.push(change));
+  watcher.applyLog({ ...log, blockNumber: 2, index: 3, transactionHash: "0x" + "01".repeat(32) });
+
+  assert.equal(swaps.length, 1);
+  assert.equal(swaps[0].amount0, "-5");
+  assert.equal(swaps[0].logIndex, 3);
+  assert.equal(swaps[0].previous.tick, 0);
+  assert.deepEqual(watcher.getState(POOL_ID), { poolId: POOL_ID, sqrtPriceX96: "99", tick: -3, liquidity: "4000", blockNumber: 2 });
+});
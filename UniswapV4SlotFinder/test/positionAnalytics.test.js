@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePosition, decodePositionInfo, getRangeStatus, findMintBlock, RANGE_STATUS } from '../positionAnalytics.js';
+import { getSqrtPriceAtTick } from '../priceMath.js';
+
+const TOKEN0 = { address: "0x1111111111111111111111111111111111111111", symbol: "AAA", decimals: 18 };
+const TOKEN1 = { address: "0x2222222222222222222222222222222222222222", symbol: "BBB", decimals: 18 };
+const FULL_RANGE = { tickLower: -887220, tickUpper: 887220 };
+const LIQUIDITY = 10n ** 21n;
+const NOW = 1700000000;
+const TICK_4X = 13863; // 1.0001^13863 is about 4
+
+const near = (actual, expected, tolerance, message) => assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+
+test("decodePositionInfo reads signed ticks from their bits", () => {
+  const info = (BigInt.asUintN(24, 887220n) << 32n) | (BigInt.asUintN(24, -887220n) << 8n) | 1n | (0xabcn << 56n);
+  assert.deepEqual(decodePositionInfo(info), { tickLower: -887220, tickUpper: 887220 });
+  assert.deepEqual(decodePositionInfo("0x" + info.toString(16)), { tickLower: -887220, tickUpper: 887220 });
+});
+
+test("getRangeStatus counts tickLower in range and tickUpper above it", () => {
+  assert.equal(getRangeStatus(-60, 60, -61), RANGE_STATUS.BELOW);
+  assert.equal(getRangeStatus(-60, 60, -60), RANGE_STATUS.IN_RANGE);
+  assert.equal(getRangeStatus(-60, 60, 59), RANGE_STATUS.IN_RANGE);
+  assert.equal(getRangeStatus(-60, 60, 60), RANGE_STATUS.ABOVE);
+});
+
+test("analyzePosition shows the constant-product impermanent loss of a full-range position", () => {
+  const result = analyzePosition({
+    ...FULL_RANGE,
+    liquidity: LIQUIDITY,
+    currentSqrtPriceX96: getSqrtPriceAtTick(TICK_4X),
+    mintSqrtPriceX96: getSqrtPriceAtTick(0),
+    token0: TOKEN0,
+    token1: TOKEN1,
+    now: NOW
+  });
+  // 2 * sqrt(4) / (1 + 4) - 1
+  near(result.impermanentLoss, -0.2, 1e-4, "impermanent loss");
+  assert.equal(result.netVsHodl, result.impermanentLoss);
+  assert.equal(result.status, RANGE_STATUS.IN_RANGE);
+  assert.equal(result.feeApr, null);
+});
+
+test("analyzePosition counts fees in netVsHodl and annualizes them over the position's age", () => {
+  const params = {
+    ...FULL_RANGE,
+    liquidity: LIQUIDITY,
+    currentSqrtPriceX96: getSqrtPriceAtTick(0),
+    mintSqrtPriceX96: getSqrtPriceAtTick(0),
+    token0: TOKEN0,
+    token1: TOKEN1,
+    mintTimestamp: NOW - 73 * 86400, // a fifth of a year
+    now: NOW
+  };
+  const { positionValue } = analyzePosition(params);
+  // 1% of the position in currency1 fees
+  const feesOwed1 = BigInt(Math.round(positionValue * 0.01 * 1e6)) * 10n ** 12n;
+  const result = analyzePosition({ ...params, feesOwed1 });
+
+  near(result.impermanentLoss, 0, 1e-12, "no price move");
+  near(result.netVsHodl, 0.01, 1e-9, "net vs hodl");
+  near(result.days, 73, 1e-12, "days");
+  near(result.feeApr, 5, 1e-6, "fee APR");
+});
+
+test("analyzePosition takes the tokens in either order and leaves IL out without a mint price", () => {
+  const params = { ...FULL_RANGE, liquidity: LIQUIDITY, currentSqrtPriceX96: getSqrtPriceAtTick(TICK_4X), now: NOW };
+  const sorted = analyzePosition({ ...params, token0: TOKEN0, token1: TOKEN1 });
+  const reversed = analyzePosition({ ...params, token0: TOKEN1, token1: TOKEN0 });
+  assert.deepEqual(reversed, sorted);
+  assert.equal(sorted.token0, TOKEN0.address);
+  assert.equal(sorted.impermanentLoss, null);
+  assert.equal(sorted.hodlValue, null);
+});
+
+test("analyzePosition of a range the price left upwards holds only currency1", () => {
+  const result = analyzePosition({
+    tickLower: -600,
+    tickUpper: 600,
+    liquidity: LIQUIDITY,
+    currentSqrtPriceX96: getSqrtPriceAtTick(TICK_4X),
+    mintSqrtPriceX96: getSqrtPriceAtTick(0),
+    token0: TOKEN0,
+    token1: TOKEN1,
+    now: NOW
+  });
+  assert.equal(result.status, RANGE_STATUS.ABOVE);
+  assert.equal(result.amount0, 0n);
+  assert.ok(result.amount1 > 0n);
+  assert.ok(result.rangePosition > 1);
+  assert.ok(result.impermanentLoss < 0);
+});
+
+test("findMintBlock finds the first block where nextTokenId is past the token", async () => {
+  // Token 42 is minted in block 5000; the PositionManager does not exist before block 100
+  const getNextTokenId = async (blockTag) => {
+    if (blockTag < 100) throw new Error("call to non-contract");
+    return blockTag >= 5000 ? 43n : 42n;
+  };
+  assert.equal(await findMintBlock({ tokenId: 42, getNextTokenId, latestBlock: 9000 }), 5000);
+  assert.equal(await findMintBlock({ tokenId: "42", getNextTokenId, latestBlock: 9000, fromBlock: 4000 }), 5000);
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createPositionIndex,
+  isPositionIndexFor,
+  syncPositionIndex,
+  getIndexedPositions,
+  getIndexedStakes,
+  toTokenIdRanges,
+  MODIFY_LIQUIDITY_TOPIC
+} from '../positionIndex.js';
+import { TRANSFER_TOPIC } from '../chainUtils.js';
+
+const POSITION_MANAGER = "0x4444444444444444444444444444444444444444";
+const POOL_MANAGER = "0x7777777777777777777777777777777777777777";
+const STAKING = "0x5555555555555555555555555555555555555555";
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+const ZERO = "0x0000000000000000000000000000000000000000";
+const POOL_ID = "0x" + "ab".repeat(32);
+const CONTRACTS = { chainId: 84532, positionManager: POSITION_MANAGER, poolManager: POOL_MANAGER, stakingAddress: STAKING };
+
+const word = (value) => BigInt.asUintN(256, BigInt(value)).toString(16).padStart(64, "0");
+const topic = (value) => "0x" + word(value);
+
+function transfer(blockNumber, index, from, to, tokenId) {
+  return { address: POSITION_MANAGER, topics: [TRANSFER_TOPIC, topic(from), topic(to), topic(tokenId)], data: "0x", blockNumber, index };
+}
+
+function modifyLiquidity(blockNumber, index, tokenId, liquidityDelta, tickLower = -60, tickUpper = 60) {
+  return {
+    address: POOL_MANAGER,
+    topics: [MODIFY_LIQUIDITY_TOPIC, POOL_ID, topic(POSITION_MANAGER)],
+    data: "0x" + [tickLower, tickUpper, liquidityDelta, tokenId].map(word).join(""),
+    blockNumber,
+    index
+  };
+}
+
+// Alice mints #1 and stakes it, Bob mints #2, takes part of it out and burns it; Alice withdraws #1 in block 98
+const LOGS = [
+  modifyLiquidity(10, 1, 1, 1000),
+  transfer(10, 0, ZERO, ALICE, 1),
+  transfer(20, 0, ALICE, STAKING, 1),
+  transfer(25, 0, ZERO, BOB, 2),
+  modifyLiquidity(25, 1, 2, 500, -120, 120),
+  modifyLiquidity(30, 0, 2, -400, -120, 120),
+  transfer(40, 0, BOB, ZERO, 2),
+  transfer(98, 0, STAKING, ALICE, 1)
+];
+
+function createProvider(latestBlock) {
+  const provider = {
+    latestBlock,
+    ranges: [],
+    failAt: null,
+    getBlockNumber: async () => provider.latestBlock,
+    getLogs: async ({ address, topics, fromBlock, toBlock }) => {
+      if (fromBlock === provider.failAt) {
+        provider.failAt = null;
+        throw new Error("request timed out");
+      }
+      if (address === POSITION_MANAGER) provider.ranges.push([fromBlock, toBlock]);
+      return LOGS.filter(log => log.address === address && log.topics[0] === topics[0] &&
+        (topics[2] === undefined || log.topics[2] === topics[2]) &&
+        log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+  return provider;
+}
+
+test("syncPositionIndex follows mints, stakes, liquidity changes and burns in chunks", async () => {
+  const provider = createProvider(100);
+  const index = createPositionIndex({ ...CONTRACTS, fromBlock: 0 });
+  let progress = 0;
+  await syncPositionIndex(provider, index, { toBlock: 95, blockRange: 40, onProgress: () => { progress++; } });
+
+  assert.deepEqual(provider.ranges, [[0, 39], [40, 79], [80, 95]]);
+  assert.equal(progress, 3);
+  assert.equal(index.lastBlock, 95);
+  // Minted and funded in the same block: the order inside the block does not change the result
+  assert.deepEqual(index.positions["1"], {
+    tokenId: "1", owner: STAKING, staker: ALICE, poolId: POOL_ID, tickLower: -60, tickUpper: 60, liquidity: "1000", mintedBlock: 10, updatedBlock: 20
+  });
+  assert.equal(index.positions["2"], undefined);
+  assert.deepEqual(getIndexedPositions(index, ALICE), []);
+  assert.deepEqual(getIndexedStakes(index, ALICE).map(position => position.tokenId), ["1"]);
+  assert.deepEqual(getIndexedPositions(index, STAKING).map(position => position.tokenId), ["1"]);
+});
+
+test("syncPositionIndex resumes after a failed chunk from the last block it saved", async () => {
+  const provider = createProvider(100);
+  const index = createPositionIndex({ ...CONTRACTS, fromBlock: 0 });
+  provider.failAt = 40;
+  await assert.rejects(syncPositionIndex(provider, index, { toBlock: 95, blockRange: 20 }), /timed out/);
+  // Chunks before the failure are kept
+  assert.equal(index.lastBlock, 39);
+  assert.equal(index.positions["2"].liquidity, "100");
+
+  await syncPositionIndex(provider, index, { toBlock: 95, blockRange: 20 });
+  const full = createPositionIndex({ ...CONTRACTS, fromBlock: 0 });
+  await syncPositionIndex(createProvider(100), full, { toBlock: 95, blockRange: 20 });
+  assert.deepEqual(index, full);
+});
+
+test("syncPositionIndex keeps unconfirmed blocks out, so a reorg there never reaches the index", async () => {
+  const provider = createProvider(100);
+  const index = createPositionIndex({ ...CONTRACTS, fromBlock: 0 });
+  await syncPositionIndex(provider, index, { confirmations: 5 });
+  // The withdraw in block 98 could still be reorged away
+  assert.equal(index.lastBlock, 95);
+  assert.equal(index.positions["1"].owner, STAKING);
+
+  // Once it is confirmed the next catch-up applies it, starting after the last indexed block
+  provider.latestBlock = 110;
+  provider.ranges = [];
+  await syncPositionIndex(provider, index, { confirmations: 5 });
+  assert.deepEqual(provider.ranges, [[96, 105]]);
+  assert.deepEqual([index.positions["1"].owner, index.positions["1"].staker], [ALICE, null]);
+  assert.deepEqual(getIndexedStakes(index, ALICE), []);
+
+  // Nothing new: no request at all
+  provider.ranges = [];
+  await syncPositionIndex(provider, index, { confirmations: 5 });
+  assert.deepEqual(provider.ranges, []);
+});
+
+test("a position first seen through a transfer has no mint block", async () => {
+  const index = createPositionIndex({ ...CONTRACTS, fromBlock: 15 });
+  await syncPositionIndex(createProvider(100), index, { toBlock: 20 });
+  assert.deepEqual([index.positions["1"].mintedBlock, index.positions["1"].liquidity, index.positions["1"].poolId], [null, "0", null]);
+});
+
+test("isPositionIndexFor rejects indexes of other contracts or chains", () => {
+  const index = createPositionIndex({ ...CONTRACTS, fromBlock: 0 });
+  assert.equal(isPositionIndexFor(index, CONTRACTS), true);
+  assert.equal(isPositionIndexFor(index, { ...CONTRACTS, chainId: 8453 }), false);
+  assert.equal(isPositionIndexFor(index, { ...CONTRACTS, stakingAddress: undefined }), false);
+  assert.equal(isPositionIndexFor({ ...index, version: 0 }, CONTRACTS), false);
+  assert.equal(isPositionIndexFor(null, CONTRACTS), false);
+});
+
+test("toTokenIdRanges groups nearby IDs without exceeding the span", () => {
+  assert.deepEqual(toTokenIdRanges([5, "3", 3n, 1200, 1000, 9], 1000), [[3, 1000], [1200, 1200]]);
+  assert.deepEqual(toTokenIdRanges([]), []);
+});
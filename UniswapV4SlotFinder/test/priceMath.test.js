@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MIN_TICK,
+  MAX_TICK,
+  getSqrtPriceAtTick,
+  getTickAtSqrtPrice,
+  parseDecimal,
+  toRawAmount,
+  fromRawAmount,
+  priceToSqrtPriceX96,
+  sqrtPriceX96ToPrice,
+  getAmountsForLiquidity,
+  getLiquidityForAmounts,
+  nearestUsableTick,
+  getTickRangeForPrices
+} from '../priceMath.js';
+
+// Property tests over pseudo-random inputs; the fixed seed keeps failures reproducible
+const RUNS = 300;
+
+function createRandom(seed) {
+  // mulberry32
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = createRandom(20240713);
+const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1));
+const randomBigInt = (digits) => BigInt(Array.from({ length: randomInt(1, digits) }, () => randomInt(0, 9)).join(""));
+
+const B0X = { address: "0x77933D339C88458450676156820D6e28bCc98BF5", decimals: 18 };
+const ZEROXBTC = { address: "0xfb4cCCd1485FD56C1E6BF93274778d2F7aBe546D", decimals: 8 };
+
+test("getTickAtSqrtPrice inverts getSqrtPriceAtTick", () => {
+  for (const tick of [MIN_TICK, MIN_TICK + 1, -1, 0, 1, MAX_TICK - 1]) {
+    assert.equal(getTickAtSqrtPrice(getSqrtPriceAtTick(tick)), tick);
+  }
+  for (let i = 0; i < RUNS; i++) {
+    const tick = randomInt(MIN_TICK, MAX_TICK - 1);
+    assert.equal(getTickAtSqrtPrice(getSqrtPriceAtTick(tick)), tick, `tick ${tick}`);
+  }
+});
+
+test("getSqrtPriceAtTick increases with the tick", () => {
+  for (let i = 0; i < RUNS; i++) {
+    const tick = randomInt(MIN_TICK, MAX_TICK - 1);
+    assert.ok(getSqrtPriceAtTick(tick) < getSqrtPriceAtTick(tick + 1), `tick ${tick}`);
+  }
+});
+
+test("fromRawAmount and toRawAmount round-trip", () => {
+  for (let i = 0; i < RUNS; i++) {
+    const raw = randomBigInt(40);
+    const decimals = randomInt(0, 24);
+    assert.equal(toRawAmount(fromRawAmount(raw, decimals), decimals), raw, `${raw} with ${decimals} decimals`);
+  }
+});
+
+test("parseDecimal reads exponent notation like the plain form", () => {
+  const same = (a, b) => {
+    const x = parseDecimal(a);
+    const y = parseDecimal(b);
+    assert.equal(x.numerator * y.denominator, y.numerator * x.denominator, `${a} vs ${b}`);
+  };
+  same("1e-5", "0.00001");
+  same("2.5E3", "2500");
+  same("1.25e+2", "125");
+  same(1e-7, "0.0000001");
+  for (let i = 0; i < RUNS; i++) {
+    const whole = String(randomBigInt(6));
+    const fraction = String(randomBigInt(6));
+    const exponent = randomInt(-20, 20);
+    // Move the decimal point by hand: digits of whole.fraction with the point exponent places further right
+    const digits = whole + fraction;
+    const point = whole.length + exponent;
+    const plain = point <= 0
+      ? `0.${"0".repeat(-point)}${digits}`
+      : point >= digits.length
+        ? digits + "0".repeat(point - digits.length)
+        : `${digits.slice(0, point)}.${digits.slice(point)}`;
+    same(`${whole}.${fraction}e${exponent}`, plain);
+  }
+});
+
+test("parseDecimal rejects what is not a non-negative decimal", () => {
+  for (const value of ["", "-1", "1.", ".5", "1e", "0x10", "1,5", "NaN", "Infinity", "1e100000"]) {
+    assert.throws(() => parseDecimal(value), /Invalid decimal/, JSON.stringify(value));
+  }
+});
+
+test("priceToSqrtPriceX96 and sqrtPriceX96ToPrice round-trip within rounding", () => {
+  for (let i = 0; i < RUNS; i++) {
+    const price = (random() * 10 ** randomInt(-6, 6)).toPrecision(8);
+    const back = Number(sqrtPriceX96ToPrice(priceToSqrtPriceX96(price, 18, 8), 18, 8));
+    assert.ok(Math.abs(back - Number(price)) / Number(price) < 1e-9, `${price} came back as ${back}`);
+  }
+});
+
+test("liquidity for amounts never needs more than the amounts given", () => {
+  for (let i = 0; i < RUNS; i++) {
+    const ticks = [randomInt(MIN_TICK, MAX_TICK), randomInt(MIN_TICK, MAX_TICK)].sort((a, b) => a - b);
+    if (ticks[0] === ticks[1]) continue;
+    const sqrtA = getSqrtPriceAtTick(ticks[0]);
+    const sqrtB = getSqrtPriceAtTick(ticks[1]);
+    const sqrtPrice = getSqrtPriceAtTick(randomInt(MIN_TICK, MAX_TICK));
+    const amount0 = randomBigInt(30);
+    const amount1 = randomBigInt(30);
+    const liquidity = getLiquidityForAmounts(sqrtPrice, sqrtA, sqrtB, amount0, amount1);
+    const amounts = getAmountsForLiquidity(sqrtPrice, sqrtA, sqrtB, liquidity);
+    assert.ok(amounts.amount0 <= amount0 && amounts.amount1 <= amount1, `ticks ${ticks}, liquidity ${liquidity}`);
+  }
+});
+
+test("nearestUsableTick returns the closest usable multiple, never -0", () => {
+  assert.ok(Object.is(nearestUsableTick(-30, 60), 0));
+  assert.ok(Object.is(nearestUsableTick(-29, 60), 0));
+  for (let i = 0; i < RUNS; i++) {
+    const spacing = [1, 10, 60, 200][randomInt(0, 3)];
+    const tick = randomInt(MIN_TICK, MAX_TICK);
+    const usable = nearestUsableTick(tick, spacing);
+    assert.ok(!Object.is(usable, -0));
+    assert.equal(Math.abs(usable % spacing), 0);
+    assert.ok(usable >= MIN_TICK && usable <= MAX_TICK);
+    const clamped = usable === Math.ceil(MIN_TICK / spacing) * spacing || usable === Math.floor(MAX_TICK / spacing) * spacing;
+    assert.ok(clamped || Math.abs(usable - tick) <= spacing / 2, `tick ${tick}, spacing ${spacing} -> ${usable}`);
+  }
+});
+
+test("getTickRangeForPrices takes the same inputs as the tick conversion", () => {
+  assert.deepEqual(
+    getTickRangeForPrices("1e-5", "2e-5", B0X, ZEROXBTC, 60),
+    getTickRangeForPrices("0.00001", "0.00002", B0X, ZEROXBTC, 60)
+  );
+  assert.deepEqual(
+    getTickRangeForPrices(1e-7, 3e-7, B0X, ZEROXBTC, 60),
+    getTickRangeForPrices("0.0000001", "0.0000003", B0X, ZEROXBTC, 60)
+  );
+  assert.throws(() => getTickRangeForPrices("2", "1", B0X, ZEROXBTC, 60), /min below max/);
+  assert.throws(() => getTickRangeForPrices("0", "1", B0X, ZEROXBTC, 60), /must be positive/);
+  assert.throws(() => getTickRangeForPrices("abc", "1", B0X, ZEROXBTC, 60), /Invalid decimal/);
+});
+
+test("getTickRangeForPrices keeps ranges ordered, snapped and non-empty", () => {
+  for (let i = 0; i < RUNS; i++) {
+    const min = random() * 10 ** randomInt(-8, 4);
+    const max = min * (1 + random() * 3 + 1e-6);
+    const { tickLower, tickUpper } = getTickRangeForPrices(String(min), String(max), B0X, ZEROXBTC, 60);
+    assert.ok(tickLower < tickUpper, `${min} - ${max}`);
+    assert.equal(Math.abs(tickLower % 60), 0);
+    assert.equal(Math.abs(tickUpper % 60), 0);
+  }
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { fetchAdminLog, encodeCall, SELECTORS, ADMIN_ACTIONS } from '../rewardAdmin.js';
+import { SWAP_TOPIC } from '../poolEvents.js';
+
+const STAKING = "0x5555555555555555555555555555555555555555";
+const HOOK = "0x6666666666666666666666666666666666666666";
+const POOL_MANAGER = "0x7777777777777777777777777777777777777777";
+const OWNER = "0x1111111111111111111111111111111111111111";
+const NEW_OWNER = "0x2222222222222222222222222222222222222222";
+const SAFE = "0x3333333333333333333333333333333333333333";
+const REWARD_TOKEN = "0x4444444444444444444444444444444444444444";
+const POOL_ID = ethers.id("pool");
+const STATE_SLOT = ethers.id("slot");
+const OWNERSHIP_TRANSFERRED = ethers.id("OwnershipTransferred(address,address)");
+
+const topic = (address) => ethers.zeroPadValue(address, 32);
+const word = (value) => BigInt.asUintN(256, BigInt(value)).toString(16).padStart(64, "0");
+
+// The hook's fee goes from 3000 to 5000 in block 105, through a Safe; swaps see it in blocks 102 and 110
+const safe = new ethers.Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+const feeUpdate = {
+  hash: "0xfee",
+  from: OWNER,
+  to: SAFE,
+  index: 1,
+  data: safe.encodeFunctionData("execTransaction", [HOOK, 0, SELECTORS.forceUpdateLPFee + word(1).repeat(5) + word(5000), 0, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x"])
+};
+const transactions = {
+  "0xadd": { hash: "0xadd", from: OWNER, to: STAKING, data: encodeCall(SELECTORS.addRewardToken, [REWARD_TOKEN]) },
+  "0xowner": { hash: "0xowner", from: OWNER, to: STAKING, data: encodeCall(SELECTORS.transferOwnership, [NEW_OWNER]) },
+  "0xfee": feeUpdate
+};
+
+function swapLog(blockNumber, fee) {
+  return {
+    address: POOL_MANAGER,
+    topics: [SWAP_TOPIC, POOL_ID, topic(OWNER)],
+    data: "0x" + [0, 0, 1n << 96n, 1000, 0, fee].map(word).join(""),
+    blockNumber,
+    transactionHash: `0xswap${blockNumber}`,
+    transactionIndex: 0,
+    index: 0
+  };
+}
+
+function createProvider() {
+  const stakingLogs = [
+    { address: STAKING, topics: [ethers.id("RewardTokenAdded(address)")], data: "0x", blockNumber: 103, transactionHash: "0xadd", transactionIndex: 1, index: 4 },
+    { address: STAKING, topics: [OWNERSHIP_TRANSFERRED, topic(OWNER), topic(NEW_OWNER)], data: "0x", blockNumber: 103, transactionHash: "0xowner", transactionIndex: 2, index: 5 }
+  ];
+  const swapLogs = [swapLog(102, 3000), swapLog(110, 5000)];
+  const inRange = ({ fromBlock, toBlock }) => (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock;
+  return {
+    getBlockNumber: async () => 120,
+    getLogs: async (filter) => {
+      if (filter.address === STAKING) return stakingLogs.filter(inRange(filter));
+      if (filter.address === POOL_MANAGER) return swapLogs.filter(inRange(filter));
+      return [];
+    },
+    getTransaction: async (hash) => transactions[hash],
+    getBlock: async (blockNumber, prefetch) => ({
+      timestamp: 1000 + blockNumber,
+      prefetchedTransactions: prefetch ? (blockNumber === 105 ? [{ hash: "0xother", from: NEW_OWNER, to: STAKING, index: 0, data: "0x" }, feeUpdate] : []) : undefined
+    }),
+    getStorage: async (address, slot, blockTag) => {
+      assert.equal(address, POOL_MANAGER);
+      assert.equal(slot, STATE_SLOT);
+      return "0x" + word(BigInt(blockTag >= 105 ? 5000 : 3000) << 208n);
+    }
+  };
+}
+
+test("fetchAdminLog reads ownership from events and finds hook fee updates through the pool's swaps", async () => {
+  const entries = await fetchAdminLog({
+    provider: createProvider(),
+    stakingAddress: STAKING,
+    hookAddress: HOOK,
+    poolManagerAddress: POOL_MANAGER,
+    pools: [{ poolId: POOL_ID, stateSlot: STATE_SLOT }],
+    fromBlock: 100,
+    blockRange: 7
+  });
+
+  assert.deepEqual(entries.map(entry => [entry.action, entry.blockNumber, entry.transactionHash]), [
+    [ADMIN_ACTIONS.ADD_REWARD_TOKEN, 103, "0xadd"],
+    [ADMIN_ACTIONS.TRANSFER_OWNERSHIP, 103, "0xowner"],
+    [ADMIN_ACTIONS.SET_LP_FEE, 105, "0xfee"]
+  ]);
+  assert.equal(entries[1].token.toLowerCase(), NEW_OWNER);
+  assert.equal(entries[2].amount, 5000n);
+  assert.equal(entries[2].safe, SAFE);
+  assert.equal(entries[2].from, OWNER);
+});
+
+test("fetchAdminLog orders entries of one block by their position in it", async () => {
+  const provider = createProvider();
+  // The ownership transfer comes first in block 103 this time
+  const getLogs = provider.getLogs;
+  provider.getLogs = async (filter) => (await getLogs(filter)).map(log => (log.transactionHash === "0xowner" ? { ...log, transactionIndex: 0 } : log));
+  const entries = await fetchAdminLog({ provider, stakingAddress: STAKING, hookAddress: HOOK, fromBlock: 100, toBlock: 104 });
+  assert.deepEqual(entries.map(entry => entry.action), [ADMIN_ACTIONS.TRANSFER_OWNERSHIP, ADMIN_ACTIONS.ADD_REWARD_TOKEN]);
+});
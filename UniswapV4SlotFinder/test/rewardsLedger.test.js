@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { buildRewardsLedger, fetchRewardsLedger, getStakingSelector, LEDGER_TYPES } from '../rewardsLedger.js';
+import { TRANSFER_TOPIC } from '../chainUtils.js';
+
+const STAKING = "0x5555555555555555555555555555555555555555";
+const ACCOUNT = "0x1111111111111111111111111111111111111111";
+const SAFE = "0x2222222222222222222222222222222222222222";
+const REWARD_TOKEN = "0x3333333333333333333333333333333333333333";
+const POSITION_MANAGER = "0x4444444444444444444444444444444444444444";
+const REMOVED_TOKEN = "0x6666666666666666666666666666666666666666";
+
+const staking = new ethers.Interface([
+  "function getRewardForTokens(address[] rewardTokens)",
+  "function withdraw(uint256 tokenId)",
+  "function decreaseLiquidityOfPosition(uint256 tokenId, uint256 percentage, uint256 min0, uint256 min1)"
+]);
+const safe = new ethers.Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+// The Safe calls `data` on `to`, signatures are not decoded
+function execTransaction(to, data) {
+  return { to: SAFE, data: safe.encodeFunctionData("execTransaction", [to, 0, data, 0, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x"]) };
+}
+
+const claimData = staking.encodeFunctionData("getRewardForTokens", [[REWARD_TOKEN]]);
+
+test("getStakingSelector finds the staking call behind a Safe and ignores other contracts", () => {
+  assert.equal(getStakingSelector({ to: STAKING, data: claimData }, STAKING), "0x59ae8f7e");
+  assert.equal(getStakingSelector(execTransaction(STAKING, claimData), STAKING), "0x59ae8f7e");
+  assert.equal(getStakingSelector({ to: POSITION_MANAGER, data: claimData }, STAKING), null);
+});
+
+test("buildRewardsLedger classifies Safe claims and withdraw payouts, and skips decreases", () => {
+  const transfer = (transactionHash, logIndex, fields) => ({
+    contract: REWARD_TOKEN, from: STAKING, to: ACCOUNT, value: 0n, isNft: false, blockNumber: 10, transactionHash, logIndex, ...fields
+  });
+  const transfers = [
+    transfer("0xclaim", 1, { value: 50n }),
+    transfer("0xwithdraw", 3, { value: 20n }),
+    transfer("0xwithdraw", 2, { contract: POSITION_MANAGER, value: 7n, isNft: true }),
+    transfer("0xdecrease", 4, { value: 900n })
+  ];
+  const transactions = new Map([
+    ["0xclaim", { selector: getStakingSelector(execTransaction(STAKING, claimData), STAKING), timestamp: 1000 }],
+    ["0xwithdraw", { selector: getStakingSelector(execTransaction(STAKING, staking.encodeFunctionData("withdraw", [7])), STAKING), timestamp: 1000 }],
+    ["0xdecrease", { selector: getStakingSelector({ to: STAKING, data: staking.encodeFunctionData("decreaseLiquidityOfPosition", [7, 1, 0, 0]) }, STAKING), timestamp: 1000 }]
+  ]);
+
+  const entries = buildRewardsLedger({ account: ACCOUNT, stakingAddress: STAKING, transfers, transactions });
+  assert.deepEqual(entries.map(entry => [entry.type, entry.tokenId, entry.amount]), [
+    [LEDGER_TYPES.CLAIM, null, 50n],
+    [LEDGER_TYPES.WITHDRAW, "7", 0n],
+    [LEDGER_TYPES.WITHDRAW_REWARD, "7", 20n]
+  ]);
+});
+
+test("fetchRewardsLedger keeps claims of reward tokens removed from the staking contract since", async () => {
+  const topic = (address) => ethers.zeroPadValue(address, 32);
+  const log = (address, topics, data, transactionHash, index) => ({
+    address, topics: [TRANSFER_TOPIC, ...topics], data, blockNumber: 10, transactionHash, transactionIndex: 0, index
+  });
+  const logs = [
+    log(REWARD_TOKEN, [topic(STAKING), topic(ACCOUNT)], ethers.toBeHex(50, 32), "0xclaim", 1),
+    log(REMOVED_TOKEN, [topic(STAKING), topic(ACCOUNT)], ethers.toBeHex(30, 32), "0xclaim", 2)
+  ];
+  const provider = {
+    getBlockNumber: async () => 20,
+    // Only logs the filter asks for: no address means every contract
+    getLogs: async (filter) => logs.filter(entry =>
+      (!filter.address || filter.address === entry.address) && filter.topics.every((value, i) => value === null || value.toLowerCase() === entry.topics[i].toLowerCase())),
+    getTransaction: async () => ({ to: STAKING, data: claimData }),
+    getBlock: async () => ({ timestamp: 1000 })
+  };
+  const params = { provider, account: ACCOUNT, stakingAddress: STAKING, positionManagerAddress: POSITION_MANAGER, fromBlock: 0 };
+
+  const entries = await fetchRewardsLedger(params);
+  assert.deepEqual(entries.map(entry => [entry.type, entry.token, entry.amount]), [
+    [LEDGER_TYPES.CLAIM, REWARD_TOKEN, 50n],
+    [LEDGER_TYPES.CLAIM, REMOVED_TOKEN, 30n]
+  ]);
+  // A token list narrows it down
+  const listed = await fetchRewardsLedger({ ...params, rewardTokens: [REWARD_TOKEN] });
+  assert.deepEqual(listed.map(entry => entry.token), [REWARD_TOKEN]);
+});
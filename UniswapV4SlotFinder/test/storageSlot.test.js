@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { StorageSlotFinder, parseKey, formatSlot, parseCliArgs } from '../storageSlot.js';
+import { UniswapV4PoolReader } from '../Uniswapv4PoolReader.js';
+import { getNetwork, getContractAddress } from '../networks.js';
+
+// The README example: _pools[poolId].ticks[-60] of the Base Sepolia PoolManager, _pools at slot 6
+const POOL_ID = "0x2b12523c52f9376439968e70e1f10ccc106ac80781bf40b0c8eeb2c19a22382e";
+const README_ARGS = ["--address", "poolManager", "--slot", "6", "--key", `bytes32:${POOL_ID}`, "--offset", "4", "--key", "int24:-60"];
+const POOL_SLOT = "0x07a15d88d76a5ae87ddf9e02240e8145ff900e34f2115ed26c6c7e36c84dbb2b";
+const TICKS_SLOT = "0x07a15d88d76a5ae87ddf9e02240e8145ff900e34f2115ed26c6c7e36c84dbb2f";
+const TICK_SLOT = "0xf52dfa791bb52a509068a2f0fe6d6dc246c5071ebd7d0e6978bb6e6cb47cc51d";
+
+// Slot math only: the provider is never asked for anything
+const finder = new StorageSlotFinder("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+after(() => finder.provider.destroy());
+
+test("parseCliArgs keeps the README path steps in the order given", () => {
+  const cli = parseCliArgs(README_ARGS);
+  assert.equal(cli.address, getContractAddress(getNetwork(84532), "poolManager"));
+  assert.deepEqual([cli.minSlot, cli.maxSlot], [6, 6]);
+  assert.deepEqual(cli.steps, [
+    { kind: "key", key: { type: "bytes32", value: POOL_ID } },
+    { kind: "offset", offset: 4n },
+    { kind: "key", key: { type: "int24", value: "-60" } }
+  ]);
+});
+
+test("resolveSlot derives the README pool and tick slots", () => {
+  const { steps } = parseCliArgs(README_ARGS);
+  assert.equal(finder.resolveSlot(6, steps.slice(0, 1)), POOL_SLOT);
+  assert.equal(finder.resolveSlot(6, steps.slice(0, 2)), TICKS_SLOT);
+  assert.equal(finder.resolveSlot(6, steps), TICK_SLOT);
+
+  // The pool reader computes the same slot from its own Pool.State layout
+  const reader = new UniswapV4PoolReader("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+  after(() => reader.provider.destroy());
+  assert.equal(reader.calculateTickInfoSlot(POOL_ID, -60), TICK_SLOT);
+});
+
+test("parseKey infers the key type unless it is given", () => {
+  assert.deepEqual(parseKey(POOL_ID), { type: "bytes32", value: POOL_ID });
+  assert.deepEqual(parseKey("0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408"), { type: "address", value: "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408" });
+  assert.deepEqual(parseKey("-60"), { type: "int256", value: "-60" });
+  assert.deepEqual(parseKey("42"), { type: "uint256", value: "42" });
+  assert.deepEqual(parseKey("uint8:7"), { type: "uint8", value: "7" });
+  // Not a Solidity type: the whole argument is a string key
+  assert.deepEqual(parseKey("foo:bar"), { type: "string", value: "foo:bar" });
+});
+
+test("string keys are hashed unpadded and array elements start at keccak256(slot)", () => {
+  assert.equal(finder.calculateMappingSlot(6, { type: "string", value: "abc" }),
+    "0xc40200de306afd0f12d4484923ae7e41d6285ed64a65b7a8070305be7df663c3");
+  const dataStart = "0x405787fa12a823e0f2b7631cc41b3ba8828b3321ca811111fa75cd3aa3bb5ace"; // keccak256(uint256(2))
+  assert.equal(finder.calculateArraySlot(2, 0), dataStart);
+  assert.equal(finder.calculateArraySlot(2, 3, 2), finder.offsetSlot(dataStart, 6));
+  assert.equal(finder.offsetSlot("0x" + "ff".repeat(32), 1), "0x" + "00".repeat(32));
+});
+
+test("findSlot scans the base slots until the resolved slot holds the expected word", async () => {
+  const { steps } = parseCliArgs(README_ARGS);
+  const expectedValue = "0x" + "00".repeat(31) + "01";
+  const read = [];
+  const scanner = new StorageSlotFinder("http://127.0.0.1:8545", "0x05E73354cFDd6745C338b50BcFDfA3Aa6fA03408");
+  after(() => scanner.provider.destroy());
+  scanner.readStorageSlot = async (storageSlot) => {
+    read.push(storageSlot);
+    return storageSlot === TICK_SLOT ? expectedValue : "0x" + "00".repeat(32);
+  };
+
+  const matches = await scanner.findSlot(steps, { minSlot: 0, maxSlot: 10, expectedValue: "0x01", delayMs: 0 });
+  assert.deepEqual(matches, [{ baseSlot: 6, storageSlot: TICK_SLOT, data: expectedValue }]);
+  assert.equal(read.length, 7);
+});
+
+test("formatSlot lists the slot in every format getStorageAt accepts", () => {
+  const formats = formatSlot(TICK_SLOT);
+  assert.equal(formats["Without 0x"], TICK_SLOT.slice(2));
+  assert.equal(formats["Decimal"], BigInt(TICK_SLOT).toString());
+  assert.equal(formats["Zero-padded"], TICK_SLOT);
+});